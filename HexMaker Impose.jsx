@@ -0,0 +1,10 @@
+/**
+ * HexMaker Impose
+ *
+ * Lays finished hex pads out on print sheets (see `runImposition` in HexMaker.jsx).
+ * Keep this file next to HexMaker.jsx and its assets folder.
+ */
+
+var HEXMAKER_COMMAND = "impose";
+
+//@include "HexMaker.jsx"
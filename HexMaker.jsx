@@ -1,916 +1,7464 @@
 /**
- * HexMaker v1.0.0
+ * HexMaker v1.0.0 (keep `SCRIPT_VERSION` in step)
  *
  * This script creates a new Hex Production File with:
- * - Artboard size: 13cm x 34cm
- * - Two layers: 
+ * - Artboard size and bleed from the chosen product (see `loadProducts`), 13cm x 34cm with 3mm bleed by default
+ * - Layers:
+ *   - CutContour (the product's die-line, if it has one, locked)
+ *   - Safe Area (a non-printing guide inside the trim, if the product has one, locked)
  *   - Guides (imported from GUIDES.svg, converted to guides)
- *   - Artwork (contains Sponsor, Hex, and Masuri Tab groups)
+ *   - Artwork (contains Masuri Tab and the Hex, Sponsor and additional sponsor slot groups)
  */
 
 // Constants
+var SCRIPT_VERSION = "v1.0.0"; // Recorded in every document's metadata (see `createJobRecord`)
 var POINTS_PER_CM = 28.3464567;
-
-// Check if there's an active document
-if (app.documents.length === 0) {
-    alert("Please open a document before running this script.");
+var SPONSOR_POSITIONS = ["Bottom Sponsor", "Middle Sponsor", "Top Sponsor", "Custom"]; // "Custom" places the sponsor at an offset from the top of the hex area
+var SPONSOR_SOURCES = ["Current selection", "Active artboard", "Artboard", "File"]; // Where a sponsor slot's artwork comes from; "File" is the only one that needs no open document
+var LOCKED_HIDDEN_MODES = ["Leave out", "Include"]; // What happens to hidden and locked sponsor items (see `settleLockedHiddenItems`)
+var DIALOG_BATCH = 3; // Dialog close code for the "Batch..." button (1 and 2 are OK/Cancel)
+var DIALOG_NEW_HEX = 4; // Dialog close code for the edit dialog's "New Hex..." button
+var JOB_NOTE_PREFIX = "HexMaker job: "; // Starts the note on the Artwork group that stores the job settings (see `formatJobNote`)
+var XMP_NAMESPACE = "http://ns.masuri.com/hexmaker/1.0/"; // Namespace of the job metadata written by `writeJobMetadata`
+var CUSTOM_COLOR_LABEL = "Custom...";
+var DEFAULT_CLEARANCE_MM = 1; // Gap kept between the sponsor outline and the nearest hex cell
+var OVERLAP_MODES = ["Remove", "Clip"]; // Whole-cell deletion, or trimming cells along the sponsor outline
+var PATTERN_SOURCES = ["Generated", "SVG asset"]; // Draw the hex grid from parameters, or import assets/HEX.svg
+var HEX_FILL_MODES = ["Solid", "Alternating", "Random scatter", "Banded", "Vertical blend"]; // How the fill colours are spread over the hex cells (see `applyHexFill`)
+var FILL_DIRECTIONS = ["Columns", "Rows"]; // What "Alternating" alternates between
+var FADE_ORIGINS = ["None", "Top", "Bottom", "Left", "Right", "Sponsor"]; // Where the hex pattern thins out toward (see `fadeHexCells`)
+var FADE_EFFECTS = ["Remove", "Shrink"]; // What happens to the cells as the pattern thins out
+var FADE_CURVES = ["Linear", "Ease"]; // How the density changes across the fade
+var MIN_FADE_SCALE = 0.1; // Shrunk cells smaller than this are removed instead, as they wouldn't print
+var HEX_ORIENTATIONS = ["Flat", "Pointy"]; // Flat: flat top and bottom edges (as in HEX.svg); Pointy: vertices at top and bottom
+var DEFAULT_NAME_PATTERN = "{club}_{colour}_{position}_v{n}"; // Export file name; see `formatExportName` for the tokens
+var DEFAULT_PDF_PRESET = "[Press Quality]";
+var PROOF_FORMATS = ["PNG", "JPEG"];
+var PROOF_SCALE_PERCENT = 100; // Proofs are exported at 72 ppi; this keeps them small enough to email
+var IMPOSE_SOURCES = ["Hex documents", "Batch manifest"]; // Where the imposition dialog takes its pads from: chosen .ai files, or the files a batch manifest saved
+var SHEET_SIZES = [
+    { name: "SRA3", widthCm: 32, heightCm: 45 },
+    { name: "SRA2", widthCm: 45, heightCm: 64 },
+    { name: "SRA1", widthCm: 64, heightCm: 90 },
+    { name: "B1", widthCm: 70, heightCm: 100 }
+]; // Sheet presets offered by the imposition dialog, besides a custom size
+var DEFAULT_SHEET_MARGIN_MM = 10; // Unprinted edge of the sheet that pads are kept out of
+var DEFAULT_GUTTER_MM = 10; // Space between neighbouring pads' trims, for their bleed, crop marks and labels
+var CROP_MARK_LENGTH_MM = 5;
+var CROP_MARK_OFFSET_MM = 3; // Gap between the trim and a crop mark; a pad's bleed is kept clear if it is wider
+var SHEET_SPACING_CM = 5; // Space between the artboards of a multi-sheet imposition
+var PROOF_COLUMNS = 5; // Artboards per row in a colour proof
+var PROOF_SPACING_CM = 2; // Space between a colour proof's artboards
+var PROOF_LABEL_HEIGHT_CM = 1.5; // Strip below each pad on a colour proof's artboard for the colour label
+
+// Generator settings matching the cells in HEX.svg
+var DEFAULT_PATTERN = {
+    source: "Generated",
+    cellSizeMm: 7.35, // Across the flats
+    wallMm: 0.74, // Ring wall thickness
+    gapMm: 0.61, // Gap between neighbouring cells
+    orientation: "Flat",
+    areaWidthCm: 4.3,
+    areaHeightCm: 29
+};
+var PREFLIGHT_MIN_PPI = 150; // Raster images below this effective resolution block the build
+var PREFLIGHT_TARGET_PPI = 300; // ... and below this one get a warning
+var MIN_STROKE_WEIGHT_PT = 0.25; // Thinnest stroke that reliably prints, after scaling
+var SCALING_MODES = ["Fit box", "Fit width", "Fit height", "Percentage", "Target area", "Original size"]; // How the sponsor artwork is sized (see `getSponsorScale`)
+var SPONSOR_COLOR_MODES = ["Original", "Single colour", "Knockout white", "Auto-contrast"]; // How the sponsor artwork is recoloured (see `resolveSponsorColor`)
+var MIN_SPONSOR_CONTRAST = 1.5; // Contrast ratio below which a main sponsor colour is too close to the hex colour
+var MAIN_COLOR_SHARE = 0.1; // Share of the sponsor's filled area that makes a colour one of its main colours
+var CURVE_STEPS = 8; // Straight segments used to approximate each Bézier curve in overlap tests
+
+// Hex colours used when assets/palette.json is missing or malformed (see `loadPalette`).
+// `cmyk` is what gets printed; `hex` is only an on-screen reference.
+// An entry may also name a `spot` colour, which is added to the new document as a spot swatch.
+var BUILT_IN_PALETTE = [
+    { name: "Black", hex: "#000000", cmyk: [0, 0, 0, 100] },
+    { name: "White", hex: "#FFFFFF", cmyk: [0, 0, 0, 0] },
+    { name: "Navy", hex: "#072441", cmyk: [100, 80, 35, 55] },
+    { name: "Yellow", hex: "#FBBA00", cmyk: [0, 30, 100, 0] },
+    { name: "Pink", hex: "#E14498", cmyk: [5, 85, 0, 0] },
+    { name: "Red", hex: "#C42939", cmyk: [15, 95, 80, 5] },
+    { name: "Maroon", hex: "#621122", cmyk: [30, 100, 70, 50] },
+    { name: "Green", hex: "#6B9B38", cmyk: [60, 15, 100, 5] },
+    { name: "Lime Green", hex: "#70BE46", cmyk: [60, 0, 95, 0] },
+    { name: "Emerald Green", hex: "#00673A", cmyk: [95, 25, 95, 15] },
+    { name: "Bottle Green", hex: "#00523F", cmyk: [95, 35, 80, 35] },
+    { name: "Light Blue", hex: "#00B9ED", cmyk: [70, 5, 0, 0] },
+    { name: "Royal Blue", hex: "#005EA3", cmyk: [100, 60, 5, 5] }
+];
+
+// Colours used by the "Knockout white" and "Auto-contrast" sponsor colour modes
+var KNOCKOUT_WHITE = { name: "White", hex: "#FFFFFF", cmyk: [0, 0, 0, 0] };
+var AUTO_CONTRAST_BLACK = { name: "Black", hex: "#000000", cmyk: [0, 0, 0, 100] };
+
+// Product used when assets/products.json is missing or malformed (see `loadProducts`).
+// Sizes and positions are in cm; asset file names are relative to the assets folder.
+// `masuriTab` pins the tab for particular positions; every other position uses `masuriTabAuto` (see `positionMasuriTab`).
+var BUILT_IN_PRODUCT = {
+    name: "Hex Pad 13 × 34cm",
+    artboard: { widthCm: 13, heightCm: 34 },
+    assets: { hex: "HEX.svg", masuriTab: "MASURI TAB.svg", guides: "GUIDES.svg" },
+    sponsorFit: { widthCm: 11, heightCm: 8 },
+    masuriTab: { "Bottom Sponsor": [5.7281, 18.8218], "Middle Sponsor": [5.7281, 8.4713] },
+    masuriTabAuto: { xCm: 5.7281, gapCm: 2.3 },
+    guideOffsetCm: 0.5,
+    hexArea: { widthCm: 4.3, heightCm: 29 },
+    bleedMm: 3,
+    cornerRadiusMm: 5,
+    dieLine: { spot: "CutContour", cmyk: [0, 100, 0, 0], strokePt: 0.25 },
+    safeAreaMm: 5
+};
+
+// With no open document, the sponsor comes from a file (or a batch manifest); "HexMaker Impose.jsx" sets `HEXMAKER_COMMAND` to run the imposition instead
+if (typeof HEXMAKER_COMMAND != "undefined" && HEXMAKER_COMMAND == "impose") {
+    runImposition();
 } else {
     main();
 }
 
 /**
- * Builds a new 13cm × 34cm CMYK Illustrator document by importing templates, copying source artwork, and composing the final grouped artwork.
+ * Runs HexMaker interactively against the active document, if there is one.
  *
- * Opens a configuration dialog to choose hex color and sponsor position, validates required SVG templates (HEX.svg, MASURI TAB.svg, GUIDES.svg) in the script folder, creates the document with three layers (Sponsor, Hex, Masuri Tab), copies non-guide artwork from the active document into the Sponsor layer and scales it to fit, imports the SVGs into their respective layers (converting one set to guides), applies the chosen color to the Hex layer, aligns and positions layers according to the selected sponsor mode, removes overlapping hex paths, groups and centers content into a final "Artwork" group, removes empty layers, and notifies the user on success. Errors are caught and reported via an alert with the error message and line number.
+ * A document HexMaker built is offered for re-editing (see `showEditDialog` and `editHexDocument`). Otherwise the configuration dialog's settings are preflighted (see `preflightSponsors`) and built with `buildHexDocument`, then exported (see `exportHexDocument`) or turned into a colour proof (see `buildColorProof`); "Batch..." hands over to `runBatch`. Errors are reported with the stage that failed, and a half-built document is rolled back (see `rollbackRun`).
  */
 function main() {
-    try {
-        // Show configuration dialog
-        var config = showConfigDialog();
-        if (!config) {
-            return; // User cancelled
-        }
+    var run = null;
+    var result = null;
 
-        var hexColor = config.color;
-        var sponsorPosition = config.position;
+    try {
+        var assetsFolder = getAssetsFolder();
 
-        // Get the source document (currently active)
-        var sourceDoc = app.activeDocument;
+        // Load the colour palette and product templates, falling back to the built-in ones
+        var palette = loadPalette(new File(assetsFolder + "/palette.json"));
+        if (palette.warning) {
+            alert(palette.warning);
+        }
+        var products = loadProducts(new File(assetsFolder + "/products.json"));
+        if (products.warning) {
+            alert(products.warning);
+        }
 
-        // Get the script's folder path to locate SVG files
-        var scriptFile = new File($.fileName);
-        var scriptFolder = scriptFile.parent;
+        // Get the source document (currently active); without one, only a sponsor file can be used
+        var sourceDoc = app.documents.length > 0 ? app.activeDocument : null;
 
-        // Define SVG file paths
-        var hexSVGFile = new File(scriptFolder + "/assets/HEX.svg");
-        var masuriTabSVGFile = new File(scriptFolder + "/assets/MASURI TAB.svg");
-        var guidesSVGFile = new File(scriptFolder + "/assets/GUIDES.svg");
+        // Offer to edit a document HexMaker built instead of building a new one
+        var parts = sourceDoc ? findHexDocumentParts(sourceDoc) : null;
+        if (parts) {
+            var changes = showEditDialog(parts.job, palette.colors);
+            if (!changes) {
+                return; // User cancelled
+            }
+            if (!changes.newHex) {
+                run = beginRun(sourceDoc, null);
+                var edited = editHexDocument(sourceDoc, parts, changes, products.products, run);
+                alert("Hex updated successfully!\n" + describeOverlapResult(edited) + ".");
+                return;
+            }
+        }
 
-        // Verify SVG files exist
-        if (!hexSVGFile.exists) {
-            alert("HEX.svg not found at: " + hexSVGFile.fsName);
-            return;
+        // Show configuration dialog
+        var config = showConfigDialog(palette.colors, products.products, sourceDoc);
+        if (!config) {
+            return; // User cancelled
         }
-        if (!masuriTabSVGFile.exists) {
-            alert("MASURI TAB.svg not found at: " + masuriTabSVGFile.fsName);
+
+        if (config.batch) {
+            runBatch();
             return;
         }
-        if (!guidesSVGFile.exists) {
-            alert("GUIDES.svg not found at: " + guidesSVGFile.fsName);
+
+        // Verify the product's SVG templates
+        var assets = getAssetFiles(config.product);
+        var missingAsset = findMissingAsset(assets, config.pattern.source == "SVG asset");
+        if (missingAsset) {
+            alert(missingAsset);
             return;
         }
 
-        // Create new document with centimeter units
-        var docPreset = new DocumentPreset();
-        docPreset.units = RulerUnits.Centimeters;  // Set units FIRST
-        docPreset.width = 368.504; // 13cm in points
-        docPreset.height = 963.78; // 34cm in points
-        docPreset.colorMode = DocumentColorSpace.CMYK;
+        // Files opened along the way stay open until the document is built; everything else the run changes is recorded for a rollback
+        var documentCache = createDocumentCache();
+        try {
+            run = beginRun(sourceDoc, documentCache);
 
+            // Check the sponsor artwork before anything is built
+            run.stage = "checking the sponsor artwork";
+            var findings = preflightSponsors(sourceDoc, config, documentCache);
+            if (findings.length > 0 && !showPreflightReport(findings)) {
+                return;
+            }
 
-        var newDoc = app.documents.addDocument("Print", docPreset);
+            result = buildHexDocument(sourceDoc, config, assets, run);
+        } finally {
+            closeDocumentCache(documentCache);
+        }
+        restoreSourceSelection(run);
+        result.document.activate();
+
+        // A colour proof replaces the single pad
+        if (config.proofColors) {
+            run.stage = "building the colour proof";
+            var proofDoc;
+            try {
+                proofDoc = buildColorProof(result.document, config.proofColors, products.products, run);
+            } finally {
+                // The pad was only built for the proof, so it goes whether or not the proof worked
+                result.document.close(SaveOptions.DONOTSAVECHANGES);
+            }
+            proofDoc.activate();
 
-        app.preferences.setBooleanPreference("showTransparencyGrid", true);
+            run.stage = "saving the colour proof";
+            var proofFile = saveColorProof(proofDoc, config);
+            alert("Colour proof created with " + config.proofColors.length + " colours." + (proofFile ? "\nSaved to " + proofFile.fsName : ""));
+            return;
+        }
 
+        var message = "Hex created successfully!\n" + describeOverlapResult(result) + ".\n" + describeSponsorSizes(result) + ".";
+        if (result.printPrepLog) {
+            message += "\n\nPrint prep:" + (result.printPrepLog.length > 0 ? "\n" + result.printPrepLog.join("\n") : " nothing needed changing.");
+        }
+        if (config.exportSettings) {
+            run.stage = "exporting";
+            var savedFiles = exportHexDocument(result.document, config);
+            message += "\n\nSaved to " + config.exportSettings.folder.fsName + ":";
+            for (var i = 0; i < savedFiles.length; i++) {
+                message += "\n" + savedFiles[i].displayName;
+            }
+        }
+        alert(message);
 
-        // Set ruler origin so that the top-left corner of the artboard is at 0,0
-        // Get the artboard bounds
-        var artboard = newDoc.artboards[0];
-        var artboardRect = artboard.artboardRect; // [left, top, right, bottom]
+    } catch (e) {
+        // Undo a half-built document; a finished one is kept even if exporting it failed
+        if (run && !result) {
+            rollbackRun(run);
+        }
+        alert("Error" + (run ? " while " + run.stage : "") + ": " + e.message + "\nLine: " + e.line);
+    }
+}
 
-        // Set ruler origin to the top-left corner of the artboard
-        newDoc.rulerOrigin = [artboardRect[0], artboardRect[1]];
+/**
+ * Start recording what a run changes, so `rollbackRun` can undo it if the run fails.
+ *
+ * Records the source document's selection and the `showTransparencyGrid` preference now; `buildHexDocument` records the new document and keeps `stage` up to date, so an error can say which step failed.
+ * @param {(Document|null)} sourceDoc - The document the run was started from, or `null` if no document was open (the sponsor then comes from a file).
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`); the caller closes them.
+ * @returns {{stage: string, sourceDoc: (Document|null), sourceSelection: Array.<PageItem>, transparencyGrid: boolean, newDocument: (Document|null), documentCache: Object}} The run record.
+ */
+function beginRun(sourceDoc, documentCache) {
+    var sourceSelection = [];
+    for (var i = 0; sourceDoc && i < sourceDoc.selection.length; i++) {
+        sourceSelection.push(sourceDoc.selection[i]);
+    }
+    return {
+        stage: "starting",
+        sourceDoc: sourceDoc,
+        sourceSelection: sourceSelection,
+        transparencyGrid: app.preferences.getBooleanPreference("showTransparencyGrid"),
+        newDocument: null,
+        documentCache: documentCache
+    };
+}
 
-        // Remove the default layer
-        if (newDoc.layers.length > 0) {
-            newDoc.layers[0].remove();
+/**
+ * Undo what a failed run changed: close the unfinished hex document without saving, restore the `showTransparencyGrid` preference and the source document's selection.
+ * Each step is tried on its own, so one failure can't stop the rest of the clean-up. Files opened through the run's document cache are closed by `closeDocumentCache`.
+ * @param {Object} run - The run record from `beginRun`.
+ */
+function rollbackRun(run) {
+    if (run.newDocument) {
+        try {
+            run.newDocument.close(SaveOptions.DONOTSAVECHANGES);
+        } catch (e) {
+            // Already closed
         }
+        run.newDocument = null;
+    }
+    try {
+        app.preferences.setBooleanPreference("showTransparencyGrid", run.transparencyGrid);
+    } catch (e) {
+        // Leave the preference as it is
+    }
+    restoreSourceSelection(run);
+}
 
-        // Create layers in order from bottom to top
-        // In Illustrator, the last layer added becomes the topmost layer
-        var sponsorLayer = newDoc.layers.add();
-        sponsorLayer.name = "Sponsor";
+/**
+ * Select again what was selected in the source document when the run started; copying the sponsor artwork changes it.
+ * @param {Object} run - The run record from `beginRun`.
+ */
+function restoreSourceSelection(run) {
+    if (!run.sourceDoc) {
+        return;
+    }
+    try {
+        run.sourceDoc.activate();
+        run.sourceDoc.selection = null;
+        if (run.sourceSelection.length > 0) {
+            run.sourceDoc.selection = run.sourceSelection;
+        }
+    } catch (e) {
+        // The source document was closed, or items were removed
+    }
+}
 
-        var hexLayer = newDoc.layers.add();
-        hexLayer.name = "Hex";
+/**
+ * Locate the `assets` folder next to this script, which holds the SVG templates, palette and product templates.
+ * @returns {Folder} The assets folder.
+ */
+function getAssetsFolder() {
+    // Get the script's folder path to locate the assets
+    var scriptFile = new File($.fileName);
+    return new Folder(scriptFile.parent + "/assets");
+}
 
-        var masuriTabLayer = newDoc.layers.add();
-        masuriTabLayer.name = "Masuri Tab";
+/**
+ * Locate a product's SVG templates in the `assets` folder.
+ * @param {Object} product - A product template from `loadProducts`.
+ * @returns {{hex: File, masuriTab: File, guides: File}} The template files (not yet checked for existence).
+ */
+function getAssetFiles(product) {
+    var assetsFolder = getAssetsFolder();
+
+    return {
+        hex: new File(assetsFolder + "/" + product.assets.hex),
+        masuriTab: new File(assetsFolder + "/" + product.assets.masuriTab),
+        guides: new File(assetsFolder + "/" + product.assets.guides)
+    };
+}
 
-        // Copy all artwork from source document to Sponsor layer
-        sourceDoc.activate();
-        sourceDoc.selectObjectsOnActiveArtboard();
+/**
+ * Check that every SVG template returned by `getAssetFiles` that the run needs exists. The palette is optional (see `loadPalette`).
+ * @param {{hex: File, masuriTab: File, guides: File}} assets - The template files to check.
+ * @param {boolean} usesHexSVG - Whether the hex pattern is imported from HEX.svg rather than generated.
+ * @returns {(string|null)} A message naming the first missing template, or `null` if all are present.
+ */
+function findMissingAsset(assets, usesHexSVG) {
+    if (usesHexSVG && !assets.hex.exists) {
+        return assets.hex.displayName + " not found at: " + assets.hex.fsName;
+    }
+    if (!assets.masuriTab.exists) {
+        return assets.masuriTab.displayName + " not found at: " + assets.masuriTab.fsName;
+    }
+    if (!assets.guides.exists) {
+        return assets.guides.displayName + " not found at: " + assets.guides.fsName;
+    }
+    return null;
+}
 
-        // Filter out guides from the selection
-        if (sourceDoc.selection.length > 0) {
-            var filteredSelection = [];
-            for (var i = 0; i < sourceDoc.selection.length; i++) {
-                var item = sourceDoc.selection[i];
-                // Only include items that are not guides
-                if (!item.guides) {
-                    filteredSelection.push(item);
-                }
-            }
+/**
+ * Builds a new CMYK Illustrator document for the chosen product (13cm × 34cm by default) from the sponsor artwork, the generated (or imported) hex pattern and the product's templates.
+ *
+ * The sponsors are copied in (see `getSponsorItems`), scaled (see `scaleSponsor`) and positioned (see `positionSponsorLayer`); the pattern is coloured (see `applyHexFill`), faded (see `fadeHexCells`) and cut around the sponsors. Everything is grouped into an "Artwork" group carrying the job settings for `editHexDocument` (see `createJobRecord`), and the product's bleed, safe area and die-line are added. Shows no prompts, so it can be driven by both the dialog and batch runs.
+ *
+ * `config` holds:
+ * - `product`: the product template (see `loadProducts`)
+ * - `color`: the hex colour (see `loadPalette`)
+ * - `position`, `sponsorOffsetCm`: the main sponsor's position (one of `SPONSOR_POSITIONS`) and, for "Custom", its offset from the top of the hex area in cm
+ * - `sponsorSource`, `sponsorArtboard`, `sponsorFile`: where the main sponsor comes from (see `parseSponsorSlot`; "Active artboard" if not given)
+ * - `lockedHidden`: one of `LOCKED_HIDDEN_MODES` ("Leave out" if not given)
+ * - `scaling`: see `parseScalingSettings` (fit box if not given)
+ * - `extraSponsors`: additional sponsor slots (see `parseSponsorSlot`)
+ * - `printPrep`: whether to run `prepareSponsorForPrint`
+ * - `sponsorColorMode`, `sponsorColor`: how the sponsors are recoloured (see `resolveSponsorColor`)
+ * - `fill`: see `parseFillSettings` (all in the hex colour if not given)
+ * - `fade`: see `parseFadeSettings` (no fade if not given)
+ * - `clearanceMm`, `overlapMode`: the gap kept around each sponsor and how cells in it are handled (see `OVERLAP_MODES`)
+ * - `pattern`: see `parsePatternSettings`
+ *
+ * @param {(Document|null)} sourceDoc - Document whose artwork becomes the sponsor; `null` if the sponsor comes from a file and no document is open.
+ * @param {Object} config - The job settings, as listed above.
+ * @param {{hex: File, masuriTab: File, guides: File}} assets - Verified SVG templates from `getAssetFiles`.
+ * @param {Object} run - The run record from `beginRun`. The build records the new document in it and keeps its `stage` up to date for `rollbackRun` and error reports, takes the source selection from it, and opens the SVG templates and sponsor files through its `documentCache`, which the caller closes.
+ * @returns {{document: Document, removedCells: number, clippedCells: number, fadedCells: number, printPrepLog: (Array.<string>|null), sponsorSizes: Array.<{name: string, widthCm: number, heightCm: number}>}} The newly created hex document, the number of hex cells removed and clipped around the sponsor, the number removed or shrunk by the density fade, the print-prep changes (`null` if print prep was off), and each sponsor's size after scaling.
+ * @throws {Error} If any stage of the pipeline fails.
+ */
+function buildHexDocument(sourceDoc, config, assets, run) {
+    var product = config.product;
+    var sponsorPosition = config.position;
+    var slots = getSponsorSlots(config);
+    var documentCache = run.documentCache;
+    var sourceSelection = run.sourceSelection; // For slots that use the selection
+    var s;
+
+    run.stage = "creating the document";
+
+    // Create new document with centimeter units
+    var docPreset = new DocumentPreset();
+    docPreset.units = RulerUnits.Centimeters;  // Set units FIRST
+    docPreset.width = product.artboard.widthCm * POINTS_PER_CM;
+    docPreset.height = product.artboard.heightCm * POINTS_PER_CM;
+    docPreset.colorMode = DocumentColorSpace.CMYK;
+    if (product.bleedMm > 0) {
+        var bleedPt = product.bleedMm * POINTS_PER_CM / 10;
+        docPreset.documentBleedLink = true;
+        docPreset.documentBleedOffsetRect = [bleedPt, bleedPt, bleedPt, bleedPt];
+    }
 
-            // Update selection to exclude guides
-            sourceDoc.selection = filteredSelection;
-        }
 
-        if (sourceDoc.selection.length > 0) {
-            app.copy();
+    var newDoc = app.documents.addDocument("Print", docPreset);
+    run.newDocument = newDoc;
 
-            newDoc.activate();
-            sponsorLayer.locked = false;
-            newDoc.activeLayer = sponsorLayer;
-            app.paste();
+    app.preferences.setBooleanPreference("showTransparencyGrid", true);
 
-            // Scale the pasted sponsor content
-            // Target: 11cm wide or 8cm high (whichever is greater in original)
-            scaleToFit(newDoc.selection, 11, 8);
 
-            // Deselect all
-            newDoc.selection = null;
-        }
+    // Set ruler origin so that the top-left corner of the artboard is at 0,0
+    // Get the artboard bounds
+    var artboard = newDoc.artboards[0];
+    var artboardRect = artboard.artboardRect; // [left, top, right, bottom]
 
-        // Import HEX.svg into Hex layer
-        newDoc.activate();
-        newDoc.activeLayer = hexLayer;
-        hexLayer.locked = false;
-        importSVGByOpening(hexSVGFile, newDoc, hexLayer);
+    // Set ruler origin to the top-left corner of the artboard
+    newDoc.rulerOrigin = [artboardRect[0], artboardRect[1]];
 
-        // Apply selected color to hex layer
-        applyColorToLayer(hexLayer, hexColor);
+    // Remove the default layer
+    if (newDoc.layers.length > 0) {
+        newDoc.layers[0].remove();
+    }
 
-        // Import MASURI TAB.svg into Masuri Tab layer
-        newDoc.activate();
-        newDoc.activeLayer = masuriTabLayer;
-        masuriTabLayer.locked = false;
-        importSVGByOpening(masuriTabSVGFile, newDoc, masuriTabLayer);
+    // Create layers in order from bottom to top
+    // In Illustrator, the last layer added becomes the topmost layer
+    var sponsorLayer = newDoc.layers.add();
+    sponsorLayer.name = "Sponsor";
+
+    // One layer per sponsor slot, the main sponsor first
+    var slotLayers = [sponsorLayer];
+    for (s = 1; s < slots.length; s++) {
+        var slotLayer = newDoc.layers.add();
+        slotLayer.name = slots[s].name;
+        slotLayers.push(slotLayer);
+    }
 
-        // Import GUIDES.svg and convert to guides
-        var guidesLayer = importGuidesFromSVG(guidesSVGFile, newDoc);
+    var hexLayer = newDoc.layers.add();
+    hexLayer.name = "Hex";
 
-        // Group all items on each layer
-        groupLayerContents(sponsorLayer);
-        groupLayerContents(hexLayer);
-        groupLayerContents(masuriTabLayer);
-        if (guidesLayer) {
-            groupLayerContents(guidesLayer);
-            // Lock the Guides layer
-            guidesLayer.locked = true;
-        }
+    var masuriTabLayer = newDoc.layers.add();
+    masuriTabLayer.name = "Masuri Tab";
 
-        // Name the groups
-        if (sponsorLayer.groupItems.length > 0) {
-            sponsorLayer.groupItems[0].name = "Sponsor";
+    // Copy each slot's artwork into its layer, prepared for print if asked and scaled to the slot's fit box
+    run.stage = "copying the sponsor artwork";
+    var printPrepLog = config.printPrep ? [] : null;
+    var sponsorSizes = [];
+    for (s = 0; s < slots.length; s++) {
+        var size = copySponsorArtwork(sourceDoc, sourceSelection, newDoc, slotLayers[s], slots[s], config.lockedHidden || LOCKED_HIDDEN_MODES[0], config.scaling || null, printPrepLog, documentCache);
+        if (!size && s > 0) {
+            throw new Error("No artwork found for sponsor \"" + slots[s].name + "\".");
         }
-        if (hexLayer.groupItems.length > 0) {
-            hexLayer.groupItems[0].name = "Hex";
+        if (size) {
+            sponsorSizes.push({ name: slots[s].name, widthCm: size.widthCm, heightCm: size.heightCm });
         }
-        if (masuriTabLayer.groupItems.length > 0) {
-            masuriTabLayer.groupItems[0].name = "Masuri Tab";
+    }
+
+    // Recolour the sponsors for contrast against the hex colour
+    run.stage = "recolouring the sponsors";
+    var sponsorColor = resolveSponsorColor(config);
+    if (sponsorColor) {
+        var sponsorDocumentColor = createDocumentColor(newDoc, sponsorColor);
+        for (s = 0; s < slotLayers.length; s++) {
+            recolorSponsorLayer(slotLayers[s], sponsorDocumentColor);
         }
+    }
+
+    // Generate the hex pattern, or import HEX.svg, into Hex layer
+    run.stage = "building the hex pattern";
+    newDoc.activate();
+    newDoc.activeLayer = hexLayer;
+    hexLayer.locked = false;
+    if (config.pattern.source == "SVG asset") {
+        importSVGByOpening(assets.hex, newDoc, hexLayer, documentCache);
+    } else {
+        generateHexPattern(newDoc, hexLayer, extendPatternIntoBleed(config.pattern, product));
+    }
+
+    // Apply the selected colour, or colours, to the hex layer
+    applyHexFill(newDoc, hexLayer, config.color, config.fill || null, config.pattern);
 
-        // Position sponsor relative to hex layer (hex stays at natural import position)
-        positionSponsorLayer(sponsorLayer, hexLayer, sponsorPosition);
+    // Import MASURI TAB.svg into Masuri Tab layer
+    run.stage = "importing the Masuri Tab";
+    newDoc.activate();
+    newDoc.activeLayer = masuriTabLayer;
+    masuriTabLayer.locked = false;
+    importSVGByOpening(assets.masuriTab, newDoc, masuriTabLayer, documentCache);
 
-        // Remove hex paths that overlap with sponsor content
-        removeOverlappingHexPaths(hexLayer, sponsorLayer);
+    // Import GUIDES.svg and convert to guides
+    run.stage = "importing the guides";
+    var guidesLayer = importGuidesFromSVG(assets.guides, newDoc, product.guideOffsetCm, documentCache);
 
-        // Group hex and sponsor together and center on artboard
-        groupAndCenterLayers(newDoc, [sponsorLayer, hexLayer]);
+    // Group all items on each layer
+    run.stage = "grouping the layers";
+    for (s = 0; s < slotLayers.length; s++) {
+        groupLayerContents(slotLayers[s]);
+    }
+    groupLayerContents(hexLayer);
+    groupLayerContents(masuriTabLayer);
+    if (guidesLayer) {
+        groupLayerContents(guidesLayer);
+        // Lock the Guides layer
+        guidesLayer.locked = true;
+    }
 
-        // Position Masuri Tab layer based on sponsor position mode (after centering hex+sponsor)
-        if (sponsorPosition == "Bottom Sponsor") {
-            positionLayerGroup(masuriTabLayer, 5.7281, 18.8218);
-        } else if (sponsorPosition == "Middle Sponsor") {
-            positionLayerGroup(masuriTabLayer, 5.7281, 8.4713);
+    // Name the groups
+    for (s = 0; s < slotLayers.length; s++) {
+        if (slotLayers[s].groupItems.length > 0) {
+            slotLayers[s].groupItems[0].name = slots[s].name;
         }
+    }
+    if (hexLayer.groupItems.length > 0) {
+        hexLayer.groupItems[0].name = "Hex";
+    }
+    if (masuriTabLayer.groupItems.length > 0) {
+        masuriTabLayer.groupItems[0].name = "Masuri Tab";
+    }
 
-        // Group Masuri Tab with the centered hex+sponsor group into final "Artwork" group
-        var artworkGroups = [];
-        // Find the hex+sponsor "Artwork" group
-        for (var i = 0; i < newDoc.groupItems.length; i++) {
-            if (newDoc.groupItems[i].name == "Artwork") {
-                artworkGroups.push(newDoc.groupItems[i]);
-                break;
-            }
+    // Position each sponsor relative to hex layer (hex stays at natural import position); the tab follows the main sponsor
+    run.stage = "positioning the sponsors";
+    var placement = null;
+    for (s = 0; s < slots.length; s++) {
+        var slotPlacement = positionSponsorLayer(slotLayers[s], hexLayer, slots[s].position, slots[s].offsetCm, slots[s].fitHeightCm);
+        if (s === 0) {
+            placement = slotPlacement;
         }
-        // Add Masuri Tab group
-        if (masuriTabLayer.groupItems.length > 0) {
-            artworkGroups.push(masuriTabLayer.groupItems[0]);
+    }
+
+    // Remember where the full pattern is, so a re-edit can restore it
+    var hexBounds = getLayerBounds(hexLayer);
+
+    // Thin the pattern out before the sponsors are cut out, so the cut-out edges stay clean
+    run.stage = "fading the hex pattern";
+    var fadeResult = fadeHexCells(hexLayer, slotLayers, config.fade || null, config.pattern);
+
+    // Remove (or clip) hex paths that overlap with each sponsor's content
+    run.stage = "removing overlapping hex cells";
+    var clearancePt = config.clearanceMm * POINTS_PER_CM / 10;
+    var removedCells = 0;
+    var clippedCells = 0;
+    for (s = 0; s < slotLayers.length; s++) {
+        if (config.overlapMode == "Clip") {
+            var clipResult = clipOverlappingHexPaths(newDoc, hexLayer, slotLayers[s], clearancePt);
+            removedCells += clipResult.removed;
+            clippedCells += clipResult.clipped;
+        } else {
+            removedCells += removeOverlappingHexPaths(hexLayer, slotLayers[s], clearancePt);
         }
+    }
 
-        // Group them together
-        if (artworkGroups.length > 0) {
-            newDoc.selection = artworkGroups;
-            app.executeMenuCommand("group");
-            if (newDoc.selection.length > 0) {
-                newDoc.selection[0].name = "Artwork";
-                if (newDoc.selection[0].layer) {
-                    newDoc.selection[0].layer.name = "Artwork";
-                }
+    // Group hex and sponsors together and center on artboard
+    run.stage = "centring the artwork";
+    var centerOffset = groupAndCenterLayers(newDoc, slotLayers.concat([hexLayer]));
+
+    // Position Masuri Tab layer based on sponsor position mode (after centering hex+sponsor)
+    if (placement) {
+        for (var key in placement) {
+            placement[key] += centerOffset[1];
+        }
+    }
+    if (hexBounds) {
+        hexBounds = [hexBounds[0] + centerOffset[0], hexBounds[1] + centerOffset[1], hexBounds[2] + centerOffset[0], hexBounds[3] + centerOffset[1]];
+    }
+    positionMasuriTab(masuriTabLayer.groupItems.length > 0 ? masuriTabLayer.groupItems[0] : null, product, sponsorPosition, placement);
+
+    // Record how the pad was made, in the document's XMP metadata and the Artwork group's note
+    run.stage = "writing the job metadata";
+    var job = createJobRecord(config, slots, hexBounds, slots[0].file ? slots[0].file.fsName : getDocumentPath(sourceDoc));
+    writeJobMetadata(newDoc, job);
+
+    // Group Masuri Tab with the centered hex+sponsor group into final "Artwork" group
+    run.stage = "grouping the artwork";
+    var artworkGroups = [];
+    // Find the hex+sponsor "Artwork" group
+    for (var i = 0; i < newDoc.groupItems.length; i++) {
+        if (newDoc.groupItems[i].name == "Artwork") {
+            artworkGroups.push(newDoc.groupItems[i]);
+            break;
+        }
+    }
+    // Add Masuri Tab group
+    if (masuriTabLayer.groupItems.length > 0) {
+        artworkGroups.push(masuriTabLayer.groupItems[0]);
+    }
+
+    // Group them together
+    if (artworkGroups.length > 0) {
+        newDoc.selection = artworkGroups;
+        app.executeMenuCommand("group");
+        if (newDoc.selection.length > 0) {
+            newDoc.selection[0].name = "Artwork";
+            newDoc.selection[0].note = formatJobNote(job);
+            if (newDoc.selection[0].layer) {
+                newDoc.selection[0].layer.name = "Artwork";
             }
         }
+    }
 
-        // Remove any empty layers
-        removeEmptyLayers(newDoc);
+    // Add the product's safe area and die-line on top of everything else
+    run.stage = "adding the safe area and die-line";
+    if (product.safeAreaMm !== null) {
+        addSafeAreaLayer(newDoc, product);
+    }
+    if (product.dieLine) {
+        addDieLineLayer(newDoc, product);
+    }
 
-        // Deselect all
-        newDoc.selection = null;
+    // Remove any empty layers
+    removeEmptyLayers(newDoc);
 
-        alert("Hex created successfully!");
+    // Deselect all
+    newDoc.selection = null;
 
-    } catch (e) {
-        alert("Error: " + e.message + "\nLine: " + e.line);
-    }
+    return { document: newDoc, removedCells: removedCells, clippedCells: clippedCells, fadedCells: fadeResult.removed + fadeResult.shrunk, printPrepLog: printPrepLog, sponsorSizes: sponsorSizes };
 }
 
 /**
- * Import SVG content into a specific layer of a target document by opening the SVG and copying its active-artboard contents.
- * @param {File} svgFile - The SVG file to open and import.
- * @param {Document} targetDoc - The Illustrator document that will receive the pasted content.
- * @param {Layer} targetLayer - The layer in the target document where the SVG content will be pasted.
- * @throws {Error} If the SVG cannot be opened or the import/paste operation fails; the thrown error contains a descriptive message.
+ * Re-edit a document built by `buildHexDocument`, keeping any manual changes to the sponsor artwork.
+ *
+ * The full pattern is rebuilt from the stored job settings (grown into the bleed as when it was built, see `extendPatternIntoBleed`) on a temporary layer, placed over the original pattern's bounds, and recoloured. If the position changed, the main sponsor is moved to it and the Masuri Tab follows (see `positionMasuriTab`); otherwise neither is moved. The stored density fade is applied again with the same seed (see `fadeHexCells`), then overlap removal (or clipping) is redone for every sponsor. Only then does the new pattern replace the Hex group; if any step fails, the new pattern is dropped and the sponsor and Masuri Tab are moved back, so the document is left as it was. Sponsors made with "Auto-contrast" are then recoloured against the new hex colour, and the stored job settings and XMP metadata are updated. The pad is not re-centred, so everything else stays where it is. Shows no prompts.
+ * @param {Document} doc - The hex document, which must be the active document.
+ * @param {Object} parts - The document's groups and job settings from `findHexDocumentParts`.
+ * @param {{color: Object, position: string, sponsorOffsetCm: (number|null), clearanceMm: number, overlapMode: string}} changes - The new settings from `showEditDialog`.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`; the job's product is looked up by name.
+ * @param {{stage: string}} run - The run record (see `beginRun`); `stage` is kept up to date, so an error can say which step failed.
+ * @returns {{document: Document, removedCells: number, clippedCells: number, fadedCells: number}} The edited document, the number of hex cells removed and clipped around the sponsors, and the number removed or shrunk by the density fade.
+ * @throws {Error} If the job's product or pattern asset is missing, or any step fails.
  */
-function importSVGByOpening(svgFile, targetDoc, targetLayer) {
+function editHexDocument(doc, parts, changes, products, run) {
+    var job = parts.job;
+    var product = findProduct(job.product, products);
+    if (!product) {
+        throw new Error("The product \"" + job.product + "\" this document was made for is no longer in products.json.");
+    }
+    var assets = getAssetFiles(product);
+    if (job.pattern.source == "SVG asset" && !assets.hex.exists) {
+        throw new Error(assets.hex.displayName + " not found at: " + assets.hex.fsName);
+    }
+    var s;
+
+    // Move the main sponsor and the Masuri Tab only if the position changed, so manual nudges survive a recolour
+    var mainSlot = job.sponsors[0];
+    var moved = changes.position != mainSlot.position || changes.sponsorOffsetCm != mainSlot.offsetCm;
+    var movedItems = moved ? [parts.sponsors[0]] : [];
+    if (moved && parts.masuriTab) {
+        movedItems.push(parts.masuriTab);
+    }
+    var movedBounds = [];
+    for (s = 0; s < movedItems.length; s++) {
+        movedBounds.push(movedItems[s].geometricBounds);
+    }
+
+    // Build the full pattern on a temporary layer where the original pattern was; the original stays until every step has worked
+    run.stage = "rebuilding the hex pattern";
+    var patternLayer = doc.layers.add();
+    patternLayer.name = "Hex";
+    var fadeResult;
+    var removedCells = 0;
+    var clippedCells = 0;
     try {
-        // Open the SVG file as an Illustrator document
-        var svgDoc = app.open(svgFile);
+        var documentCache = createDocumentCache();
+        try {
+            doc.activeLayer = patternLayer;
+            if (job.pattern.source == "SVG asset") {
+                importSVGByOpening(assets.hex, doc, patternLayer, documentCache);
+            } else {
+                generateHexPattern(doc, patternLayer, extendPatternIntoBleed(job.pattern, product));
+            }
+        } finally {
+            closeDocumentCache(documentCache);
+            doc.activate();
+        }
+        groupLayerContents(patternLayer);
+        if (patternLayer.groupItems.length === 0) {
+            throw new Error("The hex pattern came out empty.");
+        }
+        var hexGroup = patternLayer.groupItems[0];
+        var bounds = hexGroup.geometricBounds;
+        hexGroup.translate(job.hexBounds[0] - bounds[0], job.hexBounds[1] - bounds[1]);
 
-        // Select all content in the SVG
-        svgDoc.selectObjectsOnActiveArtboard();
+        run.stage = "filling the hex pattern";
+        applyHexFill(doc, hexGroup, changes.color, job.fill || null, job.pattern);
 
-        if (svgDoc.selection.length > 0) {
-            // Copy the content
-            app.copy();
+        if (moved) {
+            run.stage = "positioning the sponsor";
+            var placement = positionSponsorLayer(parts.sponsors[0], hexGroup, changes.position, changes.sponsorOffsetCm, mainSlot.fitHeightCm);
+            positionMasuriTab(parts.masuriTab, product, changes.position, placement);
+        }
 
-            // Switch to target document
-            targetDoc.activate();
-            targetDoc.activeLayer = targetLayer;
+        run.stage = "fading the hex pattern";
+        fadeResult = fadeHexCells(hexGroup, parts.sponsors, job.fade || null, job.pattern);
+
+        // Cut the sponsors out of the full pattern again
+        run.stage = "removing overlapping hex cells";
+        var clearancePt = changes.clearanceMm * POINTS_PER_CM / 10;
+        for (s = 0; s < parts.sponsors.length; s++) {
+            if (changes.overlapMode == "Clip") {
+                var clipResult = clipOverlappingHexPaths(doc, hexGroup, parts.sponsors[s], clearancePt);
+                removedCells += clipResult.removed;
+                clippedCells += clipResult.clipped;
+            } else {
+                removedCells += removeOverlappingHexPaths(hexGroup, parts.sponsors[s], clearancePt);
+            }
+        }
 
-            // Paste the content
-            app.paste();
+        run.stage = "replacing the hex pattern";
+        hexGroup.move(parts.hex, ElementPlacement.PLACEBEFORE);
+        hexGroup.name = "Hex";
+        parts.hex.remove();
+    } catch (e) {
+        // The new pattern goes with the temporary layer; put back what was moved
+        for (s = 0; s < movedItems.length; s++) {
+            try {
+                var movedTo = movedItems[s].geometricBounds;
+                movedItems[s].translate(movedBounds[s][0] - movedTo[0], movedBounds[s][1] - movedTo[1]);
+            } catch (restoreError) {
+                // Leave it where it is
+            }
         }
+        throw e;
+    } finally {
+        patternLayer.remove();
+    }
 
-        // Close the SVG document without saving
-        svgDoc.close(SaveOptions.DONOTSAVECHANGES);
+    // Auto-contrast depends on the hex colour, so pick black or white again
+    if (job.sponsorColorMode == "Auto-contrast") {
+        run.stage = "recolouring the sponsors";
+        var sponsorColor = createDocumentColor(doc, resolveSponsorColor({ sponsorColorMode: job.sponsorColorMode, color: changes.color }));
+        for (s = 0; s < parts.sponsors.length; s++) {
+            recolorSponsorLayer(parts.sponsors[s], sponsorColor);
+        }
+    }
 
-        // Return to target document
-        targetDoc.activate();
+    // Record the new settings for the next edit
+    run.stage = "writing the job metadata";
+    mainSlot.position = changes.position;
+    mainSlot.offsetCm = changes.sponsorOffsetCm;
+    job.color = changes.color;
+    job.clearanceMm = changes.clearanceMm;
+    job.overlapMode = changes.overlapMode;
+    job.edited = formatISODate(new Date());
+    parts.artwork.note = formatJobNote(job);
+    writeJobMetadata(doc, job);
 
-    } catch (e) {
-        throw new Error("Failed to import SVG: " + e.message);
-    }
+    doc.selection = null;
+
+    return { document: doc, removedCells: removedCells, clippedCells: clippedCells, fadedCells: fadeResult.removed + fadeResult.shrunk };
 }
 
 /**
- * Group all page items on the given layer into a single group.
- *
- * Clears the document selection before and after grouping; if the layer has no page items nothing is changed.
+ * Recognise a document built by `buildHexDocument` from its groups and the job settings stored on the Artwork group.
  *
- * @param {Layer} layer - The layer whose page items will be grouped.
- * @throws {Error} If grouping fails.
+ * Expects a top-level "Artwork" group carrying a job note (see `formatJobNote`), holding an inner "Artwork" group with the "Hex" group and one group per sponsor slot, and normally a "Masuri Tab" group.
+ * @param {Document} doc - The document to inspect.
+ * @returns {({artwork: GroupItem, hex: GroupItem, sponsors: Array.<GroupItem>, masuriTab: (GroupItem|null), job: Object}|null)} The groups, with the sponsor groups in slot order, and the stored job settings; `null` if this isn't a HexMaker document or its structure has been changed.
  */
-function groupLayerContents(layer) {
-    try {
-        var doc = app.activeDocument;
+function findHexDocumentParts(doc) {
+    for (var l = 0; l < doc.layers.length; l++) {
+        var artwork = findGroupByName(doc.layers[l].groupItems, "Artwork");
+        var job = artwork ? readJobNote(artwork.note) : null;
+        if (!job) {
+            continue;
+        }
 
-        // Clear selection
-        doc.selection = null;
+        var inner = findGroupByName(artwork.groupItems, "Artwork");
+        var hex = inner ? findGroupByName(inner.groupItems, "Hex") : null;
+        if (!hex) {
+            return null;
+        }
 
-        // Select all page items on this layer
-        var items = layer.pageItems;
-        if (items.length > 0) {
-            // Build selection array
-            var selectionArray = [];
-            for (var i = 0; i < items.length; i++) {
-                selectionArray.push(items[i]);
+        var sponsors = [];
+        for (var s = 0; s < job.sponsors.length; s++) {
+            var sponsor = findGroupByName(inner.groupItems, job.sponsors[s].name);
+            if (!sponsor) {
+                return null;
             }
+            sponsors.push(sponsor);
+        }
 
-            // Set the selection
-            doc.selection = selectionArray;
+        return {
+            artwork: artwork,
+            hex: hex,
+            sponsors: sponsors,
+            masuriTab: findGroupByName(artwork.groupItems, "Masuri Tab"),
+            job: job
+        };
+    }
+    return null;
+}
 
-            // Group the selection using the built-in group method
-            if (doc.selection.length > 0) {
-                app.executeMenuCommand("group");
+/**
+ * Find a group by name among the given groups (`getByName` throws when there is none).
+ * @param {GroupItems} groups - The groups to search, e.g. a layer's or group's `groupItems`.
+ * @param {string} name - The group name.
+ * @returns {(GroupItem|null)} The first group with that name, or `null`.
+ */
+function findGroupByName(groups, name) {
+    for (var i = 0; i < groups.length; i++) {
+        if (groups[i].name == name) {
+            return groups[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Collect the settings a document was built with, for the job note on its Artwork group and its XMP metadata.
+ *
+ * Besides the settings, the record holds the source document's path, each file slot's path, `SCRIPT_VERSION` and the generation date; `editHexDocument` adds an `edited` date.
+ * @param {Object} config - The job settings (see `buildHexDocument`).
+ * @param {Array.<Object>} slots - The sponsor slots from `getSponsorSlots`.
+ * @param {(Array.<number>|null)} hexBounds - `[left, top, right, bottom]` of the full hex pattern, before any cells were removed, where it ended up on the artboard; `null` if the pattern is empty.
+ * @param {string} sourceFile - Path of the document the main sponsor came from (see `getDocumentPath`).
+ * @returns {Object} The job record read back by `readJobNote`.
+ */
+function createJobRecord(config, slots, hexBounds, sourceFile) {
+    var sponsors = [];
+    for (var s = 0; s < slots.length; s++) {
+        sponsors.push({
+            name: slots[s].name,
+            position: slots[s].position,
+            offsetCm: slots[s].offsetCm,
+            fitWidthCm: slots[s].fitWidthCm,
+            fitHeightCm: slots[s].fitHeightCm,
+            file: slots[s].file ? slots[s].file.fsName : null
+        });
+    }
+    return {
+        scriptVersion: SCRIPT_VERSION,
+        generated: formatISODate(new Date()),
+        sourceFile: sourceFile,
+        product: config.product.name,
+        bleedMm: config.product.bleedMm,
+        color: config.color,
+        sponsors: sponsors,
+        sponsorColorMode: config.sponsorColorMode || SPONSOR_COLOR_MODES[0],
+        fill: config.fill || null,
+        fade: config.fade || null,
+        scaling: config.scaling || null,
+        clearanceMm: config.clearanceMm,
+        overlapMode: config.overlapMode,
+        pattern: config.pattern,
+        hexBounds: hexBounds
+    };
+}
+
+/**
+ * Write a job record into a document's XMP metadata, so other tools can tell how a pad was made without opening it in HexMaker.
+ *
+ * The properties go in the `XMP_NAMESPACE` namespace (prefix `hexmaker`): `Product`, `Colour`, `ColourCMYK`, `SpotColour`, `Position`, `OffsetCm`, `SourceFile`, `ScriptVersion`, `Generated`, `Edited`, and `Job`, which holds the whole record as JSON, exactly as in the Artwork group's note. Properties the record doesn't have are removed, so an edit never leaves stale values behind.
+ * @param {Document} doc - The hex document.
+ * @param {Object} job - The job record from `createJobRecord`.
+ * @throws {Error} If the XMP library can't be loaded or the metadata can't be written.
+ */
+function writeJobMetadata(doc, job) {
+    try {
+        if (!ExternalObject.AdobeXMPScript) {
+            ExternalObject.AdobeXMPScript = new ExternalObject("lib:AdobeXMPScript");
+        }
+        XMPMeta.registerNamespace(XMP_NAMESPACE, "hexmaker");
+        var xmp = new XMPMeta(doc.XMPString);
+
+        var mainSlot = job.sponsors[0];
+        var properties = {
+            Product: job.product,
+            Colour: job.color.name,
+            ColourCMYK: job.color.cmyk.join(","),
+            SpotColour: job.color.spot || null,
+            Position: mainSlot.position,
+            OffsetCm: mainSlot.offsetCm === null ? null : String(mainSlot.offsetCm),
+            SourceFile: job.sourceFile,
+            ScriptVersion: job.scriptVersion,
+            Generated: job.generated,
+            Edited: job.edited || null,
+            Job: formatJSON(job)
+        };
+        for (var name in properties) {
+            xmp.deleteProperty(XMP_NAMESPACE, name);
+            if (properties[name] !== null && properties[name] !== undefined) {
+                xmp.setProperty(XMP_NAMESPACE, name, properties[name]);
             }
         }
 
-        // Clear selection
-        doc.selection = null;
+        doc.XMPString = xmp.serialize(XMPConst.SERIALIZE_OMIT_PACKET_WRAPPER);
 
     } catch (e) {
-        throw new Error("Failed to group layer contents: " + e.message);
+        throw new Error("Failed to write XMP metadata: " + e.message);
     }
 }
 
 /**
- * Aligns the top-left corner of the first group on a layer to the specified coordinates (in centimeters).
- *
- * Positions the group's bounding box so its top-left corner sits at (xCm, yCm). The Y coordinate is measured downward from the document ruler origin (top-left).
- * @param {Layer} layer - Layer whose first groupItem will be positioned; no action if the layer has no groupItems.
- * @param {number} xCm - Target X coordinate in centimeters from the left ruler origin.
- * @param {number} yCm - Target Y coordinate in centimeters from the top ruler origin (measured downward).
- * @throws {Error} If positioning fails.
+ * Full path of a document's file, for the job record.
+ * @param {Document} doc - The document.
+ * @returns {string} The file path, or just the document name for a document that has never been saved.
  */
-function positionLayerGroup(layer, xCm, yCm) {
+function getDocumentPath(doc) {
     try {
-        // Convert cm to points
-        var xPoints = xCm * POINTS_PER_CM;
-        var yPoints = yCm * POINTS_PER_CM;
-
-        // Get the first groupItem on the layer (created by groupLayerContents)
-        if (layer.groupItems.length > 0) {
-            var group = layer.groupItems[0];
+        return doc.fullName.fsName;
+    } catch (e) {
+        return doc.name; // Unsaved documents have no file path
+    }
+}
 
-            // Get current position (top-left of bounding box)
-            var bounds = group.geometricBounds; // [left, top, right, bottom]
-            var currentLeft = bounds[0];
-            var currentTop = bounds[1];
+/**
+ * Format a date as ISO 8601 with the local time zone, e.g. "2025-01-31T14:05:00+11:00", as used for XMP dates.
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+function formatISODate(date) {
+    /**
+     * Pad a number to two digits.
+     * @param {number} value - The number.
+     * @returns {string} The padded number.
+     */
+    function pad(value) {
+        return (value < 10 ? "0" : "") + value;
+    }
+    var offset = -date.getTimezoneOffset();
+    var zone = (offset < 0 ? "-" : "+") + pad(Math.floor(Math.abs(offset) / 60)) + ":" + pad(Math.abs(offset) % 60);
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) +
+        "T" + pad(date.getHours()) + ":" + pad(date.getMinutes()) + ":" + pad(date.getSeconds()) + zone;
+}
 
-            // Calculate how much to move
-            // In Illustrator, Y increases upward, so moving down is negative
-            var deltaX = xPoints - currentLeft;
-            var deltaY = -yPoints - currentTop; // Negative because we're moving down from top
+/**
+ * Write a job record as the note stored on the Artwork group.
+ * @param {Object} job - The job record from `createJobRecord`.
+ * @returns {string} `JOB_NOTE_PREFIX` followed by the record as JSON.
+ */
+function formatJobNote(job) {
+    return JOB_NOTE_PREFIX + formatJSON(job);
+}
 
-            // Translate the group
-            group.translate(deltaX, deltaY);
+/**
+ * Read the job record back from an Artwork group's note (see `formatJobNote`).
+ * @param {string} note - The group's note.
+ * @returns {(Object|null)} The job record, or `null` if the note isn't a HexMaker job note or can't be read.
+ */
+function readJobNote(note) {
+    if (!note || note.indexOf(JOB_NOTE_PREFIX) !== 0) {
+        return null;
+    }
+    try {
+        var job = parseJSON(note.substring(JOB_NOTE_PREFIX.length));
+        if (!job.color || !(job.sponsors instanceof Array) || job.sponsors.length === 0 || !job.pattern || !(job.hexBounds instanceof Array)) {
+            return null;
         }
+        return job;
     } catch (e) {
-        throw new Error("Failed to position layer group: " + e.message);
+        return null;
     }
 }
 
 /**
- * Resize the given selection uniformly to fit within the specified width and height (centimeters) while preserving aspect ratio.
+ * Prepare a sponsor slot's pasted artwork for print, before it is scaled.
  *
- * The selection is scaled so its combined bounding box fits inside the target box; the smaller of the width- and height-based scale factors is used. No action is taken for a null or empty selection.
- *
- * @param {Array} selection - Array of page items to scale (e.g., selection array or group items).
- * @param {number} targetWidthCm - Target maximum width in centimeters.
- * @param {number} targetHeightCm - Target maximum height in centimeters.
- * @throws {Error} If resizing fails, an error is thrown with a descriptive message.
+ * In order: clipping masks that don't hide anything are released, text is converted to outlines, strokes are outlined and appearances expanded (so scaling can't change stroke weights), and every fill and stroke, including gradient stops, is converted to CMYK. Spot colours become their CMYK alternates at the same tint; RGB and Lab colours and RGB images are converted with Illustrator's colour management.
+ * @param {Document} doc - The hex document.
+ * @param {Layer} layer - The slot's layer, holding only the pasted artwork.
+ * @returns {Array.<string>} What was changed, one line per kind of change; empty if nothing needed changing.
  */
-function scaleToFit(selection, targetWidthCm, targetHeightCm) {
-    try {
-        var i;
+function prepareSponsorForPrint(doc, layer) {
+    var log = [];
+    var items;
+    var i;
+
+    // Release clipping masks whose clipping path contains everything in the group
+    var released = releaseUnneededClippingMasks(layer.groupItems);
+    if (released > 0) {
+        log.push("Released " + released + " unneeded clipping mask(s)");
+    }
 
-        if (!selection || selection.length === 0) {
-            return;
+    // Outline text
+    items = [];
+    collectLeafItems(layer.pageItems, items);
+    var textFrames = 0;
+    var strokes = 0;
+    for (i = 0; i < items.length; i++) {
+        if (items[i].typename == "TextFrame") {
+            textFrames++;
+        } else if (items[i].typename == "PathItem" && items[i].stroked && !items[i].clipping) {
+            strokes++;
         }
+    }
+    if (textFrames > 0) {
+        selectLayerContents(doc, layer);
+        app.executeMenuCommand("outline");
+        log.push("Outlined " + textFrames + " text frame(s)");
+    }
 
-        // Convert target dimensions from cm to points
-        var targetWidthPt = targetWidthCm * POINTS_PER_CM;
-        var targetHeightPt = targetHeightCm * POINTS_PER_CM;
+    // Outline strokes and expand appearances
+    if (strokes > 0) {
+        selectLayerContents(doc, layer);
+        app.executeMenuCommand("OffsetPath v22"); // Object > Path > Outline Stroke
+        log.push("Expanded " + strokes + " stroke(s)");
+    }
+    var countBefore = layer.pageItems.length;
+    selectLayerContents(doc, layer);
+    app.executeMenuCommand("expandStyle");
+    if (layer.pageItems.length != countBefore) {
+        log.push("Expanded appearances (" + countBefore + " to " + layer.pageItems.length + " items)");
+    }
 
-        // Get bounding box of selection
-        var bounds = selection[0].geometricBounds;
-        for (i = 1; i < selection.length; i++) {
-            var itemBounds = selection[i].geometricBounds;
-            bounds[0] = Math.min(bounds[0], itemBounds[0]); // left
-            bounds[1] = Math.max(bounds[1], itemBounds[1]); // top
-            bounds[2] = Math.max(bounds[2], itemBounds[2]); // right
-            bounds[3] = Math.min(bounds[3], itemBounds[3]); // bottom
+    // Convert fills and strokes to CMYK
+    items = [];
+    collectLeafItems(layer.pageItems, items);
+    var converted = 0;
+    var rgbImages = 0;
+    for (i = 0; i < items.length; i++) {
+        var paths = [];
+        if (items[i].typename == "PathItem") {
+            paths.push(items[i]);
+        } else if (items[i].typename == "CompoundPathItem") {
+            for (var j = 0; j < items[i].pathItems.length; j++) {
+                paths.push(items[i].pathItems[j]);
+            }
+        } else if (items[i].typename == "RasterItem" && items[i].imageColorSpace == ImageColorSpace.RGB) {
+            rgbImages++;
         }
 
-        // Calculate current dimensions
-        var currentWidth = bounds[2] - bounds[0];
-        var currentHeight = bounds[1] - bounds[3];
+        var changed = false;
+        for (var p = 0; p < paths.length; p++) {
+            var fill = paths[p].filled ? convertToCMYK(paths[p].fillColor) : null;
+            var stroke = paths[p].stroked ? convertToCMYK(paths[p].strokeColor) : null;
+            if (fill) {
+                paths[p].fillColor = fill;
+                changed = true;
+            }
+            if (stroke) {
+                paths[p].strokeColor = stroke;
+                changed = true;
+            }
+        }
+        if (changed) {
+            converted++;
+        }
+    }
+    if (converted > 0) {
+        log.push("Converted colours to CMYK on " + converted + " item(s)");
+    }
+    if (rgbImages > 0) {
+        selectLayerContents(doc, layer);
+        app.executeMenuCommand("Colors8"); // Edit > Edit Colors > Convert to CMYK
+        log.push("Converted " + rgbImages + " RGB image(s) to CMYK");
+    }
+
+    doc.selection = null;
+    return log;
+}
 
-        // Calculate scale factors for each dimension
-        var scaleX = (targetWidthPt / currentWidth) * 100; // Convert to percentage
-        var scaleY = (targetHeightPt / currentHeight) * 100;
+/**
+ * Release clipping masks that don't hide anything: groups whose clipping path's bounds contain all of the group's other contents.
+ * Nested groups are checked too.
+ * @param {GroupItems} groups - The groups to check.
+ * @returns {number} The number of clipping masks released.
+ */
+function releaseUnneededClippingMasks(groups) {
+    var released = 0;
+    var list = [];
+    for (var i = 0; i < groups.length; i++) {
+        list.push(groups[i]);
+    }
 
-        // Use the smaller scale factor to ensure it fits within the target box
-        var scaleFactor = Math.min(scaleX, scaleY);
+    for (i = 0; i < list.length; i++) {
+        var group = list[i];
+        released += releaseUnneededClippingMasks(group.groupItems);
 
-        // Apply uniform scaling to all selected items
-        for (i = 0; i < selection.length; i++) {
-            selection[i].resize(scaleFactor, scaleFactor);
+        if (!group.clipped) {
+            continue;
         }
 
-    } catch (e) {
-        throw new Error("Failed to scale selection: " + e.message);
+        var clippingPath = null;
+        var contentBounds = null;
+        for (var j = 0; j < group.pageItems.length; j++) {
+            var item = group.pageItems[j];
+            if (item.clipping) {
+                clippingPath = item;
+            } else {
+                var b = item.geometricBounds; // [left, top, right, bottom]
+                contentBounds = contentBounds ? [Math.min(contentBounds[0], b[0]), Math.max(contentBounds[1], b[1]), Math.max(contentBounds[2], b[2]), Math.min(contentBounds[3], b[3])] : b;
+            }
+        }
+        if (!clippingPath || !contentBounds) {
+            continue;
+        }
+
+        // Allow for rounding in the bounds
+        var maskBounds = clippingPath.geometricBounds;
+        var tolerance = 0.01;
+        if (contentBounds[0] >= maskBounds[0] - tolerance && contentBounds[1] <= maskBounds[1] + tolerance &&
+            contentBounds[2] <= maskBounds[2] + tolerance && contentBounds[3] >= maskBounds[3] - tolerance) {
+            group.clipped = false;
+            clippingPath.remove();
+            released++;
+        }
     }
+
+    return released;
 }
 
 /**
- * Presents a dialog to choose a Hex color and sponsor position.
- *
- * Shows a configuration window with a color dropdown and a sponsor-position dropdown and returns the selected values, or `null` if the user cancels.
- * @returns {{color: RGBColor, position: string} | null} `color` is an Illustrator `RGBColor` for the selected hex color; `position` is either "Bottom Sponsor" or "Middle Sponsor".
+ * Convert a colour to its CMYK equivalent for print.
+ * Spot colours use their alternate colour scaled by the tint; RGB, Lab and grayscale colours are converted by Illustrator; gradients are converted stop by stop, in place.
+ * @param {Color} color - The colour to convert.
+ * @returns {(CMYKColor|GradientColor|null)} The converted colour, or `null` if it is already CMYK (or no colour).
  */
-
-function showConfigDialog() {
-    // Create dialog window
-    var dialog = new Window("dialog", "Hex Document Configuration");
-    dialog.orientation = "column";
-    dialog.alignChildren = ["fill", "top"];
-
-    // Add hex color dropdown group
-    var colorGroup = dialog.add("group");
-    colorGroup.orientation = "row";
-    var colorLabel = colorGroup.add("statictext", undefined, "Hex Color:");
-    colorLabel.preferredSize.width = 120;
-
-    var colorDropdown = colorGroup.add("dropdownlist", undefined, ["Black", "White", "Navy", "Yellow", "Pink", "Red", "Maroon", "Green", "Lime Green", "Emerald Green", "Bottle Green", "Light Blue", "Royal Blue"]);
-    colorDropdown.selection = 0; // Default to Black
-    colorDropdown.preferredSize.width = 200;
-
-    // Add sponsor position dropdown group
-    var positionGroup = dialog.add("group");
-    positionGroup.orientation = "row";
-    var positionLabel = positionGroup.add("statictext", undefined, "Sponsor Position:");
-    positionLabel.preferredSize.width = 120;
-
-    var positionDropdown = positionGroup.add("dropdownlist", undefined, ["Bottom Sponsor", "Middle Sponsor"]);
-    positionDropdown.selection = 0; // Default to Normal
-    positionDropdown.preferredSize.width = 200;
-
-    // Add buttons
-    var buttonGroup = dialog.add("group");
-    buttonGroup.orientation = "row";
-    buttonGroup.alignment = "center";
-
-    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
-    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
-
-    // Show dialog and get result
-    if (dialog.show() == 1) {
-        // User clicked OK
-        var selectedColor = colorDropdown.selection.text;
-        var selectedPosition = positionDropdown.selection.text;
-
-        // Create RGB color based on selection using hex codes
-        var rgbColor;
-
-        if (selectedColor == "Black") {
-            rgbColor = hexToRGB("#000000");
-        } else if (selectedColor == "White") {
-            rgbColor = hexToRGB("#FFFFFF");
-        } else if (selectedColor == "Navy") {
-            rgbColor = hexToRGB("#072441");
-        } else if (selectedColor == "Yellow") {
-            rgbColor = hexToRGB("#FBBA00");
-        } else if (selectedColor == "Pink") {
-            rgbColor = hexToRGB("#E14498");
-        } else if (selectedColor == "Red") {
-            rgbColor = hexToRGB("#C42939");
-        } else if (selectedColor == "Maroon") {
-            rgbColor = hexToRGB("#621122");
-        } else if (selectedColor == "Green") {
-            rgbColor = hexToRGB("#6B9B38");
-        } else if (selectedColor == "Lime Green") {
-            rgbColor = hexToRGB("#70BE46");
-        } else if (selectedColor == "Emerald Green") {
-            rgbColor = hexToRGB("#00673A");
-        } else if (selectedColor == "Bottle Green") {
-            rgbColor = hexToRGB("#00523F");
-        } else if (selectedColor == "Light Blue") {
-            rgbColor = hexToRGB("#00B9ED");
-        } else if (selectedColor == "Royal Blue") {
-            rgbColor = hexToRGB("#005EA3");
-        }
-
-
-        // Return both color and position
-        return {
-            color: rgbColor,
-            position: selectedPosition
-        };
+function convertToCMYK(color) {
+    var cmyk = null;
+    var values;
+
+    if (color.typename == "SpotColor") {
+        var alternate = color.spot.color;
+        if (alternate.typename != "CMYKColor") {
+            alternate = convertToCMYK(alternate);
+        }
+        if (!alternate) {
+            return null;
+        }
+        var tint = color.tint / 100;
+        values = [alternate.cyan * tint, alternate.magenta * tint, alternate.yellow * tint, alternate.black * tint];
+    } else if (color.typename == "RGBColor") {
+        values = app.convertSampleColor(ImageColorSpace.RGB, [color.red, color.green, color.blue], ImageColorSpace.CMYK, ColorConvertPurpose.defaultpurpose);
+    } else if (color.typename == "LabColor") {
+        values = app.convertSampleColor(ImageColorSpace.LAB, [color.l, color.a, color.b], ImageColorSpace.CMYK, ColorConvertPurpose.defaultpurpose);
+    } else if (color.typename == "GrayColor") {
+        values = [0, 0, 0, color.gray];
+    } else if (color.typename == "GradientColor") {
+        var stops = color.gradient.gradientStops;
+        var changed = false;
+        for (var i = 0; i < stops.length; i++) {
+            var stopColor = convertToCMYK(stops[i].color);
+            if (stopColor) {
+                stops[i].color = stopColor;
+                changed = true;
+            }
+        }
+        return changed ? color : null;
     } else {
-        // User cancelled
-        return null;
+        return null; // Already CMYK, or no colour
     }
+
+    cmyk = new CMYKColor();
+    cmyk.cyan = values[0];
+    cmyk.magenta = values[1];
+    cmyk.yellow = values[2];
+    cmyk.black = values[3];
+    return cmyk;
 }
 
 /**
- * Sets the fill color for every path on the specified layer.
- *
- * Recursively traverses GroupItem and CompoundPathItem structures, enables fill with the provided RGBColor, and disables stroke on each PathItem.
- * @param {Layer} layer - The Illustrator layer whose path items will be recolored.
- * @param {RGBColor} rgbColor - The RGBColor to apply to each PathItem's fill.
- * @throws {Error} If an error occurs while traversing or modifying layer items.
+ * List the sponsor slots for a job: the main sponsor, which comes from the chosen sponsor source and uses the product's fit box, followed by any additional slots.
+ * @param {Object} config - The job settings (see `buildHexDocument`).
+ * @returns {Array.<Object>} The sponsor slots (see `parseSponsorSlot`).
  */
-function applyColorToLayer(layer, rgbColor) {
-    try {
-        /**
-         * Apply the script's `rgbColor` to every PathItem in the given collection, recursing into groups and compound paths.
-         *
-         * For each PathItem this enables fill, sets its `fillColor` to the outer-scope `rgbColor`, and disables stroke.
-         * Traverses GroupItem.pageItems and CompoundPathItem.pathItems recursively.
-         *
-         * @param {Array} items - An array or collection of page items (PathItem, GroupItem, CompoundPathItem) to process.
-         */
-        function applyColorToItems(items) {
-            for (var i = 0; i < items.length; i++) {
-                var item = items[i];
+function getSponsorSlots(config) {
+    return [{
+        name: "Sponsor",
+        source: config.sponsorSource || "Active artboard",
+        artboard: config.sponsorArtboard || null,
+        file: config.sponsorSource == "File" ? config.sponsorFile : null,
+        position: config.position,
+        offsetCm: config.sponsorOffsetCm,
+        fitWidthCm: config.product.sponsorFit.widthCm,
+        fitHeightCm: config.product.sponsorFit.heightCm
+    }].concat(config.extraSponsors || []);
+}
 
-                // If it's a path item, apply the color
-                if (item.typename == "PathItem") {
-                    item.filled = true;
-                    item.fillColor = rgbColor;
-                    item.stroked = false;
-                }
-                // If it's a group or compound path, recurse into it
-                else if (item.typename == "GroupItem") {
-                    applyColorToItems(item.pageItems);
-                }
-                else if (item.typename == "CompoundPathItem") {
-                    applyColorToItems(item.pathItems);
-                }
+/**
+ * List a sponsor slot's artwork in the document it comes from, leaving out guides. The document's selection is left alone.
+ *
+ * "Current selection" takes the items that were selected when the run started; the other sources take everything on the slot's artboard (see `getSlotArtboardIndex` and `collectArtboardItems`). Hidden and locked items on the artboard are only included for the "Include" mode; nested ones are dealt with after copying (see `settleLockedHiddenItems`).
+ * @param {Document} slotDoc - The document holding the slot's artwork (the source document, or the slot's file).
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`).
+ * @param {Array.<PageItem>} sourceSelection - The items selected in the source document when the run started.
+ * @param {string} lockedHidden - One of `LOCKED_HIDDEN_MODES`.
+ * @returns {Array.<PageItem>} The items, topmost first; empty if there is nothing to copy.
+ * @throws {Error} If the slot's artboard doesn't exist in the document.
+ */
+function getSponsorItems(slotDoc, slot, sourceSelection, lockedHidden) {
+    if (slot.source == "Current selection") {
+        var items = [];
+        for (var i = 0; i < sourceSelection.length; i++) {
+            if (!sourceSelection[i].guides) {
+                items.push(sourceSelection[i]);
             }
         }
-
-        applyColorToItems(layer.pageItems);
-
-    } catch (e) {
-        throw new Error("Failed to apply color to layer: " + e.message);
+        return items;
+    }
+    var artboardIndex = getSlotArtboardIndex(slotDoc, slot);
+    if (artboardIndex < 0) {
+        throw new Error("No artboard \"" + slot.artboard + "\" in " + slotDoc.name + ".");
     }
+    return collectArtboardItems(slotDoc, artboardIndex, lockedHidden == "Include");
 }
 
 /**
- * Remove path items in the hex layer whose bounds intersect the sponsor layer's content.
- * This permanently deletes any PathItem or CompoundPathItem from hexLayer that overlaps the combined bounding box of sponsorLayer.
- * @param {Layer} hexLayer - Layer containing hex paths to be checked and removed when overlapping.
- * @param {Layer} sponsorLayer - Layer whose combined content bounds are used to determine overlap.
+ * Find the artboard a sponsor slot takes its artwork from.
+ * @param {Document} slotDoc - The document holding the slot's artwork.
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`).
+ * @returns {number} The artboard index: the slot's named artboard for "Artboard" and for a "File" slot that names one, otherwise the active artboard (a PDF page opens as a document of its own); -1 if the named artboard doesn't exist.
  */
-function removeOverlappingHexPaths(hexLayer, sponsorLayer) {
-    try {
-        var i;
-
-        // Get bounding box of all sponsor content
-        var sponsorBounds = getLayerBounds(sponsorLayer);
-
-        if (!sponsorBounds) {
-            return; // No sponsor content, nothing to remove
-        }
-
-        // Collect all path items from hex layer (including nested in groups)
-        var hexPaths = [];
-        collectPathItems(hexLayer.pageItems, hexPaths);
+function getSlotArtboardIndex(slotDoc, slot) {
+    if (slot.source == "Artboard" || (slot.source == "File" && slot.artboard && !isPDFFile(slot.file))) {
+        return findArtboardIndex(slotDoc, slot.artboard);
+    }
+    return slotDoc.artboards.getActiveArtboardIndex();
+}
 
-        // Check each hex path for overlap and mark for deletion
-        var pathsToDelete = [];
-        for (i = 0; i < hexPaths.length; i++) {
-            var pathBounds = hexPaths[i].geometricBounds;
+/**
+ * Get the document a sponsor slot's artwork is in.
+ * "File" slots open their file through `documentCache` (unless it is already open), at the slot's page for a PDF; every other source uses the source document.
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`).
+ * @param {(Document|null)} sourceDoc - The document the run was started from.
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`).
+ * @returns {Document} The slot's document.
+ */
+function getSlotDocument(slot, sourceDoc, documentCache) {
+    if (slot.source != "File") {
+        return sourceDoc;
+    }
+    return openCachedDocument(documentCache, slot.file, isPDFFile(slot.file) && slot.artboard ? parseInt(slot.artboard, 10) : null);
+}
 
-            // Check if bounding boxes intersect
-            if (boundsIntersect(pathBounds, sponsorBounds)) {
-                pathsToDelete.push(hexPaths[i]);
-            }
-        }
+/**
+ * Whether a file is a PDF, which Illustrator opens one page at a time.
+ * @param {File} file - The file.
+ * @returns {boolean} `true` for a ".pdf" file.
+ */
+function isPDFFile(file) {
+    return /\.pdf$/i.test(file.name);
+}
 
-        // Delete overlapping paths
-        for (i = 0; i < pathsToDelete.length; i++) {
-            pathsToDelete[i].remove();
+/**
+ * Find an artboard by name, or by its number (1 for the first artboard) if no artboard has that name.
+ * @param {Document} doc - The document.
+ * @param {string} name - The artboard name or number.
+ * @returns {number} The artboard index, or -1 if there is no such artboard.
+ */
+function findArtboardIndex(doc, name) {
+    for (var i = 0; i < doc.artboards.length; i++) {
+        if (doc.artboards[i].name == name) {
+            return i;
         }
-
-    } catch (e) {
-        throw new Error("Failed to remove overlapping hex paths: " + e.message);
     }
+    var number = parseInt(name, 10);
+    if (/^\s*\d+\s*$/.test(name) && number >= 1 && number <= doc.artboards.length) {
+        return number - 1;
+    }
+    return -1;
 }
 
 /**
- * Compute the combined geometric bounding box for all page items on a layer.
- *
- * @param {Layer} layer - The Illustrator layer whose page items will be inspected.
- * @returns {(number[]|null)} An array `[left, top, right, bottom]` representing the merged geometric bounds of all items on the layer, or `null` if the layer contains no page items.
+ * List the names of a document's artboards, for the artboard dropdowns.
+ * @param {Document} doc - The document.
+ * @returns {Array.<string>} The names, in artboard order.
  */
-function getLayerBounds(layer) {
-    var items = layer.pageItems;
-    if (items.length === 0) {
-        return null;
+function getArtboardNames(doc) {
+    var names = [];
+    for (var i = 0; i < doc.artboards.length; i++) {
+        names.push(doc.artboards[i].name);
     }
+    return names;
+}
 
-    var bounds = items[0].geometricBounds;
-    for (var i = 1; i < items.length; i++) {
-        var itemBounds = items[i].geometricBounds;
-        bounds[0] = Math.min(bounds[0], itemBounds[0]); // left
-        bounds[1] = Math.max(bounds[1], itemBounds[1]); // top
-        bounds[2] = Math.max(bounds[2], itemBounds[2]); // right
-        bounds[3] = Math.min(bounds[3], itemBounds[3]); // bottom
+/**
+ * Collect the top-level items that touch an artboard, like Select > All on Active Artboard, but without changing the selection.
+ * Guides are always left out; hidden and locked items (see `isLockedOrHidden`) only come along if `includeLockedHidden` is set.
+ * @param {Document} doc - The document.
+ * @param {number} artboardIndex - The artboard.
+ * @param {boolean} includeLockedHidden - Whether to include hidden and locked items.
+ * @returns {Array.<PageItem>} The items, topmost first.
+ */
+function collectArtboardItems(doc, artboardIndex, includeLockedHidden) {
+    var artboardRect = doc.artboards[artboardIndex].artboardRect;
+    var items = [];
+    for (var i = 0; i < doc.pageItems.length; i++) {
+        var item = doc.pageItems[i];
+        if (item.guides || item.parent.typename != "Layer") {
+            continue;
+        }
+        if (!includeLockedHidden && isLockedOrHidden(item)) {
+            continue;
+        }
+        if (boundsIntersect(item.visibleBounds, artboardRect)) {
+            items.push(item);
+        }
     }
-
-    return bounds;
+    return items;
 }
 
 /**
- * Collects all PathItem and CompoundPathItem objects from a list of page items into the provided array.
- * Traverses GroupItem contents recursively and appends each found PathItem or CompoundPathItem to `pathArray`.
- * @param {Array} items - Array or collection of page items to search (PageItem/GroupItem/CompoundPathItem).
- * @param {Array} pathArray - Array to which discovered PathItem and CompoundPathItem objects will be appended.
+ * Whether an item is hidden or locked, or, for a top-level item, sits on a hidden or locked layer.
+ * @param {PageItem} item - The item.
+ * @returns {boolean} `true` if the item can't be selected on the artboard.
  */
-function collectPathItems(items, pathArray) {
-    for (var i = 0; i < items.length; i++) {
-        var item = items[i];
-
-        if (item.typename == "PathItem") {
-            pathArray.push(item);
-        } else if (item.typename == "GroupItem") {
-            collectPathItems(item.pageItems, pathArray);
-        } else if (item.typename == "CompoundPathItem") {
-            // Treat compound paths as a single unit (don't break apart)
-            pathArray.push(item);
+function isLockedOrHidden(item) {
+    if (item.hidden || item.locked) {
+        return true;
+    }
+    for (var parent = item.parent; parent.typename == "Layer"; parent = parent.parent) {
+        if (!parent.visible || parent.locked) {
+            return true;
         }
     }
+    return false;
 }
 
 /**
- * Determine whether two axis-aligned bounding boxes intersect.
- * @param {number[]} bounds1 - Bounds as [left, top, right, bottom].
- * @param {number[]} bounds2 - Bounds as [left, top, right, bottom].
- * @returns {boolean} `true` if the rectangles defined by the bounds intersect, `false` otherwise.
+ * Apply the locked/hidden mode to freshly copied sponsor artwork.
+ * "Include" unlocks and shows every copied item, including those inside groups; "Leave out" removes hidden and locked items from inside the copied groups (top-level ones were never copied).
+ * @param {Array} items - The copied items, or a group's `pageItems`.
+ * @param {string} lockedHidden - One of `LOCKED_HIDDEN_MODES`.
  */
-function boundsIntersect(bounds1, bounds2) {
-    // Two rectangles intersect if:
-    // - left1 < right2 AND right1 > left2 (horizontal overlap)
-    // - bottom1 < top2 AND top1 > bottom2 (vertical overlap)
-
-    var horizontalOverlap = bounds1[0] < bounds2[2] && bounds1[2] > bounds2[0];
-    var verticalOverlap = bounds1[3] < bounds2[1] && bounds1[1] > bounds2[3];
-
-    return horizontalOverlap && verticalOverlap;
+function settleLockedHiddenItems(items, lockedHidden) {
+    // Backwards, so removing an item doesn't skip the next one
+    for (var i = items.length - 1; i >= 0; i--) {
+        var item = items[i];
+        if (lockedHidden == "Include") {
+            item.locked = false;
+            item.hidden = false;
+        } else if (item.parent.typename != "Layer" && (item.hidden || item.locked)) {
+            item.remove();
+            continue;
+        }
+        if (item.typename == "GroupItem") {
+            settleLockedHiddenItems(item.pageItems, lockedHidden);
+        }
+    }
 }
 
 /**
- * Aligns the sponsor layer to the hex layer according to the specified position mode.
- *
- * Positions the sponsor layer relative to the hex layer's bounding box. If either layer has no content, the function does nothing.
+ * Copy one sponsor slot's artwork into its layer in the hex document and scale it (see `scaleSponsor`).
  *
- * @param {Layer} sponsorLayer - Layer containing the sponsor artwork to move.
- * @param {Layer} hexLayer - Layer whose bounding box is used as the reference.
- * @param {string} positionType - Position mode: `"Bottom Sponsor"` to horizontally center the sponsor and align its bottom edge with the hex bottom; `"Middle Sponsor"` to center the sponsor both horizontally and vertically within the hex.
- * @throws {Error} If an unexpected error occurs while computing bounds or translating items.
+ * "File" slots open the slot's file through `documentCache` (see `getSlotDocument`); the other sources take their artwork from the source document (see `getSponsorItems`). The items are duplicated straight into the layer, so the clipboard is left alone, and hidden and locked copies are then dealt with according to `lockedHidden` (see `settleLockedHiddenItems`).
+ * @param {(Document|null)} sourceDoc - The document the run was started from.
+ * @param {Array.<PageItem>} sourceSelection - The items selected in `sourceDoc` when the run started.
+ * @param {Document} targetDoc - The hex document.
+ * @param {Layer} targetLayer - The slot's layer.
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`).
+ * @param {string} lockedHidden - One of `LOCKED_HIDDEN_MODES`.
+ * @param {(Object|null)} scaling - The scaling settings (see `parseScalingSettings`).
+ * @param {(Array.<string>|null)} prepLog - If given, the copied artwork is prepared for print (see `prepareSponsorForPrint`) before scaling, and the changes are appended here as "Name: change".
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`).
+ * @returns {({widthCm: number, heightCm: number}|null)} The sponsor's size after scaling, or `null` if there was no artwork to copy.
  */
-function positionSponsorLayer(sponsorLayer, hexLayer, positionType) {
+function copySponsorArtwork(sourceDoc, sourceSelection, targetDoc, targetLayer, slot, lockedHidden, scaling, prepLog, documentCache) {
     try {
-        // Get bounding boxes
-        var sponsorBounds = getLayerBounds(sponsorLayer);
-        var hexBounds = getLayerBounds(hexLayer);
+        var slotDoc = getSlotDocument(slot, sourceDoc, documentCache);
 
-        if (!sponsorBounds || !hexBounds) {
-            return; // No content to position
+        var items = getSponsorItems(slotDoc, slot, sourceSelection, lockedHidden);
+        if (items.length === 0) {
+            return null;
         }
 
-        // Calculate current dimensions and centers
-        var sponsorWidth = sponsorBounds[2] - sponsorBounds[0];
-        var sponsorHeight = sponsorBounds[1] - sponsorBounds[3];
-        var sponsorCenterX = sponsorBounds[0] + sponsorWidth / 2;
-        var sponsorCenterY = sponsorBounds[3] + sponsorHeight / 2;
-
-        var hexWidth = hexBounds[2] - hexBounds[0];
-        var hexHeight = hexBounds[1] - hexBounds[3];
-        var hexCenterX = hexBounds[0] + hexWidth / 2;
-        var hexCenterY = hexBounds[3] + hexHeight / 2;
-
-        var deltaX = 0;
-        var deltaY = 0;
+        targetLayer.locked = false;
+        settleLockedHiddenItems(duplicateItems(items, targetLayer), lockedHidden);
+        targetDoc.activate();
+        selectLayerContents(targetDoc, targetLayer);
 
-        if (positionType == "Bottom Sponsor") {
-            // Horizontally centered, bottom edges aligned
-            deltaX = hexCenterX - sponsorCenterX;
-            deltaY = hexBounds[3] - sponsorBounds[3]; // Align bottom edges
-        } else if (positionType == "Middle Sponsor") {
-            // Both horizontally and vertically centered
-            deltaX = hexCenterX - sponsorCenterX;
-            deltaY = hexCenterY - sponsorCenterY;
+        // Prepare for print before scaling, so stroke weights can't change
+        if (prepLog) {
+            var changes = prepareSponsorForPrint(targetDoc, targetLayer);
+            for (var i = 0; i < changes.length; i++) {
+                prepLog.push(slot.name + ": " + changes[i]);
+            }
+            selectLayerContents(targetDoc, targetLayer);
         }
 
-        // Move all items in sponsor layer
-        var items = sponsorLayer.pageItems;
-        for (var i = 0; i < items.length; i++) {
-            items[i].translate(deltaX, deltaY);
-        }
+        // Scale the copied sponsor content
+        var size = scaleSponsor(targetDoc.selection, slot, scaling);
 
-    } catch (e) {
-        throw new Error("Failed to position sponsor layer: " + e.message);
+        // Deselect all
+        targetDoc.selection = null;
+        return size;
+
+    } finally {
+        targetDoc.activate();
     }
 }
 
 /**
- * Remove empty layers from the given document.
- * If a layer cannot be removed, the function skips it without throwing an error.
- * @param {Document} doc - The Illustrator document whose empty layers should be removed.
+ * Check every sponsor slot's artwork for print problems before anything is built.
+ *
+ * Looks at the same items `buildHexDocument` will copy (see `getSponsorItems`), allowing for the scale each slot will get (see `getSponsorScale`):
+ * - Blockers: no artwork or a missing artwork, raster images below `PREFLIGHT_MIN_PPI` after scaling, strokes thinner than `MIN_STROKE_WEIGHT_PT` after scaling
+ * - Warnings: artwork scaled beyond its fit box, raster images below `PREFLIGHT_TARGET_PPI`, RGB images, linked files, RGB/Lab colours, process colours that aren't swatches, live text, hidden or locked items (left out or included, unlocked and shown, depending on the locked/hidden mode), and clipping masks
+ * - Contrast warnings: main colours (at least `MAIN_COLOR_SHARE` of the filled area) with a contrast ratio below `MIN_SPONSOR_CONTRAST` against the hex colour, or, when the sponsor is recoloured, a recolour that is too close to it and images that can't be recoloured
+ *
+ * Sponsor files are opened through `documentCache`, so the build can reuse them. No document's selection is changed.
+ * @param {(Document|null)} sourceDoc - The document the run was started from.
+ * @param {Object} config - The job settings (see `buildHexDocument`).
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`).
+ * @returns {Array.<{severity: string, sponsor: string, message: string}>} The findings; `severity` is "Blocker" or "Warning".
  */
-function removeEmptyLayers(doc) {
-    try {
-        // Iterate backwards to avoid index shifting issues when removing layers
-        for (var i = doc.layers.length - 1; i >= 0; i--) {
-            var layer = doc.layers[i];
+function preflightSponsors(sourceDoc, config, documentCache) {
+    var slots = getSponsorSlots(config);
+    var sponsorColor = resolveSponsorColor(config);
+    var lockedHidden = config.lockedHidden || LOCKED_HIDDEN_MODES[0];
+    var findings = [];
+    var s;
+
+    var sourceSelection = [];
+    for (s = 0; sourceDoc && s < sourceDoc.selection.length; s++) {
+        sourceSelection.push(sourceDoc.selection[s]);
+    }
 
-            // Check if layer is empty (no page items)
-            if (layer.pageItems.length === 0) {
-                layer.remove();
-            }
-        }
-    } catch (e) {
-        // Don't throw error for layer removal - just continue
-        // This prevents script failure if layer can't be removed
+    /**
+     * Record a finding.
+     * @param {string} severity - "Blocker" or "Warning".
+     * @param {string} sponsor - Name of the sponsor slot.
+     * @param {string} message - What was found.
+     */
+    function addFinding(severity, sponsor, message) {
+        findings.push({ severity: severity, sponsor: sponsor, message: message });
     }
-}
 
-/**
- * Import guide artwork from an SVG into a new "Guides" layer and convert the imported items into Illustrator guides.
- * @param {File} svgFile - The SVG file to open and import.
- * @param {Document} targetDoc - The Illustrator document to receive the imported guides.
- * @returns {Layer} The newly created Guides layer containing the converted guide items.
- * @throws {Error} If the SVG cannot be opened, pasted, translated, or converted to guides.
- */
-function importGuidesFromSVG(svgFile, targetDoc) {
     try {
-        var i;
-
-        // Create a Guides layer
-        var guidesLayer = targetDoc.layers.add();
-        guidesLayer.name = "Guides";
-
-        // Open the SVG file
-        var svgDoc = app.open(svgFile);
-
-        // Select all content in the SVG
-        svgDoc.selectObjectsOnActiveArtboard();
+        for (s = 0; s < slots.length; s++) {
+            var slot = slots[s];
+            var slotDoc = getSlotDocument(slot, sourceDoc, documentCache);
 
-        if (svgDoc.selection.length > 0) {
-            // Copy the content
-            app.copy();
-
-            // Switch to target document
-            targetDoc.activate();
+            if (getSlotArtboardIndex(slotDoc, slot) < 0) {
+                addFinding("Blocker", slot.name, "No artboard \"" + slot.artboard + "\" in " + slotDoc.name + ".");
+                continue;
+            }
 
-            // Set Guides layer as active
-            targetDoc.activeLayer = guidesLayer;
+            var items = getSponsorItems(slotDoc, slot, sourceSelection, lockedHidden);
+            if (items.length === 0) {
+                addFinding("Blocker", slot.name, "No artwork found (" + slot.source.toLowerCase() + ").");
+                continue;
+            }
 
-            // Paste the content
-            app.paste();
+            // The scale scaleSponsor will apply to this slot
+            var bounds = getItemsBounds(items);
+            var width = bounds[2] - bounds[0];
+            var height = bounds[1] - bounds[3];
+            var scale = getSponsorScale(width, height, slot, config.scaling || null);
+
+            // Anything but the fit box mode can outgrow the box the sponsor is positioned by
+            var finalWidthCm = width * scale / POINTS_PER_CM;
+            var finalHeightCm = height * scale / POINTS_PER_CM;
+            if (finalWidthCm > slot.fitWidthCm + 0.05 || finalHeightCm > slot.fitHeightCm + 0.05) {
+                addFinding("Warning", slot.name, "Scaled to " + formatSizeCm(finalWidthCm, finalHeightCm) + ", larger than the " + formatSizeCm(slot.fitWidthCm, slot.fitHeightCm) + " fit box.");
+            }
 
-            // Get the pasted items (they're still selected)
-            var pastedItems = targetDoc.selection;
+            var stats = {
+                swatchKeys: getSwatchColorKeys(slotDoc),
+                lowestPPI: null,
+                rgbImages: 0,
+                linkedFiles: 0,
+                nonCMYKColors: 0,
+                unnamedColors: 0,
+                textFrames: 0,
+                fonts: [],
+                thinStrokes: 0,
+                thinnestStroke: null,
+                hiddenItems: 0,
+                includeLockedHidden: lockedHidden == "Include",
+                clippingMasks: 0,
+                images: 0,
+                colorAreas: {},
+                filledArea: 0
+            };
+            checkSponsorItems(items, scale, stats);
+
+            // "Leave out" never picks up hidden and locked items on the artboard, so checkSponsorItems doesn't see them
+            if (slot.source != "Current selection" && !stats.includeLockedHidden) {
+                stats.hiddenItems += countLockedHiddenItems(slotDoc, getSlotArtboardIndex(slotDoc, slot));
+            }
 
-            // Position the guides 0.5cm from top-left corner (same for both modes)
-            // Convert 0.5cm to points
-            var targetX = 0.5 * POINTS_PER_CM;
-            var targetY = -0.5 * POINTS_PER_CM;
+            if (stats.lowestPPI !== null && stats.lowestPPI < PREFLIGHT_MIN_PPI) {
+                addFinding("Blocker", slot.name, "Raster image at " + Math.round(stats.lowestPPI) + " ppi after scaling (minimum " + PREFLIGHT_MIN_PPI + ").");
+            } else if (stats.lowestPPI !== null && stats.lowestPPI < PREFLIGHT_TARGET_PPI) {
+                addFinding("Warning", slot.name, "Raster image at " + Math.round(stats.lowestPPI) + " ppi after scaling (" + PREFLIGHT_TARGET_PPI + " recommended).");
+            }
+            if (stats.thinStrokes > 0) {
+                addFinding("Blocker", slot.name, stats.thinStrokes + " stroke(s) thinner than " + MIN_STROKE_WEIGHT_PT + "pt after scaling (thinnest " + Math.round(stats.thinnestStroke * 100) / 100 + "pt).");
+            }
+            if (stats.rgbImages > 0) {
+                addFinding("Warning", slot.name, stats.rgbImages + " RGB raster image(s); convert to CMYK.");
+            }
+            if (stats.linkedFiles > 0) {
+                addFinding("Warning", slot.name, stats.linkedFiles + " linked file(s); embed them or check their resolution and colours.");
+            }
+            if (stats.nonCMYKColors > 0) {
+                addFinding("Warning", slot.name, stats.nonCMYKColors + " fill/stroke(s) in RGB or Lab colour.");
+            }
+            if (stats.unnamedColors > 0) {
+                addFinding("Warning", slot.name, stats.unnamedColors + " fill/stroke(s) in process colours that aren't swatches.");
+            }
+            if (stats.textFrames > 0) {
+                addFinding("Warning", slot.name, stats.textFrames + " live text frame(s) using " + stats.fonts.join(", ") + "; outline the text or check the printer has the fonts.");
+            }
+            if (stats.hiddenItems > 0) {
+                addFinding("Warning", slot.name, stats.hiddenItems + " hidden or locked item(s) will be " + (stats.includeLockedHidden ? "included, unlocked and shown." : "left out."));
+            }
+            if (stats.clippingMasks > 0) {
+                addFinding("Warning", slot.name, stats.clippingMasks + " clipping mask(s); the artwork they hide is still copied.");
+            }
 
-            // Get bounding box of all pasted items
-            if (pastedItems.length > 0) {
-                var bounds = pastedItems[0].geometricBounds;
-                for (i = 1; i < pastedItems.length; i++) {
-                    var itemBounds = pastedItems[i].geometricBounds;
-                    bounds[0] = Math.min(bounds[0], itemBounds[0]); // left
-                    bounds[1] = Math.max(bounds[1], itemBounds[1]); // top
-                    bounds[2] = Math.max(bounds[2], itemBounds[2]); // right
-                    bounds[3] = Math.min(bounds[3], itemBounds[3]); // bottom
+            // Colours too close to the hex colour make the sponsor disappear
+            var hexLuminance = getCMYKLuminance(config.color.cmyk);
+            if (sponsorColor) {
+                var contrast = getContrastRatio(hexLuminance, getCMYKLuminance(sponsorColor.cmyk));
+                if (contrast < MIN_SPONSOR_CONTRAST) {
+                    addFinding("Warning", slot.name, sponsorColor.name + " is too close to the hex colour (contrast " + Math.round(contrast * 10) / 10 + ":1); try Auto-contrast.");
                 }
-
-                // Calculate translation to move top-left corner to target position
-                var deltaX = targetX - bounds[0];
-                var deltaY = targetY - bounds[1];
-
-                // Apply translation to all items
-                for (i = 0; i < pastedItems.length; i++) {
-                    pastedItems[i].translate(deltaX, deltaY);
+                if (stats.images > 0) {
+                    addFinding("Warning", slot.name, stats.images + " image(s) can't be recoloured and keep their original colours.");
+                }
+            } else {
+                var closeColors = 0;
+                var lowestContrast = null;
+                for (var key in stats.colorAreas) {
+                    var colorArea = stats.colorAreas[key];
+                    var colorContrast = getContrastRatio(hexLuminance, colorArea.luminance);
+                    if (colorArea.area >= stats.filledArea * MAIN_COLOR_SHARE && colorContrast < MIN_SPONSOR_CONTRAST) {
+                        closeColors++;
+                        lowestContrast = lowestContrast === null ? colorContrast : Math.min(lowestContrast, colorContrast);
+                    }
+                }
+                if (closeColors > 0) {
+                    addFinding("Warning", slot.name, closeColors + " main colour(s) too close to the hex colour (contrast down to " + Math.round(lowestContrast * 10) / 10 + ":1); try Single colour, Knockout white or Auto-contrast.");
                 }
             }
-
-            // Convert all pasted items to guides
-            convertToGuides(pastedItems);
         }
 
-        // Close the SVG document without saving
-        svgDoc.close(SaveOptions.DONOTSAVECHANGES);
-
-        // Return to target document
-        targetDoc.activate();
-
-        // Return the guides layer
-        return guidesLayer;
-
-    } catch (e) {
-        throw new Error("Failed to import guides: " + e.message);
+    } finally {
+        if (sourceDoc) {
+            sourceDoc.activate();
+        }
     }
+
+    return findings;
 }
 
 /**
- * Recursively convert path items within a collection to Illustrator guides.
- *
- * Traverses the provided items and marks any PathItem encountered as a guide.
- * For GroupItem and CompoundPathItem entries, the function recurses into their child items.
- *
- * @param {Array} items - Array or collection of page items (PathItem, GroupItem, CompoundPathItem) to process.
+ * Walk sponsor items recursively and record the preflight problems found in `stats` (see `preflightSponsors`).
+ * Hidden and locked items are counted, and only looked inside if `stats.includeLockedHidden` is set, since otherwise they won't be copied.
+ * @param {Array} items - Array or collection of page items.
+ * @param {number} scale - Scale factor the items will be resized by.
+ * @param {Object} stats - Running counts, updated in place.
  */
-function convertToGuides(items) {
+function checkSponsorItems(items, scale, stats) {
     for (var i = 0; i < items.length; i++) {
         var item = items[i];
 
-        if (item.typename == "PathItem") {
-            item.guides = true;
-        } else if (item.typename == "GroupItem") {
-            convertToGuides(item.pageItems);
+        if (item.guides) {
+            continue;
+        }
+        if (isLockedOrHidden(item)) {
+            stats.hiddenItems++;
+            if (!stats.includeLockedHidden) {
+                continue;
+            }
+        }
+
+        if (item.typename == "GroupItem") {
+            if (item.clipped) {
+                stats.clippingMasks++;
+            }
+            checkSponsorItems(item.pageItems, scale, stats);
         } else if (item.typename == "CompoundPathItem") {
-            convertToGuides(item.pathItems);
+            if (item.pathItems.length > 0) {
+                checkPathPaint(item.pathItems[0], scale, stats, getBoundsArea(item.geometricBounds));
+            }
+        } else if (item.typename == "PathItem") {
+            if (!item.clipping) {
+                checkPathPaint(item, scale, stats, getBoundsArea(item.geometricBounds));
+            }
+        } else if (item.typename == "TextFrame") {
+            stats.textFrames++;
+            var attributes = item.textRange.characterAttributes;
+            var fontName = attributes.textFont ? attributes.textFont.name : "an unknown font";
+            var known = false;
+            for (var f = 0; f < stats.fonts.length; f++) {
+                known = known || stats.fonts[f] == fontName;
+            }
+            if (!known) {
+                stats.fonts.push(fontName);
+            }
+            checkColor(attributes.fillColor, stats);
+            addColorArea(attributes.fillColor, getBoundsArea(item.geometricBounds), stats);
+        } else if (item.typename == "RasterItem") {
+            stats.images++;
+            // Each image pixel covers |matrix| points, so the effective resolution is 72 ppi divided by that after scaling
+            var pixelSize = Math.sqrt(item.matrix.mValueA * item.matrix.mValueA + item.matrix.mValueB * item.matrix.mValueB) * scale;
+            if (pixelSize > 0) {
+                var ppi = 72 / pixelSize;
+                if (stats.lowestPPI === null || ppi < stats.lowestPPI) {
+                    stats.lowestPPI = ppi;
+                }
+            }
+            if (item.imageColorSpace == ImageColorSpace.RGB) {
+                stats.rgbImages++;
+            }
+        } else if (item.typename == "PlacedItem") {
+            stats.images++;
+            stats.linkedFiles++;
+        }
+    }
+}
+
+/**
+ * Check the fill and stroke of a path for preflight (see `checkSponsorItems`).
+ * @param {PathItem} path - The path, or the first path of a compound path, which carries its paint.
+ * @param {number} scale - Scale factor the path will be resized by.
+ * @param {Object} stats - Running counts, updated in place.
+ * @param {number} area - Area of the path's (or compound path's) bounds, used to find the artwork's main colours.
+ */
+function checkPathPaint(path, scale, stats, area) {
+    if (path.filled) {
+        checkColor(path.fillColor, stats);
+        addColorArea(path.fillColor, area, stats);
+    }
+    if (path.stroked) {
+        checkColor(path.strokeColor, stats);
+        var weight = path.strokeWidth * scale;
+        if (weight < MIN_STROKE_WEIGHT_PT) {
+            stats.thinStrokes++;
+            if (stats.thinnestStroke === null || weight < stats.thinnestStroke) {
+                stats.thinnestStroke = weight;
+            }
+        }
+    }
+}
+
+/**
+ * Add a filled area to the running total for its colour, so preflight can find the artwork's main colours.
+ * Colours whose luminance can't be judged (see `getColorLuminance`) still count towards the total area.
+ * @param {Color} color - The fill colour.
+ * @param {number} area - The filled area in square points.
+ * @param {Object} stats - Running counts, updated in place.
+ */
+function addColorArea(color, area, stats) {
+    stats.filledArea += area;
+    var luminance = getColorLuminance(color);
+    if (luminance === null) {
+        return;
+    }
+    var key = Math.round(luminance * 1000);
+    if (!stats.colorAreas[key]) {
+        stats.colorAreas[key] = { luminance: luminance, area: 0 };
+    }
+    stats.colorAreas[key].area += area;
+}
+
+/**
+ * Area of a bounding box.
+ * @param {Array.<number>} bounds - `[left, top, right, bottom]` in points.
+ * @returns {number} The area in square points.
+ */
+function getBoundsArea(bounds) {
+    return Math.abs((bounds[2] - bounds[0]) * (bounds[1] - bounds[3]));
+}
+
+/**
+ * Count a colour that isn't CMYK, or a CMYK colour that isn't one of the document's swatches.
+ * Spot colours are named by definition; gradients are checked stop by stop.
+ * @param {Color} color - The colour to check.
+ * @param {Object} stats - Running counts, updated in place; `stats.swatchKeys` comes from `getSwatchColorKeys`.
+ */
+function checkColor(color, stats) {
+    if (!color) {
+        return;
+    }
+    if (color.typename == "RGBColor" || color.typename == "LabColor") {
+        stats.nonCMYKColors++;
+    } else if (color.typename == "CMYKColor") {
+        if (!stats.swatchKeys[getCMYKKey(color)]) {
+            stats.unnamedColors++;
+        }
+    } else if (color.typename == "GradientColor") {
+        var stops = color.gradient.gradientStops;
+        for (var i = 0; i < stops.length; i++) {
+            checkColor(stops[i].color, stats);
+        }
+    }
+}
+
+/**
+ * Collect the CMYK values of a document's process swatches, so colours used in artwork can be matched to them.
+ * @param {Document} doc - The document.
+ * @returns {Object} A lookup keyed by `getCMYKKey`.
+ */
+function getSwatchColorKeys(doc) {
+    var keys = {};
+    for (var i = 0; i < doc.swatches.length; i++) {
+        var color = doc.swatches[i].color;
+        if (color.typename == "CMYKColor") {
+            keys[getCMYKKey(color)] = true;
+        }
+    }
+    return keys;
+}
+
+/**
+ * Build a lookup key from a CMYK colour's values, rounded to whole percentages.
+ * @param {CMYKColor} color - The colour.
+ * @returns {string} The key, e.g. "100,80,35,55".
+ */
+function getCMYKKey(color) {
+    return [Math.round(color.cyan), Math.round(color.magenta), Math.round(color.yellow), Math.round(color.black)].join(",");
+}
+
+/**
+ * Count the hidden and locked top-level items on an artboard, which "Leave out" doesn't copy.
+ * @param {Document} doc - The document.
+ * @param {number} artboardIndex - The artboard.
+ * @returns {number} The number of top-level items left out.
+ */
+function countLockedHiddenItems(doc, artboardIndex) {
+    var artboardRect = doc.artboards[artboardIndex].artboardRect;
+    var count = 0;
+    for (var i = 0; i < doc.pageItems.length; i++) {
+        var item = doc.pageItems[i];
+        if (item.guides || item.parent.typename != "Layer") {
+            continue;
+        }
+        if (isLockedOrHidden(item) && boundsIntersect(item.visibleBounds, artboardRect)) {
+            count++;
         }
     }
+    return count;
 }
 
 /**
- * Create an Illustrator RGBColor from a hex color string.
+ * Present the preflight findings and let the user decide whether to build the document.
  *
- * Accepts 3- or 6-digit hex formats, with or without a leading `#`.
- * @param {String} hex - Hex color code (e.g., "#FFFFFF" or "#FFF").
- * @return {RGBColor} The corresponding Illustrator RGBColor with `red`, `green`, and `blue` components set.
+ * Warnings can be accepted with "Continue"; if there is any blocker, "Continue" is disabled and the artwork has to be fixed first.
+ * @param {Array.<Object>} findings - Findings from `preflightSponsors`.
+ * @returns {boolean} `true` to continue, `false` if the user cancels.
  */
-function hexToRGB(hex) {
-    // Remove # if present
-    hex = hex.replace("#", "");
+function showPreflightReport(findings) {
+    var blockers = 0;
+    for (var i = 0; i < findings.length; i++) {
+        if (findings[i].severity == "Blocker") {
+            blockers++;
+        }
+    }
 
-    // Handle shorthand hex (e.g., #FFF -> #FFFFFF)
-    if (hex.length === 3) {
-        hex = hex.charAt(0) + hex.charAt(0) +
-              hex.charAt(1) + hex.charAt(1) +
-              hex.charAt(2) + hex.charAt(2);
+    var dialog = new Window("dialog", "Sponsor Preflight");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    var summary = blockers > 0 ?
+        blockers + " blocker(s) must be fixed in the sponsor artwork before the pad can be built." :
+        findings.length + " warning(s) found. Continue anyway?";
+    dialog.add("statictext", undefined, summary);
+
+    var list = dialog.add("listbox", undefined, [], {
+        numberOfColumns: 3,
+        showHeaders: true,
+        columnTitles: ["Level", "Sponsor", "Finding"],
+        columnWidths: [70, 90, 420]
+    });
+    list.preferredSize = [600, 200];
+    for (i = 0; i < findings.length; i++) {
+        var row = list.add("item", findings[i].severity);
+        row.subItems[0].text = findings[i].sponsor;
+        row.subItems[1].text = findings[i].message;
     }
 
-    // Parse hex values
-    var r = parseInt(hex.substring(0, 2), 16);
-    var g = parseInt(hex.substring(2, 4), 16);
-    var b = parseInt(hex.substring(4, 6), 16);
+    var buttonGroup = dialog.add("group");
+    buttonGroup.alignment = "center";
+    var continueButton = buttonGroup.add("button", undefined, "Continue", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+    continueButton.enabled = blockers === 0;
 
-    // Create and return RGBColor
-    var rgbColor = new RGBColor();
-    rgbColor.red = r;
-    rgbColor.green = g;
-    rgbColor.blue = b;
+    return dialog.show() == 1;
+}
 
-    return rgbColor;
+/**
+ * Summarise the findings of one severity on a single line, for alerts and the batch summary.
+ * @param {Array.<Object>} findings - Findings from `preflightSponsors`.
+ * @param {string} severity - "Blocker" or "Warning".
+ * @returns {string} The findings as "Sponsor: message" separated by "; ", or an empty string if there are none.
+ */
+function describeFindings(findings, severity) {
+    var parts = [];
+    for (var i = 0; i < findings.length; i++) {
+        if (findings[i].severity == severity) {
+            parts.push(findings[i].sponsor + ": " + findings[i].message);
+        }
+    }
+    return parts.join("; ");
 }
 
 /**
- * Group the first group from each provided layer into a single "Artwork" group and center it on the document artboard.
- * Selects the first groupItem from each layer (skipping layers with no groups), groups those items, renames the resulting group to "Artwork", renames its layer to "Artwork" if present, and translates the group so its center aligns with the artboard center.
- * @param {Document} doc - The Illustrator document containing the layers.
- * @param {Array.<Layer>} layers - Array of layers whose first groupItems will be grouped and centered; layers without groupItems are ignored.
+ * Validate an additional sponsor slot given as text, as typed in the slot dialog or read from a manifest.
+ * @param {{name: string, source: string, artboard: string, file: (File|null), position: string, offset: string, fitWidth: string, fitHeight: string, product: Object}} fields - The slot settings; `artboard` (a name, or a number counting from 1) is required for the "Artboard" source and optional for "File", where it is the page to open for a PDF (the first page if empty) and otherwise the artboard (the active artboard if empty); `file` is required for the "File" source, `offset` for the "Custom" position (in cm), and empty fit sizes (in cm) use the `product`'s `sponsorFit`. The name can't be one HexMaker gives its own groups and layers (see `getReservedSlotNames`).
+ * @returns {{name: string, source: string, artboard: (string|null), file: (File|null), position: string, offsetCm: (number|null), fitWidthCm: number, fitHeightCm: number}} The sponsor slot.
+ * @throws {Error} Describing the first invalid field.
  */
-function groupAndCenterLayers(doc, layers) {
-    try {
-        // Clear selection
-        doc.selection = null;
+function parseSponsorSlot(fields) {
+    var slot = {
+        name: trimString(fields.name || ""),
+        source: fields.source ? matchOption(fields.source, SPONSOR_SOURCES) : "File",
+        artboard: null,
+        file: fields.file || null,
+        position: matchSponsorPosition(fields.position || ""),
+        offsetCm: null,
+        fitWidthCm: trimString(fields.fitWidth || "") === "" ? fields.product.sponsorFit.widthCm : parseNonNegativeNumber(fields.fitWidth),
+        fitHeightCm: trimString(fields.fitHeight || "") === "" ? fields.product.sponsorFit.heightCm : parseNonNegativeNumber(fields.fitHeight)
+    };
+
+    if (slot.name === "") {
+        throw new Error("Give the sponsor slot a name.");
+    }
+    var reserved = getReservedSlotNames(fields.product);
+    for (var r = 0; r < reserved.length; r++) {
+        if (slot.name.toLowerCase() == reserved[r].toLowerCase()) {
+            throw new Error("\"" + slot.name + "\" is the name of one of HexMaker's own groups or layers; give the sponsor slot another name.");
+        }
+    }
+    if (!slot.source) {
+        throw new Error("Unknown sponsor source \"" + fields.source + "\". Use " + SPONSOR_SOURCES.join(", ") + ".");
+    }
+    if (slot.source == "Artboard") {
+        slot.artboard = trimString(fields.artboard || "");
+        if (slot.artboard === "") {
+            throw new Error("Choose the artboard \"" + slot.name + "\" comes from.");
+        }
+    }
+    if (slot.source == "File") {
+        slot.artboard = checkSponsorFile(slot.name, slot.file, fields.artboard || "");
+    }
+    if (!slot.position) {
+        throw new Error("Unknown sponsor position \"" + fields.position + "\" for \"" + slot.name + "\".");
+    }
+    if (slot.position == "Custom") {
+        slot.offsetCm = parseNonNegativeNumber(fields.offset || "");
+        if (slot.offsetCm === null) {
+            throw new Error("\"" + slot.name + "\" needs an offset from the top in cm, 0 or more.");
+        }
+    }
+    if (!(slot.fitWidthCm > 0) || !(slot.fitHeightCm > 0)) {
+        throw new Error("The fit box for \"" + slot.name + "\" must be more than 0cm wide and high.");
+    }
 
-        // Select all groups from the specified layers
-        var allGroups = [];
-        for (var i = 0; i < layers.length; i++) {
-            if (layers[i].groupItems.length > 0) {
-                allGroups.push(layers[i].groupItems[0]);
+    return slot;
+}
+
+/**
+ * List the names a sponsor slot can't use, because `findHexDocumentParts` and the print-prep layers already use them.
+ * @param {Object} product - Product template (see `loadProducts`), for its die-line spot.
+ * @returns {Array.<string>} The reserved names, including the main "Sponsor".
+ */
+function getReservedSlotNames(product) {
+    var names = ["Sponsor", "Hex", "Masuri Tab", "Artwork", "Guides", "Safe Area"];
+    if (product.dieLine) {
+        names.push(product.dieLine.spot);
+    }
+    return names;
+}
+
+/**
+ * Check a sponsor file and the page or artboard to take from it.
+ * @param {string} name - The sponsor slot's name, for the error messages.
+ * @param {(File|null)} file - The sponsor file.
+ * @param {string} pageText - The page (for a PDF) or artboard name or number, as typed; empty for the first page or active artboard.
+ * @returns {(string|null)} The trimmed page or artboard, or `null` if none was given.
+ * @throws {Error} If the file doesn't exist, or a PDF page isn't a whole number from 1.
+ */
+function checkSponsorFile(name, file, pageText) {
+    if (!file || !file.exists) {
+        throw new Error("Sponsor file for \"" + name + "\" not found" + (file ? ": " + file.fsName : "."));
+    }
+    var page = trimString(pageText);
+    if (page === "") {
+        return null;
+    }
+    if (isPDFFile(file) && !(/^\d+$/.test(page) && parseInt(page, 10) >= 1)) {
+        throw new Error("The page of " + file.displayName + " for \"" + name + "\" must be a page number, 1 or more.");
+    }
+    return page;
+}
+
+/**
+ * Validate hex fill settings, as chosen in the dialog or read from a manifest.
+ * @param {{mode: string, colors: Array.<Object>, direction: string, seed: string, bandRows: string}} fields - The settings; `mode` is one of `HEX_FILL_MODES` ("Solid" if empty), `colors` the one or two colour definitions used alongside the hex colour (ignored for Solid), `direction` one of `FILL_DIRECTIONS` for Alternating ("Columns" if empty), `seed` a whole number for Random scatter (1 if empty) and `bandRows` the rows per band for Banded (2 if empty).
+ * @returns {{mode: string, colors: Array.<Object>, direction: string, seed: number, bandRows: number}} The fill settings (see `applyHexFill`).
+ * @throws {Error} Describing the first invalid field.
+ */
+function parseFillSettings(fields) {
+    /**
+     * Read one whole-number field, using the default when it is empty.
+     * @param {string} text - The typed value.
+     * @param {number} defaultValue - Value used for an empty field.
+     * @param {number} minimum - The smallest value allowed.
+     * @param {string} label - Field name for the error message.
+     * @returns {number} The value.
+     */
+    function readWholeNumber(text, defaultValue, minimum, label) {
+        if (!text || trimString(text) === "") {
+            return defaultValue;
+        }
+        if (!/^\s*\d+\s*$/.test(text) || parseInt(text, 10) < minimum) {
+            throw new Error(label + " must be a whole number, " + minimum + " or more (got \"" + text + "\").");
+        }
+        return parseInt(text, 10);
+    }
+
+    var settings = {
+        mode: fields.mode && trimString(fields.mode) !== "" ? matchOption(fields.mode, HEX_FILL_MODES) : HEX_FILL_MODES[0],
+        colors: [],
+        direction: fields.direction && trimString(fields.direction) !== "" ? matchOption(fields.direction, FILL_DIRECTIONS) : FILL_DIRECTIONS[0],
+        seed: readWholeNumber(fields.seed, 1, 0, "Seed"),
+        bandRows: readWholeNumber(fields.bandRows, 2, 1, "Band rows")
+    };
+
+    if (!settings.mode) {
+        throw new Error("Unknown hex fill \"" + fields.mode + "\". Use " + HEX_FILL_MODES.join(", ") + ".");
+    }
+    if (!settings.direction) {
+        throw new Error("Unknown fill direction \"" + fields.direction + "\". Use " + FILL_DIRECTIONS.join(" or ") + ".");
+    }
+    if (settings.mode != "Solid") {
+        for (var i = 0; i < (fields.colors || []).length; i++) {
+            if (fields.colors[i]) {
+                settings.colors.push(fields.colors[i]);
             }
         }
+        if (settings.colors.length < 1 || settings.colors.length > 2) {
+            throw new Error(settings.mode + " needs one or two colours besides the hex colour.");
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Validate density fade settings, as chosen in the dialog or read from a manifest.
+ * @param {{origin: string, effect: string, curve: string, length: string, seed: string}} fields - The settings; `origin` is one of `FADE_ORIGINS` ("None" if empty), `effect` one of `FADE_EFFECTS` ("Remove" if empty), `curve` one of `FADE_CURVES` ("Linear" if empty), `length` the distance in cm over which the pattern fades (empty for the whole pattern) and `seed` a whole number for "Remove" (1 if empty).
+ * @returns {{origin: string, effect: string, curve: string, lengthCm: (number|null), seed: number}} The fade settings (see `fadeHexCells`).
+ * @throws {Error} Describing the first invalid field.
+ */
+function parseFadeSettings(fields) {
+    var settings = {
+        origin: fields.origin && trimString(fields.origin) !== "" ? matchOption(fields.origin, FADE_ORIGINS) : FADE_ORIGINS[0],
+        effect: fields.effect && trimString(fields.effect) !== "" ? matchOption(fields.effect, FADE_EFFECTS) : FADE_EFFECTS[0],
+        curve: fields.curve && trimString(fields.curve) !== "" ? matchOption(fields.curve, FADE_CURVES) : FADE_CURVES[0],
+        lengthCm: null,
+        seed: 1
+    };
+
+    if (!settings.origin) {
+        throw new Error("Unknown fade \"" + fields.origin + "\". Use " + FADE_ORIGINS.join(", ") + ".");
+    }
+    if (!settings.effect) {
+        throw new Error("Unknown fade effect \"" + fields.effect + "\". Use " + FADE_EFFECTS.join(" or ") + ".");
+    }
+    if (!settings.curve) {
+        throw new Error("Unknown fade curve \"" + fields.curve + "\". Use " + FADE_CURVES.join(" or ") + ".");
+    }
+    if (fields.length && trimString(fields.length) !== "") {
+        settings.lengthCm = parseNonNegativeNumber(fields.length);
+        if (!settings.lengthCm) {
+            throw new Error("Fade length must be a number of centimetres, more than 0 (got \"" + fields.length + "\").");
+        }
+    }
+    if (fields.seed && trimString(fields.seed) !== "") {
+        if (!/^\s*\d+\s*$/.test(fields.seed)) {
+            throw new Error("Fade seed must be a whole number, 0 or more (got \"" + fields.seed + "\").");
+        }
+        settings.seed = parseInt(fields.seed, 10);
+    }
 
-        // If we have groups to work with
-        if (allGroups.length > 0) {
-            // Set selection to all groups
-            doc.selection = allGroups;
+    return settings;
+}
 
-            // Group them together
-            app.executeMenuCommand("group");
+/**
+ * Validate sponsor scaling settings given as text, as typed in the dialog or read from a manifest.
+ * @param {{mode: string, value: string, minWidth: string, minHeight: string, maxWidth: string, maxHeight: string}} fields - The settings; `mode` is one of `SCALING_MODES` ("Fit box" if empty), `value` is the percentage for "Percentage" or the area in cm² for "Target area", and the limits are in cm (empty for none).
+ * @returns {{mode: string, percent: (number|null), areaCm2: (number|null), minWidthCm: (number|null), minHeightCm: (number|null), maxWidthCm: (number|null), maxHeightCm: (number|null)}} The scaling settings.
+ * @throws {Error} Describing the first invalid field.
+ */
+function parseScalingSettings(fields) {
+    /**
+     * Read one optional number field.
+     * @param {string} text - The typed value.
+     * @param {string} label - Field name for the error message.
+     * @returns {(number|null)} The value, or `null` if the field is empty.
+     */
+    function readLimit(text, label) {
+        if (!text || trimString(text) === "") {
+            return null;
+        }
+        var value = parseNonNegativeNumber(text);
+        if (!(value > 0)) {
+            throw new Error(label + " must be a number of cm, more than 0 (got \"" + text + "\").");
+        }
+        return value;
+    }
 
-            // Get the master group (the selection after grouping)
-            var masterGroup = doc.selection[0];
+    var settings = {
+        mode: fields.mode && trimString(fields.mode) !== "" ? matchOption(fields.mode, SCALING_MODES) : SCALING_MODES[0],
+        percent: null,
+        areaCm2: null,
+        minWidthCm: readLimit(fields.minWidth, "Minimum width"),
+        minHeightCm: readLimit(fields.minHeight, "Minimum height"),
+        maxWidthCm: readLimit(fields.maxWidth, "Maximum width"),
+        maxHeightCm: readLimit(fields.maxHeight, "Maximum height")
+    };
+
+    if (!settings.mode) {
+        throw new Error("Unknown scaling \"" + fields.mode + "\". Use " + SCALING_MODES.join(", ") + ".");
+    }
+    if (settings.mode == "Percentage" || settings.mode == "Target area") {
+        var value = parseNonNegativeNumber(fields.value || "");
+        if (!(value > 0)) {
+            throw new Error(settings.mode == "Percentage" ? "Enter the scale as a percentage, more than 0." : "Enter the target area in cm², more than 0.");
+        }
+        if (settings.mode == "Percentage") {
+            settings.percent = value;
+        } else {
+            settings.areaCm2 = value;
+        }
+    }
+    if (settings.minWidthCm !== null && settings.maxWidthCm !== null && settings.minWidthCm > settings.maxWidthCm) {
+        throw new Error("The minimum width is more than the maximum width.");
+    }
+    if (settings.minHeightCm !== null && settings.maxHeightCm !== null && settings.minHeightCm > settings.maxHeightCm) {
+        throw new Error("The minimum height is more than the maximum height.");
+    }
 
-            // Name the group "Artwork"
-            masterGroup.name = "Artwork";
+    return settings;
+}
 
-            // Rename the layer containing the artwork to "Artwork"
-            if (masterGroup.layer) {
-                masterGroup.layer.name = "Artwork";
+/**
+ * Validate hex pattern settings given as text, filling in `DEFAULT_PATTERN` for empty fields.
+ * @param {{source: string, cellSize: string, wall: string, gap: string, orientation: string, areaWidth: string, areaHeight: string, defaultArea: Object}} fields - The settings as typed; sizes are in mm except the area, which is in cm. `defaultArea` (optional, `{widthCm, heightCm}`) replaces the default area, e.g. a product's `hexArea`.
+ * @returns {{source: string, cellSizeMm: number, wallMm: number, gapMm: number, orientation: string, areaWidthCm: number, areaHeightCm: number}} The pattern settings.
+ * @throws {Error} Describing the first invalid field.
+ */
+function parsePatternSettings(fields) {
+    /**
+     * Read one number field, using the default when it is empty.
+     * @param {string} text - The typed value.
+     * @param {number} defaultValue - Value used for an empty field.
+     * @param {string} label - Field name for the error message.
+     * @returns {number} The value.
+     */
+    function readNumber(text, defaultValue, label) {
+        if (!text || trimString(text) === "") {
+            return defaultValue;
+        }
+        var value = parseNonNegativeNumber(text);
+        if (value === null) {
+            throw new Error(label + " must be a number, 0 or more (got \"" + text + "\").");
+        }
+        return value;
+    }
+
+    var settings = {
+        source: fields.source ? matchOption(fields.source, PATTERN_SOURCES) : DEFAULT_PATTERN.source,
+        cellSizeMm: readNumber(fields.cellSize, DEFAULT_PATTERN.cellSizeMm, "Cell size"),
+        wallMm: readNumber(fields.wall, DEFAULT_PATTERN.wallMm, "Wall"),
+        gapMm: readNumber(fields.gap, DEFAULT_PATTERN.gapMm, "Gap"),
+        orientation: fields.orientation ? matchOption(fields.orientation, HEX_ORIENTATIONS) : DEFAULT_PATTERN.orientation,
+        areaWidthCm: readNumber(fields.areaWidth, fields.defaultArea ? fields.defaultArea.widthCm : DEFAULT_PATTERN.areaWidthCm, "Area width"),
+        areaHeightCm: readNumber(fields.areaHeight, fields.defaultArea ? fields.defaultArea.heightCm : DEFAULT_PATTERN.areaHeightCm, "Area height")
+    };
+
+    if (!settings.source) {
+        throw new Error("Unknown hex pattern \"" + fields.source + "\". Use " + PATTERN_SOURCES.join(" or ") + ".");
+    }
+    if (!settings.orientation) {
+        throw new Error("Unknown orientation \"" + fields.orientation + "\". Use " + HEX_ORIENTATIONS.join(" or ") + ".");
+    }
+    if (settings.source == "Generated") {
+        if (settings.cellSizeMm <= 0) {
+            throw new Error("Cell size must be more than 0mm.");
+        }
+        if (settings.wallMm <= 0 || settings.wallMm * 2 >= settings.cellSizeMm) {
+            throw new Error("Wall must be more than 0mm and less than half the cell size.");
+        }
+        if (settings.areaWidthCm * 10 < settings.cellSizeMm || settings.areaHeightCm * 10 < settings.cellSizeMm) {
+            throw new Error("The pattern area must be at least one cell wide and high.");
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Draw a grid of hex rings into a layer, centered on the document's first artboard.
+ *
+ * Each cell is a CompoundPathItem made of an outer hexagon and a reversed inner hexagon, so the middle is a hole. Cells are laid out in offset columns (Flat) or offset rows (Pointy) with `gapMm` between neighbouring edges, and only whole cells that fit inside the area are drawn. The cells are left unpainted for `applyColorToLayer`.
+ * @param {Document} doc - The document to draw in.
+ * @param {Layer} layer - The layer that receives the cells.
+ * @param {Object} pattern - Pattern settings from `parsePatternSettings`.
+ * @returns {number} The number of cells drawn.
+ * @throws {Error} If the pattern cannot be drawn.
+ */
+function generateHexPattern(doc, layer, pattern) {
+    try {
+        var mmToPt = POINTS_PER_CM / 10;
+        var acrossFlats = pattern.cellSizeMm * mmToPt;
+        var pitch = acrossFlats + pattern.gapMm * mmToPt; // Distance between neighbouring cell centres
+        var outerRadius = acrossFlats / Math.sqrt(3);
+        var innerRadius = (acrossFlats - 2 * pattern.wallMm * mmToPt) / Math.sqrt(3);
+        var pointy = pattern.orientation == "Pointy";
+
+        // Lay out offset lines of cells. For Flat hexes the lines are columns; for Pointy hexes they are rows.
+        var lineSpacing = pitch * Math.sqrt(3) / 2;
+        var acrossLength = (pointy ? pattern.areaHeightCm : pattern.areaWidthCm) * POINTS_PER_CM;
+        var alongLength = (pointy ? pattern.areaWidthCm : pattern.areaHeightCm) * POINTS_PER_CM;
+
+        var lineCount = Math.floor((acrossLength - 2 * outerRadius) / lineSpacing) + 1;
+        var stagger = lineCount > 1 ? pitch / 2 : 0;
+        var cellsPerLine = Math.floor((alongLength - acrossFlats - stagger) / pitch) + 1;
+
+        if (lineCount < 1 || cellsPerLine < 1) {
+            throw new Error("the pattern area is too small for a single cell");
+        }
+
+        // Centre the grid on the artboard
+        var artboardRect = doc.artboards[0].artboardRect; // [left, top, right, bottom]
+        var centerX = (artboardRect[0] + artboardRect[2]) / 2;
+        var centerY = (artboardRect[1] + artboardRect[3]) / 2;
+        var usedAcross = (lineCount - 1) * lineSpacing + 2 * outerRadius;
+        var usedAlong = (cellsPerLine - 1) * pitch + acrossFlats + stagger;
+
+        // Flat hexes have a vertex at 0°, pointy hexes at 30°
+        var startAngle = pointy ? Math.PI / 6 : 0;
+        var count = 0;
+
+        for (var line = 0; line < lineCount; line++) {
+            for (var n = 0; n < cellsPerLine; n++) {
+                var across = -usedAcross / 2 + outerRadius + line * lineSpacing;
+                var along = -usedAlong / 2 + acrossFlats / 2 + n * pitch + (line % 2 ? stagger : 0);
+
+                // Columns run top to bottom; rows run left to right
+                var x = pointy ? centerX + along : centerX + across;
+                var y = pointy ? centerY - across : centerY - along;
+
+                var cell = layer.compoundPathItems.add();
+                var outer = cell.pathItems.add();
+                outer.setEntirePath(getHexagonPoints(x, y, outerRadius, startAngle, false));
+                outer.closed = true;
+
+                var inner = cell.pathItems.add();
+                inner.setEntirePath(getHexagonPoints(x, y, innerRadius, startAngle, true));
+                inner.closed = true;
+                inner.polarity = PolarityValues.NEGATIVE;
+
+                count++;
             }
+        }
 
-            // Get artboard bounds
-            var artboard = doc.artboards[0];
-            var artboardRect = artboard.artboardRect; // [left, top, right, bottom]
+        return count;
 
-            // Calculate artboard center
-            var artboardCenterX = (artboardRect[0] + artboardRect[2]) / 2;
-            var artboardCenterY = (artboardRect[1] + artboardRect[3]) / 2;
+    } catch (e) {
+        throw new Error("Failed to generate hex pattern: " + e.message);
+    }
+}
 
-            // Get group bounds
-            var groupBounds = masterGroup.geometricBounds; // [left, top, right, bottom]
+/**
+ * Calculate the six vertices of a regular hexagon.
+ * @param {number} centerX - Centre X in points.
+ * @param {number} centerY - Centre Y in points.
+ * @param {number} radius - Distance from the centre to each vertex.
+ * @param {number} startAngle - Angle of the first vertex in radians.
+ * @param {boolean} reversed - List the vertices clockwise instead of anticlockwise (used for holes).
+ * @returns {Array.<Array.<number>>} The vertices as [x, y] pairs.
+ */
+function getHexagonPoints(centerX, centerY, radius, startAngle, reversed) {
+    var points = [];
+    for (var i = 0; i < 6; i++) {
+        var angle = startAngle + (reversed ? -i : i) * Math.PI / 3;
+        points.push([centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle)]);
+    }
+    return points;
+}
 
-            // Calculate group center
-            var groupCenterX = (groupBounds[0] + groupBounds[2]) / 2;
-            var groupCenterY = (groupBounds[1] + groupBounds[3]) / 2;
+/**
+ * Grow a generated pattern's area into the product's bleed, for products with `hexIntoBleed`.
+ *
+ * The pattern is centred on the artboard, so an area at least as wide (or high) as the artboard reaches the trim on both sides; that side of the area is grown to the artboard plus the bleed on each side. Areas that stop short of the trim, like the standard pad's 4.3cm strip, and the SVG asset, are left as they are.
+ * @param {Object} pattern - Pattern settings from `parsePatternSettings`.
+ * @param {Object} product - Product template (see `loadProducts`).
+ * @returns {Object} The pattern settings to draw; a copy if the area changed.
+ */
+function extendPatternIntoBleed(pattern, product) {
+    if (!product.hexIntoBleed || !(product.bleedMm > 0) || pattern.source != "Generated") {
+        return pattern;
+    }
 
-            // Calculate translation needed to center the group
-            var deltaX = artboardCenterX - groupCenterX;
-            var deltaY = artboardCenterY - groupCenterY;
+    var bleedCm = product.bleedMm / 10;
+    var widthCm = pattern.areaWidthCm >= product.artboard.widthCm ? product.artboard.widthCm + 2 * bleedCm : pattern.areaWidthCm;
+    var heightCm = pattern.areaHeightCm >= product.artboard.heightCm ? product.artboard.heightCm + 2 * bleedCm : pattern.areaHeightCm;
+    if (widthCm == pattern.areaWidthCm && heightCm == pattern.areaHeightCm) {
+        return pattern;
+    }
 
-            // Move the group to center
-            masterGroup.translate(deltaX, deltaY);
-        }
+    var extended = {};
+    for (var key in pattern) {
+        extended[key] = pattern[key];
+    }
+    extended.areaWidthCm = widthCm;
+    extended.areaHeightCm = heightCm;
+    return extended;
+}
 
-        // Clear selection
-        doc.selection = null;
+/**
+ * Import SVG content into a specific layer of a target document by opening the SVG and duplicating its artwork, leaving the clipboard alone.
+ * The SVG stays open in `documentCache`, so later imports of the same file in the run reuse it.
+ * @param {File} svgFile - The SVG file to open and import.
+ * @param {Document} targetDoc - The Illustrator document that will receive the content.
+ * @param {Layer} targetLayer - The layer in the target document where the SVG content will be placed.
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`).
+ * @returns {Array.<PageItem>} The imported items.
+ * @throws {Error} If the SVG cannot be opened or the import fails; the thrown error contains a descriptive message.
+ */
+function importSVGByOpening(svgFile, targetDoc, targetLayer, documentCache) {
+    try {
+        // Open the SVG file as an Illustrator document
+        var svgDoc = openCachedDocument(documentCache, svgFile);
+
+        // Copy its artwork straight into the target layer
+        var items = duplicateItems(getDocumentArtwork(svgDoc), targetLayer);
+
+        // Return to target document
+        targetDoc.activate();
+        return items;
 
     } catch (e) {
-        throw new Error("Failed to group and center layers: " + e.message);
+        throw new Error("Failed to import SVG: " + e.message);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Group all page items on the given layer into a single group.
+ *
+ * Clears the document selection before and after grouping; if the layer has no page items nothing is changed.
+ *
+ * @param {Layer} layer - The layer whose page items will be grouped.
+ * @throws {Error} If grouping fails.
+ */
+function groupLayerContents(layer) {
+    try {
+        var doc = app.activeDocument;
+
+        // Clear selection
+        doc.selection = null;
+
+        // Select all page items on this layer
+        var items = layer.pageItems;
+        if (items.length > 0) {
+            // Build selection array
+            var selectionArray = [];
+            for (var i = 0; i < items.length; i++) {
+                selectionArray.push(items[i]);
+            }
+
+            // Set the selection
+            doc.selection = selectionArray;
+
+            // Group the selection using the built-in group method
+            if (doc.selection.length > 0) {
+                app.executeMenuCommand("group");
+            }
+        }
+
+        // Clear selection
+        doc.selection = null;
+
+    } catch (e) {
+        throw new Error("Failed to group layer contents: " + e.message);
+    }
+}
+
+/**
+ * Aligns the top-left corner of a group to the specified coordinates (in centimeters).
+ *
+ * Positions the group's bounding box so its top-left corner sits at (xCm, yCm). The Y coordinate is measured downward from the document ruler origin (top-left).
+ * @param {(GroupItem|null)} group - The group to position, e.g. a layer's group from `groupLayerContents`; no action if `null`.
+ * @param {number} xCm - Target X coordinate in centimeters from the left ruler origin.
+ * @param {number} yCm - Target Y coordinate in centimeters from the top ruler origin (measured downward).
+ * @throws {Error} If positioning fails.
+ */
+function positionGroup(group, xCm, yCm) {
+    try {
+        // Convert cm to points
+        var xPoints = xCm * POINTS_PER_CM;
+        var yPoints = yCm * POINTS_PER_CM;
+
+        if (group) {
+            // Get current position (top-left of bounding box)
+            var bounds = group.geometricBounds; // [left, top, right, bottom]
+            var currentLeft = bounds[0];
+            var currentTop = bounds[1];
+
+            // Calculate how much to move
+            // In Illustrator, Y increases upward, so moving down is negative
+            var deltaX = xPoints - currentLeft;
+            var deltaY = -yPoints - currentTop; // Negative because we're moving down from top
+
+            // Translate the group
+            group.translate(deltaX, deltaY);
+        }
+    } catch (e) {
+        throw new Error("Failed to position group: " + e.message);
+    }
+}
+
+/**
+ * Resize a sponsor's copied artwork uniformly by the scale `getSponsorScale` works out for its slot.
+ *
+ * No action is taken for a null or empty selection.
+ *
+ * @param {Array} selection - Array of page items to scale (e.g., selection array or group items).
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`), whose fit box the scaling modes refer to.
+ * @param {(Object|null)} scaling - The scaling settings (see `parseScalingSettings`); `null` fits the box.
+ * @returns {({widthCm: number, heightCm: number}|null)} The sponsor's size after scaling, or `null` if there was nothing to scale.
+ * @throws {Error} If resizing fails, an error is thrown with a descriptive message.
+ */
+function scaleSponsor(selection, slot, scaling) {
+    try {
+        if (!selection || selection.length === 0) {
+            return null;
+        }
+
+        // Get bounding box of selection
+        var bounds = getItemsBounds(selection);
+        var currentWidth = bounds[2] - bounds[0];
+        var currentHeight = bounds[1] - bounds[3];
+
+        // Apply uniform scaling to all selected items
+        var scaleFactor = getSponsorScale(currentWidth, currentHeight, slot, scaling) * 100; // Convert to percentage
+        for (var i = 0; i < selection.length; i++) {
+            selection[i].resize(scaleFactor, scaleFactor);
+        }
+
+        return {
+            widthCm: currentWidth * scaleFactor / 100 / POINTS_PER_CM,
+            heightCm: currentHeight * scaleFactor / 100 / POINTS_PER_CM
+        };
+
+    } catch (e) {
+        throw new Error("Failed to scale selection: " + e.message);
+    }
+}
+
+/**
+ * Work out the scale factor for a sponsor's artwork.
+ *
+ * - Fit box: the largest size that fits the slot's fit box
+ * - Fit width / Fit height: the fit box's width or height, whatever the other side comes to
+ * - Percentage: `scaling.percent` of the original size
+ * - Target area: the bounding box covers `scaling.areaCm2`, so tall and wide logos look about as big
+ * - Original size: no scaling
+ *
+ * The minimum width and height are then applied, followed by the maximums, so a maximum always wins.
+ * @param {number} widthPt - Width of the artwork before scaling, in points.
+ * @param {number} heightPt - Height of the artwork before scaling, in points.
+ * @param {Object} slot - The sponsor slot (see `parseSponsorSlot`).
+ * @param {(Object|null)} scaling - The scaling settings (see `parseScalingSettings`); `null` fits the box.
+ * @returns {number} The scale factor (1 keeps the size).
+ */
+function getSponsorScale(widthPt, heightPt, slot, scaling) {
+    var mode = scaling ? scaling.mode : "Fit box";
+    var fitWidth = slot.fitWidthCm * POINTS_PER_CM;
+    var fitHeight = slot.fitHeightCm * POINTS_PER_CM;
+
+    var scale;
+    if (mode == "Fit width") {
+        scale = fitWidth / widthPt;
+    } else if (mode == "Fit height") {
+        scale = fitHeight / heightPt;
+    } else if (mode == "Percentage") {
+        scale = scaling.percent / 100;
+    } else if (mode == "Target area") {
+        scale = Math.sqrt(scaling.areaCm2 * POINTS_PER_CM * POINTS_PER_CM / (widthPt * heightPt));
+    } else if (mode == "Original size") {
+        scale = 1;
+    } else {
+        scale = Math.min(fitWidth / widthPt, fitHeight / heightPt);
+    }
+
+    if (scaling) {
+        if (scaling.minWidthCm !== null) {
+            scale = Math.max(scale, scaling.minWidthCm * POINTS_PER_CM / widthPt);
+        }
+        if (scaling.minHeightCm !== null) {
+            scale = Math.max(scale, scaling.minHeightCm * POINTS_PER_CM / heightPt);
+        }
+        if (scaling.maxWidthCm !== null) {
+            scale = Math.min(scale, scaling.maxWidthCm * POINTS_PER_CM / widthPt);
+        }
+        if (scaling.maxHeightCm !== null) {
+            scale = Math.min(scale, scaling.maxHeightCm * POINTS_PER_CM / heightPt);
+        }
+    }
+    return scale;
+}
+
+/**
+ * Format a size in cm for messages, e.g. "10.2 × 4.1cm".
+ * @param {number} widthCm - The width.
+ * @param {number} heightCm - The height.
+ * @returns {string} The size, rounded to a millimetre.
+ */
+function formatSizeCm(widthCm, heightCm) {
+    return Math.round(widthCm * 10) / 10 + " × " + Math.round(heightCm * 10) / 10 + "cm";
+}
+
+/**
+ * Presents the configuration dialog for building a new hex document.
+ *
+ * The product sits above five tabs, each built by its own helper where the controls stand alone:
+ * - "Hex": the hex colour (see `addHexColorControls`), the hex fill (see `addFillPanel`), the clearance and the overlap mode
+ * - "Sponsor": where the sponsor artwork comes from, hidden and locked items, the position and "Custom" offset, the sponsor colour and print prep
+ * - "Sponsor Size": the scaling mode and size limits with a preview of the main sponsor's final size, and the additional sponsor slots (see `addSponsorSlotsPanel`)
+ * - "Pattern": the hex pattern settings (see `addPatternPanel`) and the density fade (see `addFadePanel`)
+ * - "Output": the export settings (see `addExportPanel`) and the colour proof (see `addColorProofPanel`)
+ *
+ * Every tab is validated when OK is clicked; invalid input is reported and the dialog stays open. Clicking "Batch..." returns `{batch: true}` instead.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`.
+ * @param {(Document|null)} sourceDoc - The document the sponsor artwork comes from; its selection picks the default sponsor source. Without one, "File" is the only source offered.
+ * @returns {(Object|{batch: boolean}|null)} The job settings for `buildHexDocument` (see its `config`), plus `exportSettings`, `null` unless export is switched on (see `exportHexDocument`), and `proofColors`, the palette colours to proof or `null` (see `buildColorProof`); `{batch: true}`; or `null` if the user cancels.
+ */
+function showConfigDialog(palette, products, sourceDoc) {
+    var i;
+    var artboardNames = sourceDoc ? getArtboardNames(sourceDoc) : [];
+
+    // Create dialog window
+    var dialog = new Window("dialog", "Hex Document Configuration");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    // Add product dropdown group; the product applies to every tab
+    var productGroup = dialog.add("group");
+    productGroup.orientation = "row";
+    var productLabel = productGroup.add("statictext", undefined, "Product:");
+    productLabel.preferredSize.width = 120;
+
+    var productNames = [];
+    for (i = 0; i < products.length; i++) {
+        productNames.push(products[i].name);
+    }
+    var productDropdown = productGroup.add("dropdownlist", undefined, productNames);
+    productDropdown.selection = 0; // Default to the first product
+    productDropdown.preferredSize.width = 200;
+
+    /**
+     * Get the selected product template.
+     * @returns {Object} The product (see `loadProducts`).
+     */
+    function getProduct() {
+        return products[productDropdown.selection.index];
+    }
+
+    // Group the settings into tabs, so the dialog fits on a small screen
+    var tabs = dialog.add("tabbedpanel");
+    tabs.alignChildren = ["fill", "top"];
+
+    /**
+     * Add a tab to the dialog.
+     * @param {string} title - The tab's title.
+     * @returns {Tab} The tab.
+     */
+    function addTab(title) {
+        var tab = tabs.add("tab", undefined, title);
+        tab.orientation = "column";
+        tab.alignChildren = ["fill", "top"];
+        return tab;
+    }
+
+    var hexTab = addTab("Hex");
+    var sponsorTab = addTab("Sponsor");
+    var sizeTab = addTab("Sponsor Size");
+    var patternTab = addTab("Pattern");
+    var outputTab = addTab("Output");
+    tabs.selection = hexTab;
+
+    // Hex tab: colour, fill and how the pattern meets the sponsor
+    var hexColor = addHexColorControls(hexTab, palette);
+    var fillPanel = addFillPanel(hexTab, palette);
+
+    var clearanceGroup = hexTab.add("group");
+    clearanceGroup.orientation = "row";
+    var clearanceLabel = clearanceGroup.add("statictext", undefined, "Clearance (mm):");
+    clearanceLabel.preferredSize.width = 120;
+
+    var clearanceInput = clearanceGroup.add("edittext", undefined, String(DEFAULT_CLEARANCE_MM));
+    clearanceInput.characters = 6;
+
+    var overlapGroup = hexTab.add("group");
+    overlapGroup.orientation = "row";
+    var overlapLabel = overlapGroup.add("statictext", undefined, "Overlapping Cells:");
+    overlapLabel.preferredSize.width = 120;
+
+    var overlapDropdown = overlapGroup.add("dropdownlist", undefined, OVERLAP_MODES);
+    overlapDropdown.selection = 0; // Default to Remove
+    overlapDropdown.preferredSize.width = 200;
+
+    // Sponsor tab: without an open document the sponsor has to come from a file
+    var sponsorSourceGroup = sponsorTab.add("group");
+    sponsorSourceGroup.orientation = "row";
+    var sponsorSourceLabel = sponsorSourceGroup.add("statictext", undefined, "Sponsor Source:");
+    sponsorSourceLabel.preferredSize.width = 120;
+
+    var sponsorSourceDropdown = sponsorSourceGroup.add("dropdownlist", undefined, sourceDoc ? SPONSOR_SOURCES : ["File"]);
+    sponsorSourceDropdown.selection = sourceDoc && sourceDoc.selection.length === 0 ? 1 : 0; // Default to the selection if there is one
+    sponsorSourceDropdown.preferredSize.width = 120;
+
+    var artboardDropdown = sponsorSourceGroup.add("dropdownlist", undefined, artboardNames);
+    if (sourceDoc) {
+        artboardDropdown.selection = sourceDoc.artboards.getActiveArtboardIndex();
+    }
+    artboardDropdown.preferredSize.width = 120;
+
+    // Add sponsor file group (only used by the "File" source)
+    var sponsorFileGroup = sponsorTab.add("group");
+    sponsorFileGroup.orientation = "row";
+    var sponsorFileLabel = sponsorFileGroup.add("statictext", undefined, "Sponsor File:");
+    sponsorFileLabel.preferredSize.width = 120;
+
+    var sponsorFileInput = sponsorFileGroup.add("edittext", undefined, "");
+    sponsorFileInput.characters = 20;
+    var sponsorBrowseButton = sponsorFileGroup.add("button", undefined, "Browse...");
+    sponsorBrowseButton.onClick = function () {
+        var file = File.openDialog("Select the sponsor artwork (AI, PDF, EPS or SVG)");
+        if (file) {
+            sponsorFileInput.text = file.fsName;
+        }
+    };
+
+    var sponsorPageGroup = sponsorTab.add("group");
+    sponsorPageGroup.orientation = "row";
+    var sponsorPageLabel = sponsorPageGroup.add("statictext", undefined, "Page/Artboard:");
+    sponsorPageLabel.preferredSize.width = 120;
+
+    var sponsorPageInput = sponsorPageGroup.add("edittext", undefined, "");
+    sponsorPageInput.characters = 6;
+    sponsorPageGroup.add("statictext", undefined, "PDF page or artboard (empty: first page or active artboard)");
+
+    /**
+     * Read the sponsor file from the file fields.
+     * @returns {(File|null)} The file, or `null` if none was given (see `checkSponsorFile`).
+     */
+    function getSponsorFile() {
+        return trimString(sponsorFileInput.text) === "" ? null : new File(trimString(sponsorFileInput.text));
+    }
+
+    // Add locked/hidden items dropdown group
+    var lockedHiddenGroup = sponsorTab.add("group");
+    lockedHiddenGroup.orientation = "row";
+    var lockedHiddenLabel = lockedHiddenGroup.add("statictext", undefined, "Locked/Hidden Items:");
+    lockedHiddenLabel.preferredSize.width = 120;
+
+    var lockedHiddenDropdown = lockedHiddenGroup.add("dropdownlist", undefined, LOCKED_HIDDEN_MODES);
+    lockedHiddenDropdown.selection = 0; // Default to Leave out
+    lockedHiddenDropdown.preferredSize.width = 200;
+
+    // Add sponsor position dropdown group
+    var positionGroup = sponsorTab.add("group");
+    positionGroup.orientation = "row";
+    var positionLabel = positionGroup.add("statictext", undefined, "Sponsor Position:");
+    positionLabel.preferredSize.width = 120;
+
+    var positionDropdown = positionGroup.add("dropdownlist", undefined, SPONSOR_POSITIONS);
+    positionDropdown.selection = 0; // Default to Normal
+    positionDropdown.preferredSize.width = 200;
+
+    // Add custom offset input group (only used by the "Custom" position)
+    var offsetGroup = sponsorTab.add("group");
+    offsetGroup.orientation = "row";
+    var offsetLabel = offsetGroup.add("statictext", undefined, "Offset from Top (cm):");
+    offsetLabel.preferredSize.width = 120;
+
+    var offsetInput = offsetGroup.add("edittext", undefined, "0");
+    offsetInput.characters = 6;
+
+    positionDropdown.onChange = function () {
+        offsetGroup.enabled = positionDropdown.selection.text == "Custom";
+    };
+    positionDropdown.onChange();
+
+    // Add sponsor colour mode group
+    var sponsorColorGroup = sponsorTab.add("group");
+    sponsorColorGroup.orientation = "row";
+    var sponsorColorLabel = sponsorColorGroup.add("statictext", undefined, "Sponsor Colour:");
+    sponsorColorLabel.preferredSize.width = 120;
+
+    var sponsorColorModeDropdown = sponsorColorGroup.add("dropdownlist", undefined, SPONSOR_COLOR_MODES);
+    sponsorColorModeDropdown.selection = 0; // Default to Original
+    sponsorColorModeDropdown.preferredSize.width = 120;
+
+    var sponsorColorDropdown = sponsorColorGroup.add("dropdownlist", undefined, getColorNames(palette));
+    sponsorColorDropdown.selection = 0;
+    sponsorColorDropdown.preferredSize.width = 120;
+
+    // The palette colour only applies to "Single colour"
+    sponsorColorModeDropdown.onChange = function () {
+        sponsorColorDropdown.enabled = sponsorColorModeDropdown.selection.text == "Single colour";
+    };
+    sponsorColorModeDropdown.onChange();
+
+    // Add print prep checkbox
+    var printPrepCheckbox = sponsorTab.add("checkbox", undefined, "Prepare sponsor for print (outline text, expand strokes, convert to CMYK)");
+    printPrepCheckbox.value = false;
+
+    // Sponsor Size tab: the main sponsor's scaling, then the additional sponsors
+    var sizePanel = sizeTab.add("panel", undefined, "Sponsor Size");
+    sizePanel.orientation = "column";
+    sizePanel.alignChildren = ["fill", "top"];
+
+    var scalingGroup = sizePanel.add("group");
+    scalingGroup.add("statictext", undefined, "Scaling:").preferredSize.width = 110;
+    var scalingDropdown = scalingGroup.add("dropdownlist", undefined, SCALING_MODES);
+    scalingDropdown.selection = 0; // Default to Fit box
+    scalingDropdown.preferredSize.width = 120;
+    var scalingValueInput = scalingGroup.add("edittext", undefined, "100");
+    scalingValueInput.characters = 6;
+    var scalingUnitLabel = scalingGroup.add("statictext", undefined, "cm²");
+    scalingUnitLabel.preferredSize.width = 30;
+
+    /**
+     * Add a row of two optional size fields (width × height, in cm) to the size panel.
+     * @param {string} label - The row label.
+     * @returns {{width: EditText, height: EditText}} The fields.
+     */
+    function addLimitFields(label) {
+        var group = sizePanel.add("group");
+        group.add("statictext", undefined, label).preferredSize.width = 110;
+        var width = group.add("edittext", undefined, "");
+        width.characters = 5;
+        group.add("statictext", undefined, "×");
+        var height = group.add("edittext", undefined, "");
+        height.characters = 5;
+        group.add("statictext", undefined, "(optional)");
+        return { width: width, height: height };
+    }
+
+    var minInputs = addLimitFields("Min Size (cm):");
+    var maxInputs = addLimitFields("Max Size (cm):");
+
+    var sizeInfo = sizePanel.add("statictext", undefined, "");
+    sizeInfo.preferredSize.width = 320;
+
+    /**
+     * Read the scaling settings from the size panel.
+     * @returns {Object} The validated settings (see `parseScalingSettings`).
+     * @throws {Error} If a field is invalid.
+     */
+    function readScalingSettings() {
+        return parseScalingSettings({
+            mode: scalingDropdown.selection.text,
+            value: scalingValueInput.text,
+            minWidth: minInputs.width.text,
+            minHeight: minInputs.height.text,
+            maxWidth: maxInputs.width.text,
+            maxHeight: maxInputs.height.text
+        });
+    }
+
+    // What the main sponsor comes to with the current settings, measured on the artwork as it is now
+    var sourceSelection = [];
+    for (i = 0; sourceDoc && i < sourceDoc.selection.length; i++) {
+        sourceSelection.push(sourceDoc.selection[i]);
+    }
+    var artworkBounds = null;
+
+    /**
+     * Measure the main sponsor's artwork for the chosen source, then update the size preview.
+     */
+    function measureSponsorArtwork() {
+        var source = sponsorSourceDropdown.selection.text;
+        var slot = { source: source, artboard: artboardDropdown.selection ? artboardDropdown.selection.text : null };
+        artworkBounds = source == "File" ? null : getItemsBounds(getSponsorItems(sourceDoc, slot, sourceSelection, lockedHiddenDropdown.selection.text));
+        updateSizePreview();
+    }
+
+    /**
+     * Show the main sponsor's size after scaling under the scaling fields.
+     */
+    function updateSizePreview() {
+        if (sponsorSourceDropdown.selection.text == "File") {
+            sizeInfo.text = "Final size: worked out when the file is opened";
+            return;
+        }
+        if (!artworkBounds) {
+            sizeInfo.text = "Final size: no sponsor artwork found";
+            return;
+        }
+        var scaling;
+        try {
+            scaling = readScalingSettings();
+        } catch (e) {
+            sizeInfo.text = "Final size: " + e.message;
+            return;
+        }
+        var product = getProduct();
+        var width = artworkBounds[2] - artworkBounds[0];
+        var height = artworkBounds[1] - artworkBounds[3];
+        var scale = getSponsorScale(width, height, { fitWidthCm: product.sponsorFit.widthCm, fitHeightCm: product.sponsorFit.heightCm }, scaling);
+        sizeInfo.text = "Final size: " + formatSizeCm(width * scale / POINTS_PER_CM, height * scale / POINTS_PER_CM) + " (now " + formatSizeCm(width / POINTS_PER_CM, height / POINTS_PER_CM) + ")";
+    }
+
+    // The value only applies to Percentage and Target area, the artboard list to "Artboard" and the file fields to "File"
+    scalingDropdown.onChange = function () {
+        var mode = scalingDropdown.selection.text;
+        scalingValueInput.enabled = mode == "Percentage" || mode == "Target area";
+        scalingUnitLabel.text = mode == "Target area" ? "cm²" : "%";
+        updateSizePreview();
+    };
+    sponsorSourceDropdown.onChange = function () {
+        artboardDropdown.enabled = sponsorSourceDropdown.selection.text == "Artboard";
+        sponsorFileGroup.enabled = sponsorPageGroup.enabled = sponsorSourceDropdown.selection.text == "File";
+        measureSponsorArtwork();
+    };
+    artboardDropdown.onChange = lockedHiddenDropdown.onChange = measureSponsorArtwork;
+    scalingValueInput.onChanging = minInputs.width.onChanging = minInputs.height.onChanging = updateSizePreview;
+    maxInputs.width.onChanging = maxInputs.height.onChanging = updateSizePreview;
+    sponsorSourceDropdown.onChange();
+    scalingDropdown.onChange();
+
+    var slotsPanel = addSponsorSlotsPanel(sizeTab, getProduct, artboardNames);
+
+    // Pattern tab
+    var patternPanel = addPatternPanel(patternTab, getProduct);
+    var fadePanel = addFadePanel(patternTab);
+
+    // Output tab
+    var exportPanel = addExportPanel(outputTab);
+    var colorProofPanel = addColorProofPanel(outputTab, palette);
+
+    // Each product can suggest its own pattern area and has its own fit box
+    productDropdown.onChange = function () {
+        patternPanel.showProductArea(getProduct());
+        updateSizePreview();
+    };
+
+    // Add buttons
+    var buttonGroup = dialog.add("group");
+    buttonGroup.orientation = "row";
+    buttonGroup.alignment = "center";
+
+    var batchButton = buttonGroup.add("button", undefined, "Batch...");
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    // Batch runs take their settings from a manifest, so skip the rest of the dialog
+    batchButton.onClick = function () {
+        dialog.close(DIALOG_BATCH);
+    };
+
+    // Check the typed values before closing, showing the tab with the first problem
+    okButton.onClick = function () {
+        if (parseNonNegativeNumber(clearanceInput.text) === null) {
+            tabs.selection = hexTab;
+            alert("Clearance must be a number of millimetres, 0 or more.");
+            return;
+        }
+        var checks = [
+            { tab: hexTab, read: fillPanel.read },
+            { tab: sponsorTab, read: function () {
+                if (positionDropdown.selection.text == "Custom" && parseNonNegativeNumber(offsetInput.text) === null) {
+                    throw new Error("Offset from Top must be a number of centimetres, 0 or more.");
+                }
+                if (sponsorSourceDropdown.selection.text == "File") {
+                    checkSponsorFile("Sponsor", getSponsorFile(), sponsorPageInput.text);
+                }
+            } },
+            { tab: sizeTab, read: readScalingSettings },
+            { tab: patternTab, read: patternPanel.read },
+            { tab: patternTab, read: fadePanel.read },
+            { tab: outputTab, read: exportPanel.read },
+            { tab: outputTab, read: colorProofPanel.read }
+        ];
+        for (var j = 0; j < checks.length; j++) {
+            try {
+                checks[j].read();
+            } catch (e) {
+                tabs.selection = checks[j].tab;
+                alert(e.message);
+                return;
+            }
+        }
+        dialog.close(1);
+    };
+
+    // Show dialog and get result
+    var result = dialog.show();
+    if (result == DIALOG_BATCH) {
+        return { batch: true };
+    }
+
+    if (result == 1) {
+        // User clicked OK
+        var selectedPosition = positionDropdown.selection.text;
+        var selectedSource = sponsorSourceDropdown.selection.text;
+
+        // Return product, color, position and overlap settings
+        return {
+            product: getProduct(),
+            color: hexColor.read(),
+            position: selectedPosition,
+            sponsorOffsetCm: selectedPosition == "Custom" ? parseNonNegativeNumber(offsetInput.text) : null,
+            sponsorSource: selectedSource,
+            sponsorArtboard: selectedSource == "Artboard" ? artboardDropdown.selection.text : selectedSource == "File" ? checkSponsorFile("Sponsor", getSponsorFile(), sponsorPageInput.text) : null,
+            sponsorFile: selectedSource == "File" ? getSponsorFile() : null,
+            lockedHidden: lockedHiddenDropdown.selection.text,
+            scaling: readScalingSettings(),
+            extraSponsors: slotsPanel.read(),
+            printPrep: printPrepCheckbox.value,
+            sponsorColorMode: sponsorColorModeDropdown.selection.text,
+            sponsorColor: sponsorColorModeDropdown.selection.text == "Single colour" ? palette[sponsorColorDropdown.selection.index] : null,
+            fill: fillPanel.read(),
+            fade: fadePanel.read(),
+            clearanceMm: parseNonNegativeNumber(clearanceInput.text),
+            overlapMode: overlapDropdown.selection.text,
+            pattern: patternPanel.read(),
+            exportSettings: exportPanel.read(),
+            proofColors: colorProofPanel.read()
+        };
+    } else {
+        // User cancelled
+        return null;
+    }
+}
+
+/**
+ * List the names of the palette colours, in palette order.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {Array.<string>} The names.
+ */
+function getColorNames(palette) {
+    var names = [];
+    for (var i = 0; i < palette.length; i++) {
+        names.push(palette[i].name);
+    }
+    return names;
+}
+
+/**
+ * Add the hex colour dropdown, with the selected colour's print values underneath, to a dialog.
+ *
+ * The dropdown lists the palette grouped by category, with separators between categories, then "Custom...", which opens `showCustomColorDialog` so the entry is validated before anything is built.
+ * @param {(Window|Panel|Group)} parent - The container for the controls.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {{read: function(): Object}} `read` returns the selected colour definition.
+ */
+function addHexColorControls(parent, palette) {
+    var i;
+    var colorGroup = parent.add("group");
+    colorGroup.orientation = "row";
+    var colorLabel = colorGroup.add("statictext", undefined, "Hex Color:");
+    colorLabel.preferredSize.width = 120;
+
+    // Group the palette by category, keeping categories in the order they first appear
+    var categories = [];
+    for (i = 0; i < palette.length; i++) {
+        var category = palette[i].category || "";
+        var known = false;
+        for (var c = 0; c < categories.length; c++) {
+            if (categories[c] == category) {
+                known = true;
+                break;
+            }
+        }
+        if (!known) {
+            categories.push(category);
+        }
+    }
+
+    // Dropdown items, with the palette entry behind each one (null for separators and "Custom...")
+    var colorDropdown = colorGroup.add("dropdownlist");
+    colorDropdown.preferredSize.width = 200;
+    var dropdownColors = [];
+    for (c = 0; c < categories.length; c++) {
+        if (c > 0) {
+            colorDropdown.add("separator");
+            dropdownColors.push(null);
+        }
+        for (i = 0; i < palette.length; i++) {
+            if ((palette[i].category || "") == categories[c]) {
+                colorDropdown.add("item", palette[i].name);
+                dropdownColors.push(palette[i]);
+            }
+        }
+    }
+    colorDropdown.add("separator");
+    dropdownColors.push(null);
+    colorDropdown.add("item", CUSTOM_COLOR_LABEL);
+    dropdownColors.push(null);
+    var customIndex = dropdownColors.length - 1;
+
+    colorDropdown.selection = 0; // Default to the first palette colour
+
+    // Show the print values of the selected colour
+    var colorInfoGroup = parent.add("group");
+    colorInfoGroup.orientation = "row";
+    colorInfoGroup.add("statictext", undefined, "").preferredSize.width = 120;
+    var colorInfo = colorInfoGroup.add("statictext", undefined, describeColor(dropdownColors[0]));
+    colorInfo.preferredSize.width = 200;
+
+    var customColor = null;
+    var previousColorIndex = 0;
+
+    colorDropdown.onChange = function () {
+        if (!colorDropdown.selection) {
+            return;
+        }
+        var index = colorDropdown.selection.index;
+
+        if (index == customIndex) {
+            var entered = showCustomColorDialog(customColor);
+            if (!entered) {
+                // Cancelled - go back to the previous colour
+                colorDropdown.selection = previousColorIndex;
+                return;
+            }
+            customColor = entered;
+            colorInfo.text = describeColor(customColor);
+        } else {
+            colorInfo.text = describeColor(dropdownColors[index]);
+        }
+        previousColorIndex = index;
+    };
+
+    return {
+        read: function () {
+            var index = colorDropdown.selection.index;
+            return index == customIndex ? customColor : dropdownColors[index];
+        }
+    };
+}
+
+/**
+ * Add the "Hex Fill" panel to a dialog: the fill mode, the other fill colours, and each mode's options. The hex colour is always the first fill colour.
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {{read: function(): Object}} `read` returns the validated settings (see `parseFillSettings`) and throws if a field is invalid.
+ */
+function addFillPanel(parent, palette) {
+    var paletteNames = getColorNames(palette);
+
+    var fillPanel = parent.add("panel", undefined, "Hex Fill");
+    fillPanel.orientation = "column";
+    fillPanel.alignChildren = ["fill", "top"];
+
+    var fillModeGroup = fillPanel.add("group");
+    fillModeGroup.add("statictext", undefined, "Fill:").preferredSize.width = 110;
+    var fillModeDropdown = fillModeGroup.add("dropdownlist", undefined, HEX_FILL_MODES);
+    fillModeDropdown.selection = 0; // Default to Solid
+    fillModeDropdown.preferredSize.width = 200;
+
+    var fillColorsGroup = fillPanel.add("group");
+    fillColorsGroup.add("statictext", undefined, "Other Colours:").preferredSize.width = 110;
+    var fillColor2Dropdown = fillColorsGroup.add("dropdownlist", undefined, paletteNames);
+    fillColor2Dropdown.selection = palette.length > 1 ? 1 : 0;
+    fillColor2Dropdown.preferredSize.width = 120;
+    var fillColor3Dropdown = fillColorsGroup.add("dropdownlist", undefined, ["None"].concat(paletteNames));
+    fillColor3Dropdown.selection = 0; // Default to two colours
+    fillColor3Dropdown.preferredSize.width = 120;
+
+    var fillOptionsGroup = fillPanel.add("group");
+    fillOptionsGroup.add("statictext", undefined, "Alternate:").preferredSize.width = 110;
+    var fillDirectionDropdown = fillOptionsGroup.add("dropdownlist", undefined, FILL_DIRECTIONS);
+    fillDirectionDropdown.selection = 0; // Default to Columns
+    fillOptionsGroup.add("statictext", undefined, "Seed:");
+    var seedInput = fillOptionsGroup.add("edittext", undefined, "1");
+    seedInput.characters = 5;
+    fillOptionsGroup.add("statictext", undefined, "Band Rows:");
+    var bandRowsInput = fillOptionsGroup.add("edittext", undefined, "2");
+    bandRowsInput.characters = 3;
+
+    // Each option only applies to its own fill mode
+    fillModeDropdown.onChange = function () {
+        var mode = fillModeDropdown.selection.text;
+        fillColorsGroup.enabled = mode != "Solid";
+        fillDirectionDropdown.enabled = mode == "Alternating";
+        seedInput.enabled = mode == "Random scatter";
+        bandRowsInput.enabled = mode == "Banded";
+    };
+    fillModeDropdown.onChange();
+
+    return {
+        read: function () {
+            var color3Index = fillColor3Dropdown.selection.index;
+            return parseFillSettings({
+                mode: fillModeDropdown.selection.text,
+                colors: [palette[fillColor2Dropdown.selection.index], color3Index > 0 ? palette[color3Index - 1] : null],
+                direction: fillDirectionDropdown.selection.text,
+                seed: seedInput.text,
+                bandRows: bandRowsInput.text
+            });
+        }
+    };
+}
+
+/**
+ * Add the "Density Fade" panel to a dialog: where the pattern fades toward, the effect and curve, the fade length and the seed.
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @returns {{read: function(): Object}} `read` returns the validated settings (see `parseFadeSettings`) and throws if a field is invalid.
+ */
+function addFadePanel(parent) {
+    var fadePanel = parent.add("panel", undefined, "Density Fade");
+    fadePanel.orientation = "column";
+    fadePanel.alignChildren = ["fill", "top"];
+
+    var fadeOriginGroup = fadePanel.add("group");
+    fadeOriginGroup.add("statictext", undefined, "Fade Toward:").preferredSize.width = 110;
+    var fadeOriginDropdown = fadeOriginGroup.add("dropdownlist", undefined, FADE_ORIGINS);
+    fadeOriginDropdown.selection = 0; // Default to None
+    fadeOriginDropdown.preferredSize.width = 200;
+
+    var fadeEffectGroup = fadePanel.add("group");
+    fadeEffectGroup.add("statictext", undefined, "Effect:").preferredSize.width = 110;
+    var fadeEffectDropdown = fadeEffectGroup.add("dropdownlist", undefined, FADE_EFFECTS);
+    fadeEffectDropdown.selection = 0; // Default to Remove
+    fadeEffectGroup.add("statictext", undefined, "Curve:");
+    var fadeCurveDropdown = fadeEffectGroup.add("dropdownlist", undefined, FADE_CURVES);
+    fadeCurveDropdown.selection = 0; // Default to Linear
+
+    var fadeLengthGroup = fadePanel.add("group");
+    fadeLengthGroup.add("statictext", undefined, "Fade Length (cm):").preferredSize.width = 110;
+    var fadeLengthInput = fadeLengthGroup.add("edittext", undefined, "");
+    fadeLengthInput.characters = 6;
+    fadeLengthGroup.add("statictext", undefined, "Seed:");
+    var fadeSeedInput = fadeLengthGroup.add("edittext", undefined, "1");
+    fadeSeedInput.characters = 5;
+    fadeLengthGroup.add("statictext", undefined, "(empty length: whole pattern)");
+
+    // The seed only decides which cells are removed
+    fadeOriginDropdown.onChange = fadeEffectDropdown.onChange = function () {
+        var fading = fadeOriginDropdown.selection.text != "None";
+        fadeEffectGroup.enabled = fading;
+        fadeLengthGroup.enabled = fading;
+        fadeSeedInput.enabled = fadeEffectDropdown.selection.text == "Remove";
+    };
+    fadeOriginDropdown.onChange();
+
+    return {
+        read: function () {
+            return parseFadeSettings({
+                origin: fadeOriginDropdown.selection.text,
+                effect: fadeEffectDropdown.selection.text,
+                curve: fadeCurveDropdown.selection.text,
+                length: fadeLengthInput.text,
+                seed: fadeSeedInput.text
+            });
+        }
+    };
+}
+
+/**
+ * Add the "Additional Sponsors" panel to a dialog: a list of sponsor slots with buttons to add, edit (both with `showSponsorSlotDialog`) and remove them.
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @param {function(): Object} getProduct - Returns the selected product template, for the slots' default fit box.
+ * @param {Array.<string>} artboardNames - The source document's artboard names, for slots taken from an artboard.
+ * @returns {{read: function(): Array.<Object>}} `read` returns the slots (see `parseSponsorSlot`), in list order.
+ */
+function addSponsorSlotsPanel(parent, getProduct, artboardNames) {
+    var slotsPanel = parent.add("panel", undefined, "Additional Sponsors");
+    slotsPanel.orientation = "column";
+    slotsPanel.alignChildren = ["fill", "top"];
+
+    var extraSponsors = [];
+    var slotList = slotsPanel.add("listbox", undefined, []);
+    slotList.preferredSize = [320, 60];
+
+    var slotButtons = slotsPanel.add("group");
+    slotButtons.alignment = "right";
+    var addSlotButton = slotButtons.add("button", undefined, "Add...");
+    var editSlotButton = slotButtons.add("button", undefined, "Edit...");
+    var removeSlotButton = slotButtons.add("button", undefined, "Remove");
+
+    /**
+     * Rebuild the slot list from `extraSponsors`.
+     */
+    function refreshSlotList() {
+        slotList.removeAll();
+        for (var j = 0; j < extraSponsors.length; j++) {
+            var slot = extraSponsors[j];
+            var from = slot.source == "File" ? slot.file.displayName + (slot.artboard ? ", " + slot.artboard : "") : slot.source == "Artboard" ? "artboard " + slot.artboard : slot.source;
+            slotList.add("item", slot.name + " - " + slot.position + " (" + from + ")");
+        }
+        editSlotButton.enabled = removeSlotButton.enabled = false;
+    }
+
+    /**
+     * Check that a slot name isn't already used by another slot; `parseSponsorSlot` has already turned down the reserved names.
+     * @param {string} name - The proposed name.
+     * @param {number} ignoreIndex - Index of the slot being edited, or -1.
+     * @returns {boolean} `true` if the name is free.
+     */
+    function isSlotNameFree(name, ignoreIndex) {
+        for (var j = 0; j < extraSponsors.length; j++) {
+            if (j != ignoreIndex && extraSponsors[j].name.toLowerCase() == name.toLowerCase()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    slotList.onChange = function () {
+        editSlotButton.enabled = removeSlotButton.enabled = slotList.selection !== null;
+    };
+
+    addSlotButton.onClick = function () {
+        var slot = showSponsorSlotDialog(null, getProduct(), artboardNames, "Sponsor " + (extraSponsors.length + 2));
+        if (slot) {
+            if (!isSlotNameFree(slot.name, -1)) {
+                alert("There is already a sponsor called \"" + slot.name + "\".");
+                return;
+            }
+            extraSponsors.push(slot);
+            refreshSlotList();
+        }
+    };
+
+    editSlotButton.onClick = function () {
+        if (!slotList.selection) {
+            return;
+        }
+        var index = slotList.selection.index;
+        var slot = showSponsorSlotDialog(extraSponsors[index], getProduct(), artboardNames);
+        if (slot) {
+            if (!isSlotNameFree(slot.name, index)) {
+                alert("There is already a sponsor called \"" + slot.name + "\".");
+                return;
+            }
+            extraSponsors[index] = slot;
+            refreshSlotList();
+        }
+    };
+
+    removeSlotButton.onClick = function () {
+        if (slotList.selection) {
+            extraSponsors.splice(slotList.selection.index, 1);
+            refreshSlotList();
+        }
+    };
+    refreshSlotList();
+
+    return {
+        read: function () {
+            return extraSponsors;
+        }
+    };
+}
+
+/**
+ * Add the "Hex Pattern" panel to a dialog: the pattern source and the generator's cell, wall, gap, orientation and area settings.
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @param {function(): Object} getProduct - Returns the selected product template, whose `hexArea` is the default area.
+ * @returns {{read: function(): Object, showProductArea: function(Object)}} `read` returns the validated settings (see `parsePatternSettings`) and throws if a field is invalid; `showProductArea` fills in a product's suggested area, if it has one.
+ */
+function addPatternPanel(parent, getProduct) {
+    var patternPanel = parent.add("panel", undefined, "Hex Pattern");
+    patternPanel.orientation = "column";
+    patternPanel.alignChildren = ["fill", "top"];
+
+    var sourceGroup = patternPanel.add("group");
+    sourceGroup.add("statictext", undefined, "Pattern:").preferredSize.width = 110;
+    var sourceDropdown = sourceGroup.add("dropdownlist", undefined, PATTERN_SOURCES);
+    sourceDropdown.selection = 0; // Default to Generated
+    sourceDropdown.preferredSize.width = 200;
+
+    /**
+     * Add a labelled text field to the pattern panel.
+     * @param {string} label - The field label.
+     * @param {*} value - The initial value.
+     * @returns {EditText} The text field.
+     */
+    function addPatternField(label, value) {
+        var group = patternPanel.add("group");
+        group.add("statictext", undefined, label).preferredSize.width = 110;
+        var input = group.add("edittext", undefined, String(value));
+        input.characters = 6;
+        return input;
+    }
+
+    var cellSizeInput = addPatternField("Cell Size (mm):", DEFAULT_PATTERN.cellSizeMm);
+    var wallInput = addPatternField("Wall (mm):", DEFAULT_PATTERN.wallMm);
+    var gapInput = addPatternField("Gap (mm):", DEFAULT_PATTERN.gapMm);
+
+    var orientationGroup = patternPanel.add("group");
+    orientationGroup.add("statictext", undefined, "Orientation:").preferredSize.width = 110;
+    var orientationDropdown = orientationGroup.add("dropdownlist", undefined, HEX_ORIENTATIONS);
+    orientationDropdown.selection = 0; // Default to Flat
+
+    var hexArea = getProduct().hexArea;
+    var areaWidthInput = addPatternField("Area Width (cm):", hexArea ? hexArea.widthCm : DEFAULT_PATTERN.areaWidthCm);
+    var areaHeightInput = addPatternField("Area Height (cm):", hexArea ? hexArea.heightCm : DEFAULT_PATTERN.areaHeightCm);
+
+    // The generator settings don't apply to the SVG asset
+    var generatorInputs = [cellSizeInput, wallInput, gapInput, orientationDropdown, areaWidthInput, areaHeightInput];
+    sourceDropdown.onChange = function () {
+        for (var j = 0; j < generatorInputs.length; j++) {
+            generatorInputs[j].enabled = sourceDropdown.selection.index === 0;
+        }
+    };
+
+    return {
+        read: function () {
+            return parsePatternSettings({
+                source: sourceDropdown.selection.text,
+                cellSize: cellSizeInput.text,
+                wall: wallInput.text,
+                gap: gapInput.text,
+                orientation: orientationDropdown.selection.text,
+                areaWidth: areaWidthInput.text,
+                areaHeight: areaHeightInput.text,
+                defaultArea: getProduct().hexArea
+            });
+        },
+        showProductArea: function (product) {
+            if (product.hexArea) {
+                areaWidthInput.text = String(product.hexArea.widthCm);
+                areaHeightInput.text = String(product.hexArea.heightCm);
+            }
+        }
+    };
+}
+
+/**
+ * Add the "Export" panel to a dialog: a switch for saving the finished pad, the output folder, club name, file name pattern, PDF preset and proof format.
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @returns {{read: function(): (Object|null)}} `read` returns the export settings (see `exportHexDocument`), or `null` if export is switched off, and throws if a field is invalid.
+ */
+function addExportPanel(parent) {
+    var exportPanel = parent.add("panel", undefined, "Export");
+    exportPanel.orientation = "column";
+    exportPanel.alignChildren = ["fill", "top"];
+
+    var exportCheckbox = exportPanel.add("checkbox", undefined, "Save AI, print PDF and proof when done");
+    exportCheckbox.value = false;
+
+    var folderGroup = exportPanel.add("group");
+    folderGroup.add("statictext", undefined, "Output Folder:").preferredSize.width = 110;
+    var folderInput = folderGroup.add("edittext", undefined, "");
+    folderInput.characters = 20;
+    var browseButton = folderGroup.add("button", undefined, "Browse...");
+    browseButton.onClick = function () {
+        var folder = Folder.selectDialog("Choose the output folder");
+        if (folder) {
+            folderInput.text = folder.fsName;
+        }
+    };
+
+    var clubGroup = exportPanel.add("group");
+    clubGroup.add("statictext", undefined, "Club:").preferredSize.width = 110;
+    var clubInput = clubGroup.add("edittext", undefined, "");
+    clubInput.characters = 20;
+
+    var namePatternGroup = exportPanel.add("group");
+    namePatternGroup.add("statictext", undefined, "File Name:").preferredSize.width = 110;
+    var namePatternInput = namePatternGroup.add("edittext", undefined, DEFAULT_NAME_PATTERN);
+    namePatternInput.characters = 28;
+
+    var presetGroup = exportPanel.add("group");
+    presetGroup.add("statictext", undefined, "PDF Preset:").preferredSize.width = 110;
+    var presetNames = app.PDFPresetsList;
+    var presetDropdown = presetGroup.add("dropdownlist", undefined, presetNames);
+    presetDropdown.selection = 0;
+    for (var i = 0; i < presetNames.length; i++) {
+        if (presetNames[i] == DEFAULT_PDF_PRESET) {
+            presetDropdown.selection = i;
+        }
+    }
+    presetDropdown.preferredSize.width = 200;
+
+    var proofGroup = exportPanel.add("group");
+    proofGroup.add("statictext", undefined, "Proof:").preferredSize.width = 110;
+    var proofDropdown = proofGroup.add("dropdownlist", undefined, PROOF_FORMATS);
+    proofDropdown.selection = 0; // Default to PNG
+
+    // The export settings only apply when export is switched on
+    var exportGroups = [folderGroup, clubGroup, namePatternGroup, presetGroup, proofGroup];
+    exportCheckbox.onClick = function () {
+        for (var j = 0; j < exportGroups.length; j++) {
+            exportGroups[j].enabled = exportCheckbox.value;
+        }
+    };
+    exportCheckbox.onClick();
+
+    return {
+        read: function () {
+            if (!exportCheckbox.value) {
+                return null;
+            }
+            if (trimString(folderInput.text) === "") {
+                throw new Error("Choose an output folder for the exported files.");
+            }
+            if (!presetDropdown.selection) {
+                throw new Error("No PDF presets are available in Illustrator.");
+            }
+            var settings = {
+                folder: new Folder(trimString(folderInput.text)),
+                club: trimString(clubInput.text),
+                namePattern: trimString(namePatternInput.text),
+                pdfPreset: presetDropdown.selection.text,
+                proofFormat: proofDropdown.selection.text
+            };
+            if (settings.namePattern === "") {
+                throw new Error("Enter a file name pattern, e.g. " + DEFAULT_NAME_PATTERN);
+            }
+            if (settings.club === "" && settings.namePattern.indexOf("{club}") >= 0) {
+                throw new Error("Enter the club name used in the file name.");
+            }
+            // Reports unknown tokens in the pattern
+            formatExportName(settings.namePattern, { club: settings.club, colour: "", position: "", product: "" }, 1);
+            return settings;
+        }
+    };
+}
+
+/**
+ * Add the "Colour Proof" panel to a dialog: a switch for proofing the pad in several colours, and the colours to proof (chosen with `showProofColorsDialog`, all palette colours by default).
+ * @param {(Window|Panel|Group)} parent - The container for the panel.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {{read: function(): (Array.<Object>|null)}} `read` returns the colour definitions to proof in palette order, or `null` if the proof is switched off, and throws if no colour is chosen.
+ */
+function addColorProofPanel(parent, palette) {
+    var proofColorIndexes = [];
+    for (var i = 0; i < palette.length; i++) {
+        proofColorIndexes.push(i);
+    }
+
+    var colorProofPanel = parent.add("panel", undefined, "Colour Proof");
+    colorProofPanel.orientation = "row";
+    colorProofPanel.alignChildren = ["left", "center"];
+    var colorProofCheckbox = colorProofPanel.add("checkbox", undefined, "Proof all colours");
+    colorProofCheckbox.value = false;
+    var proofColorsButton = colorProofPanel.add("button", undefined, "Colours...");
+    var proofColorsInfo = colorProofPanel.add("statictext", undefined, "");
+    proofColorsInfo.preferredSize.width = 160;
+
+    /**
+     * Show how many colours will be proofed.
+     */
+    function updateProofColorsInfo() {
+        proofColorsInfo.text = proofColorIndexes.length == palette.length ? "All " + palette.length + " colours" : proofColorIndexes.length + " of " + palette.length + " colours";
+    }
+    updateProofColorsInfo();
+
+    proofColorsButton.onClick = function () {
+        var chosen = showProofColorsDialog(palette, proofColorIndexes);
+        if (chosen) {
+            proofColorIndexes = chosen;
+            updateProofColorsInfo();
+        }
+    };
+    colorProofCheckbox.onClick = function () {
+        proofColorsButton.enabled = colorProofCheckbox.value;
+        proofColorsInfo.enabled = colorProofCheckbox.value;
+    };
+    colorProofCheckbox.onClick();
+
+    return {
+        read: function () {
+            if (!colorProofCheckbox.value) {
+                return null;
+            }
+            if (proofColorIndexes.length === 0) {
+                throw new Error("Choose at least one colour to proof.");
+            }
+            var colors = [];
+            for (var j = 0; j < proofColorIndexes.length; j++) {
+                colors.push(palette[proofColorIndexes[j]]);
+            }
+            return colors;
+        }
+    };
+}
+
+/**
+ * Shows the "Edit Existing Hex" dialog for a document built by HexMaker, pre-filled with the settings it was built with.
+ *
+ * Offers the hex colour (from the palette, or "Custom..." via `showCustomColorDialog`), the main sponsor's position and "Custom" offset, the clearance and the overlap mode. Clicking "New Hex..." returns `{newHex: true}`, so a new document can be built from the active document's artwork instead.
+ * @param {Object} job - The stored job settings (see `createJobRecord`).
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {({color: Object, position: string, sponsorOffsetCm: (number|null), clearanceMm: number, overlapMode: string}|{newHex: boolean}|null)} The new settings for `editHexDocument`, `{newHex: true}`, or `null` if the user cancels.
+ */
+function showEditDialog(job, palette) {
+    var i;
+    var mainSlot = job.sponsors[0];
+
+    var dialog = new Window("dialog", "Edit Existing Hex");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    dialog.add("statictext", undefined, "This document was made by HexMaker for " + job.product + ".");
+
+    // Hex colour: the palette, then "Custom..."; a colour not in the palette starts as the custom colour
+    var colorGroup = dialog.add("group");
+    colorGroup.orientation = "row";
+    var colorLabel = colorGroup.add("statictext", undefined, "Hex Color:");
+    colorLabel.preferredSize.width = 120;
+
+    var colorDropdown = colorGroup.add("dropdownlist");
+    colorDropdown.preferredSize.width = 200;
+    var selectedIndex = -1;
+    for (i = 0; i < palette.length; i++) {
+        colorDropdown.add("item", palette[i].name);
+        if (selectedIndex < 0 && palette[i].name == job.color.name && palette[i].cmyk.join(",") == job.color.cmyk.join(",")) {
+            selectedIndex = i;
+        }
+    }
+    colorDropdown.add("separator");
+    colorDropdown.add("item", CUSTOM_COLOR_LABEL);
+    var customIndex = palette.length + 1;
+
+    var customColor = selectedIndex < 0 ? job.color : null;
+    var previousColorIndex = selectedIndex < 0 ? customIndex : selectedIndex;
+    colorDropdown.selection = previousColorIndex;
+
+    var colorInfoGroup = dialog.add("group");
+    colorInfoGroup.orientation = "row";
+    colorInfoGroup.add("statictext", undefined, "").preferredSize.width = 120;
+    var colorInfo = colorInfoGroup.add("statictext", undefined, describeColor(job.color));
+    colorInfo.preferredSize.width = 200;
+
+    colorDropdown.onChange = function () {
+        if (!colorDropdown.selection) {
+            return;
+        }
+        var index = colorDropdown.selection.index;
+
+        if (index == customIndex) {
+            var entered = showCustomColorDialog(customColor);
+            if (!entered) {
+                // Cancelled - go back to the previous colour
+                colorDropdown.selection = previousColorIndex;
+                return;
+            }
+            customColor = entered;
+            colorInfo.text = describeColor(customColor);
+        } else {
+            colorInfo.text = describeColor(palette[index]);
+        }
+        previousColorIndex = index;
+    };
+
+    // Sponsor position and "Custom" offset
+    var positionGroup = dialog.add("group");
+    positionGroup.orientation = "row";
+    var positionLabel = positionGroup.add("statictext", undefined, "Sponsor Position:");
+    positionLabel.preferredSize.width = 120;
+
+    var positionDropdown = positionGroup.add("dropdownlist", undefined, SPONSOR_POSITIONS);
+    positionDropdown.selection = 0;
+    for (i = 0; i < SPONSOR_POSITIONS.length; i++) {
+        if (SPONSOR_POSITIONS[i] == mainSlot.position) {
+            positionDropdown.selection = i;
+        }
+    }
+    positionDropdown.preferredSize.width = 200;
+
+    var offsetGroup = dialog.add("group");
+    offsetGroup.orientation = "row";
+    var offsetLabel = offsetGroup.add("statictext", undefined, "Offset from Top (cm):");
+    offsetLabel.preferredSize.width = 120;
+
+    var offsetInput = offsetGroup.add("edittext", undefined, mainSlot.offsetCm === null ? "0" : String(mainSlot.offsetCm));
+    offsetInput.characters = 6;
+
+    positionDropdown.onChange = function () {
+        offsetGroup.enabled = positionDropdown.selection.text == "Custom";
+    };
+    positionDropdown.onChange();
+
+    // Clearance and overlap mode
+    var clearanceGroup = dialog.add("group");
+    clearanceGroup.orientation = "row";
+    var clearanceLabel = clearanceGroup.add("statictext", undefined, "Clearance (mm):");
+    clearanceLabel.preferredSize.width = 120;
+
+    var clearanceInput = clearanceGroup.add("edittext", undefined, String(job.clearanceMm));
+    clearanceInput.characters = 6;
+
+    var overlapGroup = dialog.add("group");
+    overlapGroup.orientation = "row";
+    var overlapLabel = overlapGroup.add("statictext", undefined, "Overlapping Cells:");
+    overlapLabel.preferredSize.width = 120;
+
+    var overlapDropdown = overlapGroup.add("dropdownlist", undefined, OVERLAP_MODES);
+    overlapDropdown.selection = job.overlapMode == "Clip" ? 1 : 0;
+    overlapDropdown.preferredSize.width = 200;
+
+    // Add buttons
+    var buttonGroup = dialog.add("group");
+    buttonGroup.orientation = "row";
+    buttonGroup.alignment = "center";
+
+    var newButton = buttonGroup.add("button", undefined, "New Hex...");
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    newButton.onClick = function () {
+        dialog.close(DIALOG_NEW_HEX);
+    };
+
+    // Check the typed values before closing
+    okButton.onClick = function () {
+        if (positionDropdown.selection.text == "Custom" && parseNonNegativeNumber(offsetInput.text) === null) {
+            alert("Offset from Top must be a number of centimetres, 0 or more.");
+            return;
+        }
+        if (parseNonNegativeNumber(clearanceInput.text) === null) {
+            alert("Clearance must be a number of millimetres, 0 or more.");
+            return;
+        }
+        dialog.close(1);
+    };
+
+    var result = dialog.show();
+    if (result == DIALOG_NEW_HEX) {
+        return { newHex: true };
+    }
+    if (result != 1) {
+        return null;
+    }
+
+    var colorIndex = colorDropdown.selection.index;
+    var selectedPosition = positionDropdown.selection.text;
+    return {
+        color: colorIndex == customIndex ? customColor : palette[colorIndex],
+        position: selectedPosition,
+        sponsorOffsetCm: selectedPosition == "Custom" ? parseNonNegativeNumber(offsetInput.text) : null,
+        clearanceMm: parseNonNegativeNumber(clearanceInput.text),
+        overlapMode: overlapDropdown.selection.text
+    };
+}
+
+/**
+ * Presents a dialog for choosing which palette colours go on the colour proof.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @param {Array.<number>} selected - Indexes into `palette` of the colours chosen so far.
+ * @returns {(Array.<number>|null)} The indexes of the chosen colours, in palette order; `null` if the user cancels.
+ */
+function showProofColorsDialog(palette, selected) {
+    var i;
+    var dialog = new Window("dialog", "Proof Colours");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    dialog.add("statictext", undefined, "Colours on the proof (one artboard each):");
+
+    var names = [];
+    for (i = 0; i < palette.length; i++) {
+        names.push(palette[i].name + " - " + describeColor(palette[i]));
+    }
+    var colorList = dialog.add("listbox", undefined, names, {multiselect: true});
+    colorList.preferredSize = [300, 240];
+    for (i = 0; i < selected.length; i++) {
+        colorList.items[selected[i]].selected = true;
+    }
+
+    var selectGroup = dialog.add("group");
+    selectGroup.orientation = "row";
+    var allButton = selectGroup.add("button", undefined, "All");
+    var noneButton = selectGroup.add("button", undefined, "None");
+    allButton.onClick = function () {
+        for (var j = 0; j < colorList.items.length; j++) {
+            colorList.items[j].selected = true;
+        }
+    };
+    noneButton.onClick = function () {
+        colorList.selection = null;
+    };
+
+    // Add buttons
+    var buttonGroup = dialog.add("group");
+    buttonGroup.orientation = "row";
+    buttonGroup.alignment = "center";
+
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    okButton.onClick = function () {
+        if (!colorList.selection || colorList.selection.length === 0) {
+            alert("Choose at least one colour.");
+            return;
+        }
+        dialog.close(1);
+    };
+
+    if (dialog.show() != 1) {
+        return null;
+    }
+
+    var chosen = [];
+    for (i = 0; i < colorList.items.length; i++) {
+        if (colorList.items[i].selected) {
+            chosen.push(i);
+        }
+    }
+    return chosen;
+}
+
+/**
+ * Presents a dialog for adding or editing an additional sponsor slot: its name, where the artwork comes from, its position and its fit box.
+ *
+ * The entry is validated with `parseSponsorSlot` when OK is clicked; invalid input is reported and the dialog stays open.
+ * @param {(Object|null)} initial - The slot being edited, or `null` for a new one.
+ * @param {Object} product - The selected product template; its `sponsorFit` is the default fit box.
+ * @param {Array.<string>} artboardNames - The source document's artboard names, offered for the "Artboard" source; empty if no document is open, which leaves only "File".
+ * @param {string} [defaultName] - Name suggested for a new slot.
+ * @returns {(Object|null)} The validated sponsor slot, or `null` if the user cancels.
+ */
+function showSponsorSlotDialog(initial, product, artboardNames, defaultName) {
+    var dialog = new Window("dialog", initial ? "Edit Sponsor" : "Add Sponsor");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    var nameGroup = dialog.add("group");
+    nameGroup.add("statictext", undefined, "Name:").preferredSize.width = 120;
+    var nameInput = nameGroup.add("edittext", undefined, initial ? initial.name : (defaultName || ""));
+    nameInput.characters = 20;
+
+    var sourceGroup = dialog.add("group");
+    sourceGroup.add("statictext", undefined, "Artwork From:").preferredSize.width = 120;
+    var sources = artboardNames.length > 0 ? SPONSOR_SOURCES : ["File"];
+    var sourceDropdown = sourceGroup.add("dropdownlist", undefined, sources);
+    sourceDropdown.selection = 0;
+    for (var i = 0; i < sources.length; i++) {
+        if (initial && initial.source == sources[i]) {
+            sourceDropdown.selection = i;
+        }
+    }
+
+    var artboardGroup = dialog.add("group");
+    artboardGroup.add("statictext", undefined, "Artboard:").preferredSize.width = 120;
+    var artboardDropdown = artboardGroup.add("dropdownlist", undefined, artboardNames);
+    if (artboardNames.length > 0) {
+        artboardDropdown.selection = 0;
+    }
+    for (i = 0; i < artboardNames.length; i++) {
+        if (initial && initial.artboard == artboardNames[i]) {
+            artboardDropdown.selection = i;
+        }
+    }
+    artboardDropdown.preferredSize.width = 200;
+
+    var fileGroup = dialog.add("group");
+    fileGroup.add("statictext", undefined, "Sponsor File:").preferredSize.width = 120;
+    var fileInput = fileGroup.add("edittext", undefined, initial && initial.file ? initial.file.fsName : "");
+    fileInput.characters = 20;
+    var browseButton = fileGroup.add("button", undefined, "Browse...");
+    browseButton.onClick = function () {
+        var file = File.openDialog("Select the sponsor artwork (AI, PDF, EPS or SVG)");
+        if (file) {
+            fileInput.text = file.fsName;
+        }
+    };
+
+    var pageGroup = dialog.add("group");
+    pageGroup.add("statictext", undefined, "Page/Artboard:").preferredSize.width = 120;
+    var pageInput = pageGroup.add("edittext", undefined, initial && initial.source == "File" && initial.artboard ? initial.artboard : "");
+    pageInput.characters = 6;
+    pageGroup.add("statictext", undefined, "PDF page or artboard (empty: first page or active artboard)");
+
+    var positionGroup = dialog.add("group");
+    positionGroup.add("statictext", undefined, "Position:").preferredSize.width = 120;
+    var positionDropdown = positionGroup.add("dropdownlist", undefined, SPONSOR_POSITIONS);
+    positionDropdown.selection = 1; // Default to Middle, clear of the main sponsor's default Bottom
+    for (i = 0; i < SPONSOR_POSITIONS.length; i++) {
+        if (initial && initial.position == SPONSOR_POSITIONS[i]) {
+            positionDropdown.selection = i;
+        }
+    }
+
+    var offsetGroup = dialog.add("group");
+    offsetGroup.add("statictext", undefined, "Offset from Top (cm):").preferredSize.width = 120;
+    var offsetInput = offsetGroup.add("edittext", undefined, initial && initial.offsetCm !== null ? String(initial.offsetCm) : "0");
+    offsetInput.characters = 6;
+
+    var fitGroup = dialog.add("group");
+    fitGroup.add("statictext", undefined, "Fit Box (cm):").preferredSize.width = 120;
+    var fitWidthInput = fitGroup.add("edittext", undefined, String(initial ? initial.fitWidthCm : product.sponsorFit.widthCm));
+    fitWidthInput.characters = 5;
+    fitGroup.add("statictext", undefined, "×");
+    var fitHeightInput = fitGroup.add("edittext", undefined, String(initial ? initial.fitHeightCm : product.sponsorFit.heightCm));
+    fitHeightInput.characters = 5;
+
+    // Only show the fields that apply to the chosen source and position
+    sourceDropdown.onChange = function () {
+        artboardGroup.enabled = sourceDropdown.selection.text == "Artboard";
+        fileGroup.enabled = pageGroup.enabled = sourceDropdown.selection.text == "File";
+    };
+    positionDropdown.onChange = function () {
+        offsetGroup.enabled = positionDropdown.selection.text == "Custom";
+    };
+    sourceDropdown.onChange();
+    positionDropdown.onChange();
+
+    var buttonGroup = dialog.add("group");
+    buttonGroup.alignment = "center";
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    var slot = null;
+
+    okButton.onClick = function () {
+        try {
+            slot = parseSponsorSlot({
+                name: nameInput.text,
+                source: sourceDropdown.selection.text,
+                artboard: sourceDropdown.selection.text == "File" ? pageInput.text : artboardDropdown.selection ? artboardDropdown.selection.text : "",
+                file: trimString(fileInput.text) === "" ? null : new File(trimString(fileInput.text)),
+                position: positionDropdown.selection.text,
+                offset: offsetInput.text,
+                fitWidth: fitWidthInput.text,
+                fitHeight: fitHeightInput.text,
+                product: product
+            });
+            dialog.close(1);
+        } catch (e) {
+            alert(e.message);
+        }
+    };
+
+    if (dialog.show() == 1) {
+        return slot;
+    }
+    return null;
+}
+
+/**
+ * Presents a dialog for entering a custom hex colour as a hex code, CMYK values and/or a spot colour name.
+ *
+ * The entry is validated with `parseCustomColor` when OK is clicked; invalid input is reported and the dialog stays open.
+ * @param {Object} [initial] - A previously entered custom colour to prefill the fields with.
+ * @returns {(Object|null)} The validated colour definition, or `null` if the user cancels.
+ */
+function showCustomColorDialog(initial) {
+    var dialog = new Window("dialog", "Custom Hex Colour");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    var hint = dialog.add("statictext", undefined, "Enter CMYK values, a hex code, or both. CMYK values are printed as entered; a hex code on its own is converted to CMYK.", {multiline: true});
+    hint.preferredSize.width = 320;
+
+    var hexGroup = dialog.add("group");
+    hexGroup.add("statictext", undefined, "Hex Code:").preferredSize.width = 120;
+    var hexInput = hexGroup.add("edittext", undefined, initial && initial.hex ? initial.hex : "");
+    hexInput.characters = 10;
+
+    var cmykGroup = dialog.add("group");
+    cmykGroup.add("statictext", undefined, "CMYK (%):").preferredSize.width = 120;
+    var cmykInputs = [];
+    var channelNames = ["C", "M", "Y", "K"];
+    for (var i = 0; i < channelNames.length; i++) {
+        cmykGroup.add("statictext", undefined, channelNames[i]);
+        var channelInput = cmykGroup.add("edittext", undefined, initial && initial.cmykEntered ? String(initial.cmyk[i]) : "");
+        channelInput.characters = 4;
+        cmykInputs.push(channelInput);
+    }
+
+    var spotGroup = dialog.add("group");
+    spotGroup.add("statictext", undefined, "Spot Colour Name:").preferredSize.width = 120;
+    var spotInput = spotGroup.add("edittext", undefined, initial && initial.spot ? initial.spot : "");
+    spotInput.characters = 20;
+
+    var buttonGroup = dialog.add("group");
+    buttonGroup.alignment = "center";
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    var color = null;
+
+    okButton.onClick = function () {
+        var cmykTexts = [];
+        for (var j = 0; j < cmykInputs.length; j++) {
+            cmykTexts.push(cmykInputs[j].text);
+        }
+
+        try {
+            color = parseCustomColor(hexInput.text, cmykTexts, spotInput.text);
+            dialog.close(1);
+        } catch (e) {
+            alert(e.message);
+        }
+    };
+
+    if (dialog.show() == 1) {
+        return color;
+    }
+    return null;
+}
+
+/**
+ * Validate the fields of a custom colour and build a colour definition from them.
+ *
+ * CMYK fields must be either all empty or all numbers from 0 to 100. If no CMYK values are given the hex code is converted with `hexToCMYK`. A spot name is optional; its CMYK values become the spot's alternate colour.
+ * @param {string} hexText - Hex code, with or without `#`; may be empty if CMYK values are given.
+ * @param {Array.<string>} cmykTexts - Cyan, magenta, yellow and black percentages as entered.
+ * @param {string} spotText - Spot colour name; may be empty.
+ * @returns {{name: string, hex: (string|undefined), cmyk: Array.<number>, cmykEntered: boolean, spot: (string|undefined)}} The colour definition.
+ * @throws {Error} Describing the first invalid field.
+ */
+function parseCustomColor(hexText, cmykTexts, spotText) {
+    var hex = trimString(hexText);
+    var spot = trimString(spotText);
+
+    if (hex !== "" && !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) {
+        throw new Error("\"" + hex + "\" is not a valid hex code. Use 3 or 6 hex digits, e.g. #072441.");
+    }
+
+    var filledChannels = 0;
+    for (var i = 0; i < cmykTexts.length; i++) {
+        if (trimString(cmykTexts[i]) !== "") {
+            filledChannels++;
+        }
+    }
+
+    var cmyk;
+    if (filledChannels > 0) {
+        if (filledChannels < 4) {
+            throw new Error("Enter all four CMYK values, or leave them all empty to use the hex code.");
+        }
+        cmyk = [];
+        for (i = 0; i < cmykTexts.length; i++) {
+            var channelText = trimString(cmykTexts[i]);
+            var value = parseFloat(channelText);
+            if (!/^\d+(\.\d+)?$/.test(channelText) || value > 100) {
+                throw new Error("CMYK values must be numbers from 0 to 100 (got \"" + channelText + "\").");
+            }
+            cmyk.push(value);
+        }
+    } else if (hex !== "") {
+        cmyk = hexToCMYK(hex);
+    } else {
+        throw new Error("Enter a hex code or CMYK values.");
+    }
+
+    if (hex !== "") {
+        hex = (hex.charAt(0) == "#" ? hex : "#" + hex).toUpperCase();
+    }
+
+    return {
+        name: spot !== "" ? spot : (hex !== "" ? hex : "Custom"),
+        hex: hex !== "" ? hex : undefined,
+        cmyk: cmyk,
+        cmykEntered: filledChannels > 0,
+        spot: spot !== "" ? spot : undefined
+    };
+}
+
+/**
+ * Load the hex colour palette from a JSON file, falling back to `BUILT_IN_PALETTE`.
+ *
+ * The file holds a `colours` array (or is an array itself). Each entry needs a `name` and a colour given as `cmyk` (four percentages) and/or `hex`; `spot` and `category` (e.g. "Club" or "Standard") are optional. Entries are validated like the dialog's "Custom..." colour (see `parseCustomColor`). If the file is missing or anything in it is invalid, the built-in colours are used and `warning` explains why.
+ * @param {File} paletteFile - The palette file, normally `assets/palette.json`.
+ * @returns {{colors: Array.<Object>, warning: (string|null)}} The colour definitions to offer, and a warning if the built-in colours had to be used.
+ */
+function loadPalette(paletteFile) {
+    if (!paletteFile.exists) {
+        return {
+            colors: BUILT_IN_PALETTE,
+            warning: "Colour palette not found at: " + paletteFile.fsName + "\nUsing the built-in colours."
+        };
+    }
+
+    try {
+        return { colors: parsePalette(readTextFile(paletteFile)), warning: null };
+    } catch (e) {
+        return {
+            colors: BUILT_IN_PALETTE,
+            warning: "Colour palette " + paletteFile.fsName + " could not be used: " + e.message + "\nUsing the built-in colours."
+        };
+    }
+}
+
+/**
+ * Parse and validate the contents of a palette file (see `loadPalette`).
+ * @param {string} text - The palette JSON.
+ * @returns {Array.<Object>} The colour definitions, in file order.
+ * @throws {Error} Naming the first invalid or duplicate entry.
+ */
+function parsePalette(text) {
+    var data = parseJSON(text);
+    var entries = (data instanceof Array) ? data : (data ? (data.colours || data.colors) : null);
+
+    if (!(entries instanceof Array) || entries.length === 0) {
+        throw new Error("Expected a non-empty \"colours\" array.");
+    }
+
+    var colors = [];
+    var seenNames = {};
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+
+        if (!entry || typeof entry.name != "string" || trimString(entry.name) === "") {
+            throw new Error("Colour " + (i + 1) + " has no name.");
+        }
+        var name = trimString(entry.name);
+        if (seenNames[name.toLowerCase()]) {
+            throw new Error("\"" + name + "\" is listed more than once.");
+        }
+        seenNames[name.toLowerCase()] = true;
+
+        var cmykTexts = ["", "", "", ""];
+        if (entry.cmyk !== undefined) {
+            if (!(entry.cmyk instanceof Array) || entry.cmyk.length != 4) {
+                throw new Error("\"" + name + "\": cmyk must be a list of four numbers.");
+            }
+            for (var j = 0; j < 4; j++) {
+                cmykTexts[j] = String(entry.cmyk[j]);
+            }
+        }
+
+        var color;
+        try {
+            color = parseCustomColor(entry.hex ? String(entry.hex) : "", cmykTexts, entry.spot ? String(entry.spot) : "");
+        } catch (e) {
+            throw new Error("\"" + name + "\": " + e.message);
+        }
+        color.name = name;
+        color.category = entry.category ? trimString(entry.category) : "";
+
+        colors.push(color);
+    }
+
+    return colors;
+}
+
+/**
+ * Load the product templates from a JSON file, falling back to `BUILT_IN_PRODUCT`.
+ *
+ * The file holds a `products` array (or is an array itself); each entry has the same shape as `BUILT_IN_PRODUCT`:
+ * - `name` (required, unique): shown in the Product dropdown
+ * - `artboard` (required): `{widthCm, heightCm}`
+ * - `sponsorFit` (required): `{widthCm, heightCm}` box the sponsor is scaled to fit
+ * - `masuriTab` (optional): top-left `[xCm, yCm]` of the Masuri Tab for particular sponsor positions, keyed by position name
+ * - `masuriTabAuto` (optional): `{xCm, gapCm}` used to place the Masuri Tab for every other position (see `positionMasuriTab`), defaulting to the built-in product's
+ * - `assets` (optional): `{hex, masuriTab, guides}` SVG file names in the assets folder, defaulting to the standard files
+ * - `guideOffsetCm` (optional): distance of the guides from the artboard's top-left corner, default 0.5
+ * - `hexArea` (optional): `{widthCm, heightCm}` suggested area for the generated hex pattern
+ * - `bleedMm` (optional): bleed around the artboard, default 0
+ * - `cornerRadiusMm` (optional): corner radius of the pad's outline, used by the die-line and safe area, default 0
+ * - `dieLine` (optional): `{spot, cmyk, strokePt}` for a die-line layer along the trim (see `addDieLineLayer`), defaulting to a 0.25pt "CutContour" stroke in 100% magenta; none if not given
+ * - `safeAreaMm` (optional): inset of the safe-area layer from the trim (see `addSafeAreaLayer`); none if not given
+ * - `hexIntoBleed` (optional): run a generated hex pattern that reaches the trim on to the edge of the bleed (see `extendPatternIntoBleed`), default false
+ *
+ * If the file is missing or anything in it is invalid, the built-in product is used and `warning` explains why.
+ * @param {File} productsFile - The products file, normally `assets/products.json`.
+ * @returns {{products: Array.<Object>, warning: (string|null)}} The product templates to offer, and a warning if the built-in product had to be used.
+ */
+function loadProducts(productsFile) {
+    if (!productsFile.exists) {
+        return {
+            products: [BUILT_IN_PRODUCT],
+            warning: "Product templates not found at: " + productsFile.fsName + "\nUsing the built-in 13 × 34cm product."
+        };
+    }
+
+    try {
+        return { products: parseProducts(readTextFile(productsFile)), warning: null };
+    } catch (e) {
+        return {
+            products: [BUILT_IN_PRODUCT],
+            warning: "Product templates " + productsFile.fsName + " could not be used: " + e.message + "\nUsing the built-in 13 × 34cm product."
+        };
+    }
+}
+
+/**
+ * Parse and validate the contents of a products file (see `loadProducts`).
+ * @param {string} text - The products JSON.
+ * @returns {Array.<Object>} The product templates, in file order, with optional values filled in.
+ * @throws {Error} Naming the first invalid or duplicate product.
+ */
+function parseProducts(text) {
+    var data = parseJSON(text);
+    var entries = (data instanceof Array) ? data : (data ? data.products : null);
+
+    if (!(entries instanceof Array) || entries.length === 0) {
+        throw new Error("Expected a non-empty \"products\" array.");
+    }
+
+    /**
+     * Check that a value is a number greater than zero.
+     * @param {*} value - The value to check.
+     * @param {string} label - Description for the error message.
+     * @returns {number} The value.
+     */
+    function positive(value, label) {
+        if (typeof value != "number" || !(value > 0)) {
+            throw new Error(label + " must be a number greater than 0.");
+        }
+        return value;
+    }
+
+    /**
+     * Check that a value is a `{widthCm, heightCm}` size.
+     * @param {*} value - The value to check.
+     * @param {string} label - Description for the error message.
+     * @returns {{widthCm: number, heightCm: number}} The size.
+     */
+    function size(value, label) {
+        if (!value) {
+            throw new Error(label + " is missing.");
+        }
+        return { widthCm: positive(value.widthCm, label + " widthCm"), heightCm: positive(value.heightCm, label + " heightCm") };
+    }
+
+    var products = [];
+    var seenNames = {};
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+
+        if (!entry || typeof entry.name != "string" || trimString(entry.name) === "") {
+            throw new Error("Product " + (i + 1) + " has no name.");
+        }
+        var name = trimString(entry.name);
+        if (seenNames[name.toLowerCase()]) {
+            throw new Error("\"" + name + "\" is listed more than once.");
+        }
+        seenNames[name.toLowerCase()] = true;
+
+        var label = "\"" + name + "\"";
+        var assets = entry.assets || {};
+        var product = {
+            name: name,
+            artboard: size(entry.artboard, label + " artboard"),
+            assets: {
+                hex: assets.hex ? String(assets.hex) : BUILT_IN_PRODUCT.assets.hex,
+                masuriTab: assets.masuriTab ? String(assets.masuriTab) : BUILT_IN_PRODUCT.assets.masuriTab,
+                guides: assets.guides ? String(assets.guides) : BUILT_IN_PRODUCT.assets.guides
+            },
+            sponsorFit: size(entry.sponsorFit, label + " sponsorFit"),
+            masuriTab: {},
+            masuriTabAuto: entry.masuriTabAuto || BUILT_IN_PRODUCT.masuriTabAuto,
+            guideOffsetCm: entry.guideOffsetCm === undefined ? BUILT_IN_PRODUCT.guideOffsetCm : entry.guideOffsetCm,
+            hexArea: entry.hexArea ? size(entry.hexArea, label + " hexArea") : null,
+            bleedMm: entry.bleedMm === undefined ? 0 : entry.bleedMm,
+            cornerRadiusMm: entry.cornerRadiusMm === undefined ? 0 : entry.cornerRadiusMm,
+            dieLine: null,
+            safeAreaMm: entry.safeAreaMm === undefined ? null : entry.safeAreaMm,
+            hexIntoBleed: entry.hexIntoBleed === true
+        };
+
+        if (typeof product.guideOffsetCm != "number" || product.guideOffsetCm < 0) {
+            throw new Error(label + " guideOffsetCm must be a number, 0 or more.");
+        }
+        if (typeof product.bleedMm != "number" || product.bleedMm < 0) {
+            throw new Error(label + " bleedMm must be a number, 0 or more.");
+        }
+        if (typeof product.cornerRadiusMm != "number" || product.cornerRadiusMm < 0 ||
+            product.cornerRadiusMm / 10 > Math.min(product.artboard.widthCm, product.artboard.heightCm) / 2) {
+            throw new Error(label + " cornerRadiusMm must be a number from 0 to half the artboard's shorter side.");
+        }
+        if (product.safeAreaMm !== null && (typeof product.safeAreaMm != "number" || product.safeAreaMm < 0 ||
+            product.safeAreaMm / 10 >= Math.min(product.artboard.widthCm, product.artboard.heightCm) / 2)) {
+            throw new Error(label + " safeAreaMm must be a number, 0 or more, and leave some of the artboard inside it.");
+        }
+
+        // The die-line's settings all have defaults, so `true` or `{}` gives the standard CutContour line
+        if (entry.dieLine) {
+            var dieLine = entry.dieLine === true ? {} : entry.dieLine;
+            product.dieLine = {
+                spot: dieLine.spot ? trimString(String(dieLine.spot)) : "CutContour",
+                cmyk: dieLine.cmyk === undefined ? [0, 100, 0, 0] : dieLine.cmyk,
+                strokePt: dieLine.strokePt === undefined ? 0.25 : positive(dieLine.strokePt, label + " dieLine strokePt")
+            };
+            if (!(product.dieLine.cmyk instanceof Array) || product.dieLine.cmyk.length != 4) {
+                throw new Error(label + " dieLine cmyk must be four values from 0 to 100.");
+            }
+            for (var c = 0; c < 4; c++) {
+                if (typeof product.dieLine.cmyk[c] != "number" || product.dieLine.cmyk[c] < 0 || product.dieLine.cmyk[c] > 100) {
+                    throw new Error(label + " dieLine cmyk must be four values from 0 to 100.");
+                }
+            }
+        }
+
+        if (typeof product.masuriTabAuto.xCm != "number" || typeof product.masuriTabAuto.gapCm != "number") {
+            throw new Error(label + " masuriTabAuto needs numbers for xCm and gapCm.");
+        }
+
+        // Fixed Masuri Tab placements override the automatic one for their position
+        for (var j = 0; j < SPONSOR_POSITIONS.length; j++) {
+            var tab = entry.masuriTab ? entry.masuriTab[SPONSOR_POSITIONS[j]] : undefined;
+            if (tab === undefined) {
+                continue;
+            }
+            if (!(tab instanceof Array) || tab.length != 2 || typeof tab[0] != "number" || typeof tab[1] != "number") {
+                throw new Error(label + " masuriTab for \"" + SPONSOR_POSITIONS[j] + "\" must be an [xCm, yCm] position.");
+            }
+            product.masuriTab[SPONSOR_POSITIONS[j]] = tab;
+        }
+
+        products.push(product);
+    }
+
+    return products;
+}
+
+/**
+ * Find a product template by name, ignoring case.
+ * @param {string} name - The product name.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`.
+ * @returns {(Object|null)} The product, or `null` if there is none with that name.
+ */
+function findProduct(name, products) {
+    var wanted = trimString(name).toLowerCase();
+    for (var i = 0; i < products.length; i++) {
+        if (products[i].name.toLowerCase() == wanted) {
+            return products[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe a colour definition's print values for display, e.g. "C100 M80 Y35 K55" or "PANTONE 289 C (C100 M80 Y35 K55)".
+ * @param {Object} color - A colour definition with `cmyk` and optionally `spot`.
+ * @returns {string} The description.
+ */
+function describeColor(color) {
+    var cmykText = "C" + color.cmyk[0] + " M" + color.cmyk[1] + " Y" + color.cmyk[2] + " K" + color.cmyk[3];
+    return color.spot ? color.spot + " (" + cmykText + ")" : cmykText;
+}
+
+/**
+ * Work out the colour the sponsor artwork is recoloured to for the job's sponsor colour mode.
+ *
+ * "Single colour" uses the chosen palette colour, "Knockout white" uses `KNOCKOUT_WHITE`, and "Auto-contrast" uses black or white, whichever has the higher contrast ratio against the hex colour (see `getContrastRatio`).
+ * @param {Object} config - The job settings; `sponsorColorMode` is one of `SPONSOR_COLOR_MODES`, `sponsorColor` the colour definition for "Single colour" and `color` the hex colour.
+ * @returns {(Object|null)} The colour definition (see `loadPalette`), or `null` for "Original".
+ */
+function resolveSponsorColor(config) {
+    if (config.sponsorColorMode == "Single colour") {
+        return config.sponsorColor;
+    }
+    if (config.sponsorColorMode == "Knockout white") {
+        return KNOCKOUT_WHITE;
+    }
+    if (config.sponsorColorMode == "Auto-contrast") {
+        var hexLuminance = getCMYKLuminance(config.color.cmyk);
+        var onBlack = getContrastRatio(hexLuminance, getCMYKLuminance(AUTO_CONTRAST_BLACK.cmyk));
+        var onWhite = getContrastRatio(hexLuminance, getCMYKLuminance(KNOCKOUT_WHITE.cmyk));
+        return onBlack >= onWhite ? AUTO_CONTRAST_BLACK : KNOCKOUT_WHITE;
+    }
+    return null;
+}
+
+/**
+ * Recolour every filled or stroked path and text frame on a sponsor layer with one colour.
+ *
+ * Unlike `applyColorToLayer`, paths keep their fill/stroke settings, so outlines stay outlines; clipping paths are left alone. Fills are set to knock out so white stays white on the hex colour. Raster images and linked files can't be recoloured and are left as they are (preflight warns about them).
+ * @param {(Layer|GroupItem)} layer - The sponsor slot's layer, or its group in an edited document.
+ * @param {Color} color - The colour to apply (see `createDocumentColor`).
+ * @throws {Error} If an error occurs while traversing or modifying layer items.
+ */
+function recolorSponsorLayer(layer, color) {
+    try {
+        /**
+         * Recolour the paths and text in a collection, recursing into groups and compound paths.
+         * @param {Array} items - An array or collection of page items.
+         */
+        function recolorItems(items) {
+            for (var i = 0; i < items.length; i++) {
+                var item = items[i];
+
+                if (item.typename == "PathItem") {
+                    if (item.clipping) {
+                        continue;
+                    }
+                    if (item.filled) {
+                        item.fillColor = color;
+                        item.fillOverprint = false;
+                    }
+                    if (item.stroked) {
+                        item.strokeColor = color;
+                    }
+                } else if (item.typename == "GroupItem") {
+                    recolorItems(item.pageItems);
+                } else if (item.typename == "CompoundPathItem") {
+                    recolorItems(item.pathItems);
+                } else if (item.typename == "TextFrame") {
+                    var attributes = item.textRange.characterAttributes;
+                    if (attributes.fillColor && attributes.fillColor.typename != "NoColor") {
+                        attributes.fillColor = color;
+                        attributes.overprintFill = false;
+                    }
+                    if (attributes.strokeColor && attributes.strokeColor.typename != "NoColor") {
+                        attributes.strokeColor = color;
+                    }
+                }
+            }
+        }
+
+        recolorItems(layer.pageItems);
+
+    } catch (e) {
+        throw new Error("Failed to recolour sponsor: " + e.message);
+    }
+}
+
+/**
+ * Relative luminance of a CMYK colour, converted to RGB with the plain (unmanaged) formula used by `hexToCMYK` in reverse.
+ * @param {Array.<number>} cmyk - `[cyan, magenta, yellow, black]` in percent.
+ * @returns {number} The luminance, from 0 (black) to 1 (white).
+ */
+function getCMYKLuminance(cmyk) {
+    var k = 1 - cmyk[3] / 100;
+    return getRGBLuminance((1 - cmyk[0] / 100) * k, (1 - cmyk[1] / 100) * k, (1 - cmyk[2] / 100) * k);
+}
+
+/**
+ * Relative luminance of an sRGB colour, as defined by WCAG.
+ * @param {number} red - Red, from 0 to 1.
+ * @param {number} green - Green, from 0 to 1.
+ * @param {number} blue - Blue, from 0 to 1.
+ * @returns {number} The luminance, from 0 (black) to 1 (white).
+ */
+function getRGBLuminance(red, green, blue) {
+    /**
+     * Undo the sRGB gamma curve for one channel.
+     * @param {number} value - The channel, from 0 to 1.
+     * @returns {number} The linear channel value.
+     */
+    function linear(value) {
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+    return 0.2126 * linear(red) + 0.7152 * linear(green) + 0.0722 * linear(blue);
+}
+
+/**
+ * Relative luminance of an Illustrator colour, for the colours preflight can judge.
+ * Spot colours use their alternate colour lightened by the tint; gradients, patterns and Lab colours aren't judged.
+ * @param {Color} color - The colour.
+ * @returns {(number|null)} The luminance from 0 to 1, or `null` if it can't be judged.
+ */
+function getColorLuminance(color) {
+    if (!color) {
+        return null;
+    }
+    if (color.typename == "CMYKColor") {
+        return getCMYKLuminance([color.cyan, color.magenta, color.yellow, color.black]);
+    }
+    if (color.typename == "RGBColor") {
+        return getRGBLuminance(color.red / 255, color.green / 255, color.blue / 255);
+    }
+    if (color.typename == "GrayColor") {
+        return getCMYKLuminance([0, 0, 0, color.gray]);
+    }
+    if (color.typename == "SpotColor" && color.spot.color.typename == "CMYKColor") {
+        var alternate = color.spot.color;
+        var tint = color.tint / 100;
+        return getCMYKLuminance([alternate.cyan * tint, alternate.magenta * tint, alternate.yellow * tint, alternate.black * tint]);
+    }
+    return null;
+}
+
+/**
+ * Contrast ratio between two luminances, from 1 (identical) to 21 (black on white).
+ * @param {number} luminanceA - The first luminance.
+ * @param {number} luminanceB - The second luminance.
+ * @returns {number} The contrast ratio.
+ */
+function getContrastRatio(luminanceA, luminanceB) {
+    return (Math.max(luminanceA, luminanceB) + 0.05) / (Math.min(luminanceA, luminanceB) + 0.05);
+}
+
+/**
+ * Sets the fill color for every path on the specified layer.
+ *
+ * Recursively traverses GroupItem and CompoundPathItem structures, enables fill with the provided color, and disables stroke on each PathItem.
+ * @param {(Layer|GroupItem)} layer - The Illustrator layer or group whose path items will be recolored.
+ * @param {Color} color - The CMYKColor or SpotColor (see `createDocumentColor`) to apply to each PathItem's fill.
+ * @throws {Error} If an error occurs while traversing or modifying layer items.
+ */
+function applyColorToLayer(layer, color) {
+    try {
+        applyColorToItems(layer.pageItems, color);
+    } catch (e) {
+        throw new Error("Failed to apply color to layer: " + e.message);
+    }
+}
+
+/**
+ * Apply a colour to every PathItem in the given collection, recursing into groups and compound paths.
+ *
+ * For each PathItem this enables fill, sets its `fillColor` to `color`, and disables stroke.
+ * Traverses GroupItem.pageItems and CompoundPathItem.pathItems recursively.
+ *
+ * @param {Array} items - An array or collection of page items (PathItem, GroupItem, CompoundPathItem) to process.
+ * @param {Color} color - The colour to apply.
+ */
+function applyColorToItems(items, color) {
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+
+        // If it's a path item, apply the color
+        if (item.typename == "PathItem") {
+            item.filled = true;
+            item.fillColor = color;
+            item.stroked = false;
+        }
+        // If it's a group or compound path, recurse into it
+        else if (item.typename == "GroupItem") {
+            applyColorToItems(item.pageItems, color);
+        }
+        else if (item.typename == "CompoundPathItem") {
+            applyColorToItems(item.pathItems, color);
+        }
+    }
+}
+
+/**
+ * Colour the hex cells according to a fill mode, working out each cell's place in the grid from its position (see `getHexCellGrid`).
+ *
+ * - Solid: every cell in the hex colour, as `applyColorToLayer`
+ * - Alternating: the hex colour and the fill colours in turn, column by column or row by row
+ * - Random scatter: each cell picks one of the colours; the same seed always gives the same pattern
+ * - Banded: horizontal bands of `bandRows` rows, cycling through the colours
+ * - Vertical blend: the hex colour at the top blending through the fill colours to the bottom. The in-between cells are mixed from the colours' CMYK values, so they print as process colours even when the colours are spot colours
+ * @param {Document} doc - The document the cells are in.
+ * @param {(Layer|GroupItem)} layer - The hex layer or group; each PathItem or CompoundPathItem in it is one cell.
+ * @param {Object} color - The hex colour definition (see `loadPalette`), which is always the first colour.
+ * @param {(Object|null)} fill - The fill settings (see `parseFillSettings`); `null` for Solid.
+ * @param {Object} pattern - The pattern settings (see `parsePatternSettings`), for the cells' orientation.
+ * @throws {Error} If the cells can't be coloured.
+ */
+function applyHexFill(doc, layer, color, fill, pattern) {
+    if (!fill || fill.mode == "Solid") {
+        applyColorToLayer(layer, createDocumentColor(doc, color));
+        return;
+    }
+
+    try {
+        var definitions = [color].concat(fill.colors);
+        var colors = [];
+        for (var c = 0; c < definitions.length; c++) {
+            colors.push(createDocumentColor(doc, definitions[c]));
+        }
+
+        // HEX.svg is drawn with flat hexes
+        var grid = getHexCellGrid(layer, pattern.source == "SVG asset" ? "Flat" : pattern.orientation);
+        var random = createSeededRandom(fill.seed);
+
+        for (var i = 0; i < grid.cells.length; i++) {
+            var cell = grid.cells[i];
+            var cellColor;
+            if (fill.mode == "Alternating") {
+                cellColor = colors[(fill.direction == "Rows" ? cell.row : cell.column) % colors.length];
+            } else if (fill.mode == "Random scatter") {
+                cellColor = colors[Math.floor(random() * colors.length)];
+            } else if (fill.mode == "Banded") {
+                cellColor = colors[Math.floor(cell.row / fill.bandRows) % colors.length];
+            } else {
+                var position = grid.top > grid.bottom ? (grid.top - cell.y) / (grid.top - grid.bottom) : 0;
+                cellColor = createBlendColor(doc, definitions, position);
+            }
+            applyColorToItems([cell.item], cellColor);
+        }
+
+    } catch (e) {
+        throw new Error("Failed to apply the hex fill: " + e.message);
+    }
+}
+
+/**
+ * Work out the column and row of every hex cell from where its centre is.
+ *
+ * Flat hexes stand in columns (every other column shifted by half a cell), so a cell's column is the rank of its centre's x among all the columns, and its row is its rank from the top within its column. Pointy hexes lie in rows, the other way round. Centres less than a point apart count as the same line.
+ * @param {(Layer|GroupItem)} layer - The hex layer or group.
+ * @param {string} orientation - One of `HEX_ORIENTATIONS`.
+ * @returns {{cells: Array.<{item: PageItem, column: number, row: number, x: number, y: number}>, top: number, bottom: number}} The cells, sorted by column and then row so their order doesn't depend on how they were drawn, and the highest and lowest cell centres.
+ */
+function getHexCellGrid(layer, orientation) {
+    var items = [];
+    collectPathItems(layer.pageItems, items);
+
+    var cells = [];
+    var top = null;
+    var bottom = null;
+    for (var i = 0; i < items.length; i++) {
+        var bounds = items[i].geometricBounds;
+        var x = (bounds[0] + bounds[2]) / 2;
+        var y = (bounds[1] + bounds[3]) / 2;
+        cells.push({ item: items[i], column: 0, row: 0, x: x, y: y });
+        top = top === null ? y : Math.max(top, y);
+        bottom = bottom === null ? y : Math.min(bottom, y);
+    }
+
+    /**
+     * Number the distinct values of one coordinate in order.
+     * @param {string} key - "x" or "y".
+     * @param {number} direction - 1 to count up from the smallest value, -1 to count down from the largest.
+     * @returns {Array.<number>} The distinct values, in counting order.
+     */
+    function getLines(key, direction) {
+        var values = [];
+        for (var j = 0; j < cells.length; j++) {
+            values.push(cells[j][key]);
+        }
+        values.sort(function (a, b) {
+            return (a - b) * direction;
+        });
+        var lines = [];
+        for (j = 0; j < values.length; j++) {
+            if (lines.length === 0 || Math.abs(values[j] - lines[lines.length - 1]) >= 1) {
+                lines.push(values[j]);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Find which line a value is on.
+     * @param {Array.<number>} lines - The lines from `getLines`.
+     * @param {number} value - The coordinate.
+     * @returns {number} The line's index.
+     */
+    function findLine(lines, value) {
+        for (var j = 0; j < lines.length; j++) {
+            if (Math.abs(value - lines[j]) < 1) {
+                return j;
+            }
+        }
+        return lines.length - 1;
+    }
+
+    var pointy = orientation == "Pointy";
+    var lines = pointy ? getLines("y", -1) : getLines("x", 1);
+    var cellsPerLine = [];
+    for (i = 0; i < lines.length; i++) {
+        cellsPerLine.push([]);
+    }
+    for (i = 0; i < cells.length; i++) {
+        cellsPerLine[findLine(lines, pointy ? cells[i].y : cells[i].x)].push(cells[i]);
+    }
+
+    // Within a column, count rows from the top; within a row, count columns from the left
+    var sorted = [];
+    for (i = 0; i < cellsPerLine.length; i++) {
+        var line = cellsPerLine[i];
+        line.sort(function (a, b) {
+            return pointy ? a.x - b.x : b.y - a.y;
+        });
+        for (var n = 0; n < line.length; n++) {
+            line[n].column = pointy ? n : i;
+            line[n].row = pointy ? i : n;
+            sorted.push(line[n]);
+        }
+    }
+
+    return { cells: sorted, top: top, bottom: bottom };
+}
+
+/**
+ * Make a repeatable pseudo-random number generator (Park-Miller), so a scatter fill comes out the same every time for the same seed.
+ * @param {number} seed - A whole number.
+ * @returns {function(): number} A function returning the next number, from 0 up to (but not including) 1.
+ */
+function createSeededRandom(seed) {
+    var state = Math.abs(Math.floor(seed || 0)) % 2147483646 + 1;
+
+    // Small seeds give small first numbers, so skip past them
+    for (var i = 0; i < 10; i++) {
+        state = state * 16807 % 2147483647;
+    }
+    return function () {
+        state = state * 16807 % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Mix a CMYK colour part of the way along a list of colours, for the vertical blend.
+ * @param {Document} doc - The document the colour will be used in.
+ * @param {Array.<Object>} definitions - The colour definitions (see `loadPalette`), spaced evenly from 0 to 1.
+ * @param {number} position - Where to mix, from 0 (the first colour) to 1 (the last).
+ * @returns {CMYKColor} The mixed colour, in whole percentages.
+ */
+function createBlendColor(doc, definitions, position) {
+    var scaled = Math.max(0, Math.min(1, position)) * (definitions.length - 1);
+    var index = Math.min(Math.floor(scaled), definitions.length - 2);
+    var t = scaled - index;
+    var from = definitions[index].cmyk;
+    var to = definitions[index + 1].cmyk;
+
+    var mixed = [];
+    for (var i = 0; i < 4; i++) {
+        mixed.push(Math.round(from[i] + (to[i] - from[i]) * t));
+    }
+    return createDocumentColor(doc, { cmyk: mixed });
+}
+
+/**
+ * Thin the hex pattern out toward one edge or toward the sponsors.
+ *
+ * Each cell's density runs from 0 at the origin to 1 at the fade length (the farthest cell if no length is given), measured from the cell's centre: to the outermost cell centres on that side for an edge, or to the nearest sponsor's bounding box for "Sponsor". "Ease" follows a smoothstep curve, so the fade starts and ends gently. "Remove" keeps each cell with a chance equal to its density, drawn from the seed in grid order (see `getHexCellGrid`), so the same settings always remove the same cells; "Shrink" scales each cell about its centre to its density, removing cells smaller than `MIN_FADE_SCALE`.
+ * @param {(Layer|GroupItem)} hexLayer - The hex layer or group; each PathItem or CompoundPathItem in it is one cell.
+ * @param {Array.<(Layer|GroupItem)>} sponsorLayers - The sponsor layers or groups, for the "Sponsor" origin.
+ * @param {(Object|null)} fade - The fade settings (see `parseFadeSettings`); `null` for no fade.
+ * @param {Object} pattern - The pattern settings (see `parsePatternSettings`), for the cells' orientation.
+ * @returns {{removed: number, shrunk: number}} The number of cells removed and shrunk.
+ * @throws {Error} If the cells can't be faded.
+ */
+function fadeHexCells(hexLayer, sponsorLayers, fade, pattern) {
+    var result = { removed: 0, shrunk: 0 };
+    if (!fade || fade.origin == "None") {
+        return result;
+    }
+
+    try {
+        // HEX.svg is drawn with flat hexes
+        var cells = getHexCellGrid(hexLayer, pattern.source == "SVG asset" ? "Flat" : pattern.orientation).cells;
+        if (cells.length === 0) {
+            return result;
+        }
+
+        var sponsorBounds = [];
+        if (fade.origin == "Sponsor") {
+            for (var s = 0; s < sponsorLayers.length; s++) {
+                var bounds = getLayerBounds(sponsorLayers[s]);
+                if (bounds) {
+                    sponsorBounds.push(bounds);
+                }
+            }
+            if (sponsorBounds.length === 0) {
+                return result; // No sponsor content to fade toward
+            }
+        }
+
+        // The outermost cell centres on each side
+        var left = cells[0].x;
+        var top = cells[0].y;
+        var right = left;
+        var bottom = top;
+        var i;
+        for (i = 1; i < cells.length; i++) {
+            left = Math.min(left, cells[i].x);
+            right = Math.max(right, cells[i].x);
+            top = Math.max(top, cells[i].y);
+            bottom = Math.min(bottom, cells[i].y);
+        }
+
+        var distances = [];
+        var farthest = 0;
+        for (i = 0; i < cells.length; i++) {
+            var x = cells[i].x;
+            var y = cells[i].y;
+            var distance;
+            if (fade.origin == "Top") {
+                distance = top - y;
+            } else if (fade.origin == "Bottom") {
+                distance = y - bottom;
+            } else if (fade.origin == "Left") {
+                distance = x - left;
+            } else if (fade.origin == "Right") {
+                distance = right - x;
+            } else {
+                distance = null;
+                for (s = 0; s < sponsorBounds.length; s++) {
+                    var dx = Math.max(sponsorBounds[s][0] - x, 0, x - sponsorBounds[s][2]);
+                    var dy = Math.max(sponsorBounds[s][3] - y, 0, y - sponsorBounds[s][1]);
+                    var toSponsor = Math.sqrt(dx * dx + dy * dy);
+                    distance = distance === null ? toSponsor : Math.min(distance, toSponsor);
+                }
+            }
+            distances.push(distance);
+            farthest = Math.max(farthest, distance);
+        }
+
+        var lengthPt = fade.lengthCm ? fade.lengthCm * POINTS_PER_CM : farthest;
+        var random = createSeededRandom(fade.seed);
+        for (i = 0; i < cells.length; i++) {
+            var t = lengthPt > 0 ? Math.min(distances[i] / lengthPt, 1) : 1;
+            var density = fade.curve == "Ease" ? t * t * (3 - 2 * t) : t;
+
+            if (fade.effect == "Shrink") {
+                if (density < MIN_FADE_SCALE) {
+                    cells[i].item.remove();
+                    result.removed++;
+                } else if (density < 1) {
+                    cells[i].item.resize(density * 100, density * 100);
+                    result.shrunk++;
+                }
+            } else if (random() >= density) {
+                cells[i].item.remove();
+                result.removed++;
+            }
+        }
+
+        return result;
+
+    } catch (e) {
+        throw new Error("Failed to fade the hex pattern: " + e.message);
+    }
+}
+
+/**
+ * Remove hex cells that come within a clearance distance of the sponsor artwork's actual outlines.
+ *
+ * Each PathItem or CompoundPathItem in hexLayer is treated as one cell; see `findOverlappingHexPaths` for how overlap is decided.
+ * @param {(Layer|GroupItem)} hexLayer - Layer or group containing hex paths to be checked and removed when overlapping.
+ * @param {(Layer|GroupItem)} sponsorLayer - Layer or group whose artwork outlines are used to determine overlap.
+ * @param {number} clearancePt - Minimum distance in points to keep between the sponsor and the remaining cells.
+ * @returns {number} The number of hex cells removed.
+ */
+function removeOverlappingHexPaths(hexLayer, sponsorLayer, clearancePt) {
+    try {
+        var pathsToDelete = findOverlappingHexPaths(hexLayer, sponsorLayer, clearancePt);
+
+        // Delete overlapping paths
+        for (var i = 0; i < pathsToDelete.length; i++) {
+            pathsToDelete[i].remove();
+        }
+
+        return pathsToDelete.length;
+
+    } catch (e) {
+        throw new Error("Failed to remove overlapping hex paths: " + e.message);
+    }
+}
+
+/**
+ * Trim hex cells along an offset outline of the sponsor instead of deleting them whole.
+ *
+ * Builds a cutter shape from the sponsor artwork grown by the clearance (see `createSponsorCutter`) and subtracts it from every cell that `findOverlappingHexPaths` reports, using Pathfinder "Minus Front". Cells that lie completely inside the cutter disappear; cells it doesn't touch are left as they are.
+ * @param {Document} doc - The active document containing both layers.
+ * @param {(Layer|GroupItem)} hexLayer - Layer or group containing the hex paths to clip.
+ * @param {(Layer|GroupItem)} sponsorLayer - Layer or group whose artwork is cut out of the hex pattern.
+ * @param {number} clearancePt - Distance in points between the sponsor outline and the clipped cell edges.
+ * @returns {{clipped: number, removed: number}} The number of cells trimmed, and the number that were entirely inside the cutter.
+ */
+function clipOverlappingHexPaths(doc, hexLayer, sponsorLayer, clearancePt) {
+    var cutterLayer = null;
+
+    try {
+        var cells = findOverlappingHexPaths(hexLayer, sponsorLayer, clearancePt);
+        var result = { clipped: 0, removed: 0 };
+
+        if (cells.length === 0) {
+            return result;
+        }
+
+        // Build the cutter on a temporary layer
+        cutterLayer = doc.layers.add();
+        cutterLayer.name = "Sponsor Cutter";
+        var cutter = createSponsorCutter(doc, sponsorLayer, cutterLayer, clearancePt);
+
+        for (var i = 0; i < cells.length; i++) {
+            // Put a copy of the cutter directly in front of the cell so the result stays in the cell's place
+            var cutterCopy = cutter.duplicate(cells[i], ElementPlacement.PLACEBEFORE);
+
+            doc.selection = null;
+            doc.selection = [cells[i], cutterCopy];
+            app.executeMenuCommand("Live Pathfinder Subtract");
+            app.executeMenuCommand("expandStyle");
+
+            // Nothing left (or an empty group) means the cell was entirely inside the cutter
+            var remaining = doc.selection.length > 0 ? doc.selection[0] : null;
+            if (!remaining || (remaining.typename == "GroupItem" && remaining.pageItems.length === 0)) {
+                if (remaining) {
+                    remaining.remove();
+                }
+                result.removed++;
+            } else {
+                result.clipped++;
+            }
+        }
+
+        doc.selection = null;
+        return result;
+
+    } catch (e) {
+        throw new Error("Failed to clip overlapping hex paths: " + e.message);
+
+    } finally {
+        if (cutterLayer) {
+            cutterLayer.remove();
+        }
+    }
+}
+
+/**
+ * Build a single filled shape covering the sponsor artwork grown by a clearance distance.
+ *
+ * Works on copies in an empty temporary layer: text is outlined, strokes are outlined, appearances are expanded, non-path items (images, symbols) are replaced by their bounding rectangles to match `collectOutlineShapes`, everything is united, and the result is offset outward by the clearance with round joins. The caller removes the temporary layer when done.
+ * @param {Document} doc - The active document containing the sponsor layer.
+ * @param {(Layer|GroupItem)} sponsorLayer - Layer or group whose artwork defines the cutter.
+ * @param {Layer} cutterLayer - Empty temporary layer to build the cutter in.
+ * @param {number} clearancePt - Outward offset in points.
+ * @returns {PageItem} The united, offset cutter shape.
+ */
+function createSponsorCutter(doc, sponsorLayer, cutterLayer, clearancePt) {
+    var i;
+
+    // Copy the visible sponsor artwork
+    for (i = 0; i < sponsorLayer.pageItems.length; i++) {
+        if (!sponsorLayer.pageItems[i].hidden) {
+            sponsorLayer.pageItems[i].duplicate(cutterLayer, ElementPlacement.PLACEATEND);
+        }
+    }
+
+    // Replace items that can't be united with their bounding rectangles
+    var items = [];
+    collectLeafItems(cutterLayer.pageItems, items);
+    for (i = 0; i < items.length; i++) {
+        var type = items[i].typename;
+        if (type != "PathItem" && type != "CompoundPathItem" && type != "TextFrame") {
+            var b = items[i].geometricBounds; // [left, top, right, bottom]
+            var box = cutterLayer.pathItems.rectangle(b[1], b[0], b[2] - b[0], b[1] - b[3]);
+            box.filled = true;
+            box.stroked = false;
+            items[i].remove();
+        }
+    }
+
+    // Outline text and strokes, flatten appearances, and unite everything into one shape
+    selectLayerContents(doc, cutterLayer);
+    app.executeMenuCommand("outline");
+    selectLayerContents(doc, cutterLayer);
+    app.executeMenuCommand("OffsetPath v22"); // Object > Path > Outline Stroke
+    selectLayerContents(doc, cutterLayer);
+    app.executeMenuCommand("expandStyle");
+    selectLayerContents(doc, cutterLayer);
+    app.executeMenuCommand("Live Pathfinder Add");
+    app.executeMenuCommand("expandStyle");
+
+    var cutter = doc.selection[0];
+
+    // Grow the united shape by the clearance
+    if (clearancePt > 0) {
+        cutter.applyEffect('<LiveEffect name="Adobe Offset Path"><Dict data="R mlim 4 R ofst ' + clearancePt + ' I jntp 0 "/></LiveEffect>');
+        selectLayerContents(doc, cutterLayer);
+        app.executeMenuCommand("expandStyle");
+        app.executeMenuCommand("Live Pathfinder Add");
+        app.executeMenuCommand("expandStyle");
+        cutter = doc.selection[0];
+    }
+
+    doc.selection = null;
+    return cutter;
+}
+
+/**
+ * Select every top-level page item on a layer, replacing the current selection.
+ * @param {Document} doc - The active document.
+ * @param {Layer} layer - The layer whose items will be selected.
+ */
+function selectLayerContents(doc, layer) {
+    var selectionArray = [];
+    for (var i = 0; i < layer.pageItems.length; i++) {
+        selectionArray.push(layer.pageItems[i]);
+    }
+    doc.selection = null;
+    doc.selection = selectionArray;
+}
+
+/**
+ * Collect every page item that is not a group, searching groups recursively.
+ * @param {Array} items - Array or collection of page items to search.
+ * @param {Array} itemArray - Array to which the non-group items are appended.
+ */
+function collectLeafItems(items, itemArray) {
+    for (var i = 0; i < items.length; i++) {
+        if (items[i].typename == "GroupItem") {
+            collectLeafItems(items[i].pageItems, itemArray);
+        } else {
+            itemArray.push(items[i]);
+        }
+    }
+}
+
+/**
+ * Find the hex cells that come within a clearance distance of the sponsor artwork's actual outlines.
+ *
+ * Each PathItem or CompoundPathItem in hexLayer is treated as one cell and compared against the shapes of the sponsor artwork (see `collectOutlineShapes`) rather than the sponsor's bounding box, so the cut-out follows the logo's silhouette. A cell overlaps if its outline comes within `clearancePt` of a sponsor outline (plus half of that outline's stroke), or if either one encloses the other.
+ * @param {(Layer|GroupItem)} hexLayer - Layer or group containing the hex paths to check.
+ * @param {(Layer|GroupItem)} sponsorLayer - Layer or group whose artwork outlines are used to determine overlap.
+ * @param {number} clearancePt - Minimum distance in points to keep between the sponsor and the cells.
+ * @returns {Array.<(PathItem|CompoundPathItem)>} The overlapping cells.
+ */
+function findOverlappingHexPaths(hexLayer, sponsorLayer, clearancePt) {
+    // Get the outlines of all sponsor content
+    var sponsorShapes = [];
+    collectOutlineShapes(sponsorLayer.pageItems, sponsorShapes);
+
+    if (sponsorShapes.length === 0) {
+        return []; // No sponsor content, nothing overlaps
+    }
+
+    // Collect all path items from hex layer (including nested in groups)
+    var hexPaths = [];
+    collectPathItems(hexLayer.pageItems, hexPaths);
+
+    // Check each hex path for overlap
+    var overlapping = [];
+    for (var i = 0; i < hexPaths.length; i++) {
+        var cellShape = getItemShape(hexPaths[i]);
+
+        for (var j = 0; j < sponsorShapes.length; j++) {
+            if (shapesWithinDistance(cellShape, sponsorShapes[j], clearancePt + sponsorShapes[j].padding)) {
+                overlapping.push(hexPaths[i]);
+                break;
+            }
+        }
+    }
+
+    return overlapping;
+}
+
+/**
+ * Describe how many hex cells were removed or clipped by `buildHexDocument`, e.g. "12 hex cells removed around the sponsor, 40 faded".
+ * @param {{removedCells: number, clippedCells: number, fadedCells: number}} result - The result of `buildHexDocument`.
+ * @returns {string} The description, without a trailing full stop.
+ */
+function describeOverlapResult(result) {
+    var description;
+    if (result.clippedCells > 0) {
+        description = result.clippedCells + " hex cells clipped and " + result.removedCells + " removed around the sponsor";
+    } else {
+        description = result.removedCells + " hex cells removed around the sponsor";
+    }
+    if (result.fadedCells > 0) {
+        description += ", " + result.fadedCells + " faded";
+    }
+    return description;
+}
+
+/**
+ * Describe each sponsor's final size for the success message or batch summary.
+ * @param {{sponsorSizes: Array.<Object>}} result - Result of `buildHexDocument`.
+ * @returns {string} e.g. "Sponsor 10.2 × 4.1cm, Secondary 6 × 2.5cm".
+ */
+function describeSponsorSizes(result) {
+    var parts = [];
+    for (var i = 0; i < result.sponsorSizes.length; i++) {
+        var size = result.sponsorSizes[i];
+        parts.push(size.name + " " + formatSizeCm(size.widthCm, size.heightCm));
+    }
+    return parts.join(", ");
+}
+
+/**
+ * Collect the visible outlines of a set of page items as polygon shapes for overlap tests.
+ *
+ * - PathItems and CompoundPathItems contribute their flattened paths; open, unfilled paths only count as lines, and stroke width is recorded as `padding`
+ * - GroupItems are searched recursively; a clipped group contributes only its clipping path, since nothing outside it is visible
+ * - TextFrames are outlined on a temporary duplicate so the actual glyph shapes are used
+ * - Anything else (placed or raster images, symbols, meshes) contributes its bounding rectangle
+ *
+ * Hidden items, guides and unpainted paths are skipped.
+ * @param {Array} items - Array or collection of page items to search.
+ * @param {Array.<Object>} shapes - Array to which discovered shapes (see `createShape`) are appended.
+ */
+function collectOutlineShapes(items, shapes) {
+    var i;
+
+    // Take a snapshot first - outlining text adds items to the same collections
+    var list = [];
+    for (i = 0; i < items.length; i++) {
+        list.push(items[i]);
+    }
+
+    for (i = 0; i < list.length; i++) {
+        var item = list[i];
+
+        if (item.hidden || item.guides) {
+            continue;
+        }
+
+        if (item.typename == "PathItem") {
+            if (item.filled || item.stroked) {
+                var ring = getPathRing(item);
+                shapes.push(createShape([ring], item.filled || ring.closed, item.stroked ? item.strokeWidth / 2 : 0));
+            }
+        } else if (item.typename == "CompoundPathItem") {
+            if (item.pathItems.length > 0) {
+                // Sub-paths share the paint of the compound path; holes are handled by the even-odd test
+                var paint = item.pathItems[0];
+                if (paint.filled || paint.stroked) {
+                    var shape = getItemShape(item);
+                    shape.filled = paint.filled;
+                    shape.padding = paint.stroked ? paint.strokeWidth / 2 : 0;
+                    shapes.push(shape);
+                }
+            }
+        } else if (item.typename == "GroupItem") {
+            var clippingPath = null;
+            if (item.clipped) {
+                for (var j = 0; j < item.pageItems.length; j++) {
+                    if (item.pageItems[j].clipping) {
+                        clippingPath = item.pageItems[j];
+                        break;
+                    }
+                }
+            }
+
+            if (clippingPath) {
+                shapes.push(createShape([getPathRing(clippingPath)], true, 0));
+            } else {
+                collectOutlineShapes(item.pageItems, shapes);
+            }
+        } else if (item.typename == "TextFrame") {
+            var outlined = item.duplicate().createOutline();
+            collectOutlineShapes([outlined], shapes);
+            outlined.remove();
+        } else {
+            var b = item.geometricBounds; // [left, top, right, bottom]
+            shapes.push(createShape([{ points: [[b[0], b[1]], [b[2], b[1]], [b[2], b[3]], [b[0], b[3]]], closed: true }], true, 0));
+        }
+    }
+}
+
+/**
+ * Build a filled shape from a PathItem or CompoundPathItem (e.g. a hex cell, whose ring and inner hole are both included).
+ * @param {(PathItem|CompoundPathItem)} item - The item to convert.
+ * @returns {Object} A filled shape (see `createShape`) with no padding.
+ */
+function getItemShape(item) {
+    var rings = [];
+    if (item.typename == "CompoundPathItem") {
+        for (var i = 0; i < item.pathItems.length; i++) {
+            rings.push(getPathRing(item.pathItems[i]));
+        }
+    } else {
+        rings.push(getPathRing(item));
+    }
+    return createShape(rings, true, 0);
+}
+
+/**
+ * Flatten a PathItem into a polygon, approximating curved segments with `CURVE_STEPS` straight lines each.
+ * @param {PathItem} pathItem - The path to flatten.
+ * @returns {{points: Array.<Array.<number>>, closed: boolean}} The polygon's `[x, y]` points and whether the path is closed.
+ */
+function getPathRing(pathItem) {
+    var pathPoints = pathItem.pathPoints;
+    var count = pathPoints.length;
+    var points = [];
+
+    if (count === 0) {
+        return { points: points, closed: false };
+    }
+
+    var segmentCount = pathItem.closed ? count : count - 1;
+    points.push(pathPoints[0].anchor);
+
+    for (var i = 0; i < segmentCount; i++) {
+        var start = pathPoints[i];
+        var end = pathPoints[(i + 1) % count];
+        var p0 = start.anchor;
+        var p1 = start.rightDirection;
+        var p2 = end.leftDirection;
+        var p3 = end.anchor;
+
+        var isStraight = p1[0] == p0[0] && p1[1] == p0[1] && p2[0] == p3[0] && p2[1] == p3[1];
+        if (!isStraight) {
+            // Sample the cubic Bézier curve
+            for (var step = 1; step < CURVE_STEPS; step++) {
+                var t = step / CURVE_STEPS;
+                var u = 1 - t;
+                points.push([
+                    u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+                    u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+                ]);
+            }
+        }
+
+        // The closing segment ends back at the first point, which is already in the list
+        if (i < count - 1) {
+            points.push(p3);
+        }
+    }
+
+    return { points: points, closed: pathItem.closed };
+}
+
+/**
+ * Create a shape for overlap tests from one or more polygon rings.
+ * @param {Array.<{points: Array.<Array.<number>>, closed: boolean}>} rings - The shape's polygons (see `getPathRing`).
+ * @param {boolean} filled - Whether the area inside the closed rings counts as part of the shape, using the even-odd rule.
+ * @param {number} padding - Extra distance in points the shape reaches beyond its rings, such as half its stroke width.
+ * @returns {{rings: Array, filled: boolean, padding: number, bounds: number[]}} The shape, with `bounds` as [left, top, right, bottom].
+ */
+function createShape(rings, filled, padding) {
+    var bounds = null;
+    for (var i = 0; i < rings.length; i++) {
+        var points = rings[i].points;
+        for (var j = 0; j < points.length; j++) {
+            var x = points[j][0];
+            var y = points[j][1];
+            if (!bounds) {
+                bounds = [x, y, x, y];
+            } else {
+                bounds[0] = Math.min(bounds[0], x); // left
+                bounds[1] = Math.max(bounds[1], y); // top
+                bounds[2] = Math.max(bounds[2], x); // right
+                bounds[3] = Math.min(bounds[3], y); // bottom
+            }
+        }
+    }
+
+    return { rings: rings, filled: filled, padding: padding, bounds: bounds || [0, 0, 0, 0] };
+}
+
+/**
+ * Determine whether two shapes come within a given distance of each other.
+ *
+ * True if any pair of edges is closer than `distance`, or if a point of one filled shape lies inside the other (one encloses the other).
+ * @param {Object} shapeA - A shape from `createShape`.
+ * @param {Object} shapeB - A shape from `createShape`.
+ * @param {number} distance - Distance in points.
+ * @returns {boolean} `true` if the shapes overlap or are closer than `distance`.
+ */
+function shapesWithinDistance(shapeA, shapeB, distance) {
+    var a;
+    var b;
+    var i;
+
+    // Quick rejection using bounding boxes expanded by the distance
+    var expanded = [shapeB.bounds[0] - distance, shapeB.bounds[1] + distance, shapeB.bounds[2] + distance, shapeB.bounds[3] - distance];
+    if (!boundsIntersect(shapeA.bounds, expanded)) {
+        return false;
+    }
+
+    // Edge-to-edge distance
+    for (a = 0; a < shapeA.rings.length; a++) {
+        var ringA = shapeA.rings[a];
+        var countA = ringA.closed ? ringA.points.length : ringA.points.length - 1;
+
+        for (i = 0; i < countA; i++) {
+            var a1 = ringA.points[i];
+            var a2 = ringA.points[(i + 1) % ringA.points.length];
+
+            for (b = 0; b < shapeB.rings.length; b++) {
+                var ringB = shapeB.rings[b];
+                var countB = ringB.closed ? ringB.points.length : ringB.points.length - 1;
+
+                for (var j = 0; j < countB; j++) {
+                    var b1 = ringB.points[j];
+                    var b2 = ringB.points[(j + 1) % ringB.points.length];
+
+                    // Skip edges whose boxes are further apart than the distance
+                    if (Math.max(a1[0], a2[0]) < Math.min(b1[0], b2[0]) - distance ||
+                        Math.min(a1[0], a2[0]) > Math.max(b1[0], b2[0]) + distance ||
+                        Math.max(a1[1], a2[1]) < Math.min(b1[1], b2[1]) - distance ||
+                        Math.min(a1[1], a2[1]) > Math.max(b1[1], b2[1]) + distance) {
+                        continue;
+                    }
+
+                    if (segmentDistance(a1, a2, b1, b2) <= distance) {
+                        return true;
+                    }
+                }
+            }
+        }
+    }
+
+    // No edges are close, so the shapes are either apart or one encloses the other
+    for (a = 0; a < shapeA.rings.length; a++) {
+        if (shapeA.rings[a].points.length > 0 && pointInShape(shapeA.rings[a].points[0], shapeB)) {
+            return true;
+        }
+    }
+    for (b = 0; b < shapeB.rings.length; b++) {
+        if (shapeB.rings[b].points.length > 0 && pointInShape(shapeB.rings[b].points[0], shapeA)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Determine whether a point lies inside a filled shape, using the even-odd rule across all of its closed rings.
+ * @param {number[]} point - The point as [x, y].
+ * @param {Object} shape - A shape from `createShape`; unfilled shapes contain no points.
+ * @returns {boolean} `true` if the point is inside the shape.
+ */
+function pointInShape(point, shape) {
+    if (!shape.filled) {
+        return false;
+    }
+
+    var inside = false;
+    for (var r = 0; r < shape.rings.length; r++) {
+        var points = shape.rings[r].points;
+        for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+            var xi = points[i][0];
+            var yi = points[i][1];
+            var xj = points[j][0];
+            var yj = points[j][1];
+
+            // Count crossings of a horizontal ray from the point
+            if ((yi > point[1]) != (yj > point[1]) &&
+                point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+}
+
+/**
+ * Shortest distance between two line segments.
+ * @param {number[]} a1 - Start of the first segment as [x, y].
+ * @param {number[]} a2 - End of the first segment.
+ * @param {number[]} b1 - Start of the second segment.
+ * @param {number[]} b2 - End of the second segment.
+ * @returns {number} The distance, or 0 if the segments cross.
+ */
+function segmentDistance(a1, a2, b1, b2) {
+    // Segments cross if each one's ends lie on opposite sides of the other
+    var d1 = crossProduct(b1, b2, a1);
+    var d2 = crossProduct(b1, b2, a2);
+    var d3 = crossProduct(a1, a2, b1);
+    var d4 = crossProduct(a1, a2, b2);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return 0;
+    }
+
+    return Math.min(
+        pointSegmentDistance(a1, b1, b2),
+        pointSegmentDistance(a2, b1, b2),
+        pointSegmentDistance(b1, a1, a2),
+        pointSegmentDistance(b2, a1, a2)
+    );
+}
+
+/**
+ * Cross product of (end - start) and (point - start); its sign tells which side of the line the point is on.
+ * @param {number[]} start - Line start as [x, y].
+ * @param {number[]} end - Line end as [x, y].
+ * @param {number[]} point - The point to test.
+ * @returns {number} The cross product.
+ */
+function crossProduct(start, end, point) {
+    return (end[0] - start[0]) * (point[1] - start[1]) - (end[1] - start[1]) * (point[0] - start[0]);
+}
+
+/**
+ * Shortest distance from a point to a line segment.
+ * @param {number[]} point - The point as [x, y].
+ * @param {number[]} start - Segment start as [x, y].
+ * @param {number[]} end - Segment end as [x, y].
+ * @returns {number} The distance.
+ */
+function pointSegmentDistance(point, start, end) {
+    var dx = end[0] - start[0];
+    var dy = end[1] - start[1];
+    var lengthSquared = dx * dx + dy * dy;
+
+    // Project the point onto the segment, clamped to its ends
+    var t = lengthSquared === 0 ? 0 : ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+
+    var nearestX = start[0] + t * dx;
+    var nearestY = start[1] + t * dy;
+    return Math.sqrt((point[0] - nearestX) * (point[0] - nearestX) + (point[1] - nearestY) * (point[1] - nearestY));
+}
+
+/**
+ * Compute the combined geometric bounding box for all page items on a layer.
+ *
+ * @param {(Layer|GroupItem)} layer - The Illustrator layer or group whose page items will be inspected.
+ * @returns {(number[]|null)} An array `[left, top, right, bottom]` representing the merged geometric bounds of all items on the layer, or `null` if the layer contains no page items.
+ */
+function getLayerBounds(layer) {
+    return getItemsBounds(layer.pageItems);
+}
+
+/**
+ * Compute the combined geometric bounding box of a set of page items.
+ *
+ * @param {Array} items - Array or collection of page items.
+ * @returns {(number[]|null)} `[left, top, right, bottom]`, or `null` if there are no items.
+ */
+function getItemsBounds(items) {
+    if (items.length === 0) {
+        return null;
+    }
+
+    var bounds = items[0].geometricBounds;
+    for (var i = 1; i < items.length; i++) {
+        var itemBounds = items[i].geometricBounds;
+        bounds[0] = Math.min(bounds[0], itemBounds[0]); // left
+        bounds[1] = Math.max(bounds[1], itemBounds[1]); // top
+        bounds[2] = Math.max(bounds[2], itemBounds[2]); // right
+        bounds[3] = Math.min(bounds[3], itemBounds[3]); // bottom
+    }
+
+    return bounds;
+}
+
+/**
+ * Collects all PathItem and CompoundPathItem objects from a list of page items into the provided array.
+ * Traverses GroupItem contents recursively and appends each found PathItem or CompoundPathItem to `pathArray`.
+ * @param {Array} items - Array or collection of page items to search (PageItem/GroupItem/CompoundPathItem).
+ * @param {Array} pathArray - Array to which discovered PathItem and CompoundPathItem objects will be appended.
+ */
+function collectPathItems(items, pathArray) {
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+
+        if (item.typename == "PathItem") {
+            pathArray.push(item);
+        } else if (item.typename == "GroupItem") {
+            collectPathItems(item.pageItems, pathArray);
+        } else if (item.typename == "CompoundPathItem") {
+            // Treat compound paths as a single unit (don't break apart)
+            pathArray.push(item);
+        }
+    }
+}
+
+/**
+ * Determine whether two axis-aligned bounding boxes intersect.
+ * @param {number[]} bounds1 - Bounds as [left, top, right, bottom].
+ * @param {number[]} bounds2 - Bounds as [left, top, right, bottom].
+ * @returns {boolean} `true` if the rectangles defined by the bounds intersect, `false` otherwise.
+ */
+function boundsIntersect(bounds1, bounds2) {
+    // Two rectangles intersect if:
+    // - left1 < right2 AND right1 > left2 (horizontal overlap)
+    // - bottom1 < top2 AND top1 > bottom2 (vertical overlap)
+
+    var horizontalOverlap = bounds1[0] < bounds2[2] && bounds1[2] > bounds2[0];
+    var verticalOverlap = bounds1[3] < bounds2[1] && bounds1[1] > bounds2[3];
+
+    return horizontalOverlap && verticalOverlap;
+}
+
+/**
+ * Aligns the sponsor layer to the hex layer according to the specified position mode.
+ *
+ * Positions the sponsor layer relative to the hex layer's bounding box. If either layer has no content, the function does nothing. The sponsor is always centered horizontally on the hex pattern. Vertically:
+ * - "Bottom Sponsor": bottom edges aligned
+ * - "Middle Sponsor": centered
+ * - "Top Sponsor": top edges aligned
+ * - "Custom": the sponsor's top edge sits `offsetCm` below the top of the hex pattern
+ *
+ * The returned placement describes the sponsor's slot, the product's fit box anchored the same way as the sponsor, so the Masuri Tab is placed the same way however tall the scaled artwork ends up (see `positionMasuriTab`).
+ * @param {(Layer|GroupItem)} sponsorLayer - Layer or group containing the sponsor artwork to move.
+ * @param {(Layer|GroupItem)} hexLayer - Layer or group whose bounding box is used as the reference.
+ * @param {string} positionType - Position mode, one of `SPONSOR_POSITIONS`.
+ * @param {(number|null)} offsetCm - Offset from the top of the hex pattern in cm, for "Custom".
+ * @param {number} fitHeightCm - Height of the product's sponsor fit box in cm.
+ * @returns {({slotTop: number, slotBottom: number, hexTop: number, hexBottom: number}|null)} The slot and hex pattern edges in points, or `null` if either layer is empty.
+ * @throws {Error} If an unexpected error occurs while computing bounds or translating items.
+ */
+function positionSponsorLayer(sponsorLayer, hexLayer, positionType, offsetCm, fitHeightCm) {
+    try {
+        // Get bounding boxes
+        var sponsorBounds = getLayerBounds(sponsorLayer);
+        var hexBounds = getLayerBounds(hexLayer);
+
+        if (!sponsorBounds || !hexBounds) {
+            return null; // No content to position
+        }
+
+        // Calculate current dimensions and centers
+        var sponsorWidth = sponsorBounds[2] - sponsorBounds[0];
+        var sponsorHeight = sponsorBounds[1] - sponsorBounds[3];
+        var sponsorCenterX = sponsorBounds[0] + sponsorWidth / 2;
+        var sponsorCenterY = sponsorBounds[3] + sponsorHeight / 2;
+
+        var hexWidth = hexBounds[2] - hexBounds[0];
+        var hexHeight = hexBounds[1] - hexBounds[3];
+        var hexCenterX = hexBounds[0] + hexWidth / 2;
+        var hexCenterY = hexBounds[3] + hexHeight / 2;
+
+        var fitHeight = fitHeightCm * POINTS_PER_CM;
+        var deltaX = hexCenterX - sponsorCenterX;
+        var deltaY = 0;
+        var slotTop;
+
+        if (positionType == "Bottom Sponsor") {
+            // Horizontally centered, bottom edges aligned
+            deltaY = hexBounds[3] - sponsorBounds[3]; // Align bottom edges
+            slotTop = hexBounds[3] + fitHeight;
+        } else if (positionType == "Middle Sponsor") {
+            // Both horizontally and vertically centered
+            deltaY = hexCenterY - sponsorCenterY;
+            slotTop = hexCenterY + fitHeight / 2;
+        } else if (positionType == "Top Sponsor") {
+            // Horizontally centered, top edges aligned
+            deltaY = hexBounds[1] - sponsorBounds[1];
+            slotTop = hexBounds[1];
+        } else if (positionType == "Custom") {
+            // Horizontally centered, top edge offset down from the top of the hex pattern
+            slotTop = hexBounds[1] - (offsetCm || 0) * POINTS_PER_CM;
+            deltaY = slotTop - sponsorBounds[1];
+        } else {
+            throw new Error("Unknown sponsor position: " + positionType);
+        }
+
+        // Move all items in sponsor layer
+        var items = sponsorLayer.pageItems;
+        for (var i = 0; i < items.length; i++) {
+            items[i].translate(deltaX, deltaY);
+        }
+
+        return { slotTop: slotTop, slotBottom: slotTop - fitHeight, hexTop: hexBounds[1], hexBottom: hexBounds[3] };
+
+    } catch (e) {
+        throw new Error("Failed to position sponsor layer: " + e.message);
+    }
+}
+
+/**
+ * Place the Masuri Tab for the chosen sponsor position.
+ *
+ * A fixed `[xCm, yCm]` in `product.masuriTab` for the position wins. Otherwise the tab goes at `product.masuriTabAuto.xCm`, with its bottom edge `gapCm` above the sponsor slot; if that would push it above the hex pattern (e.g. "Top Sponsor"), it goes `gapCm` below the slot instead.
+ * @param {(GroupItem|null)} masuriTab - The Masuri Tab group; no action if `null`.
+ * @param {Object} product - The product template (see `loadProducts`).
+ * @param {string} positionType - One of `SPONSOR_POSITIONS`.
+ * @param {(Object|null)} placement - The sponsor slot from `positionSponsorLayer`, moved to where the artwork ended up after centering.
+ */
+function positionMasuriTab(masuriTab, product, positionType, placement) {
+    var fixed = product.masuriTab[positionType];
+    if (fixed) {
+        positionGroup(masuriTab, fixed[0], fixed[1]);
+        return;
+    }
+    if (!placement || !masuriTab) {
+        return;
+    }
+
+    var bounds = masuriTab.geometricBounds; // [left, top, right, bottom]
+    var tabHeight = bounds[1] - bounds[3];
+    var gap = product.masuriTabAuto.gapCm * POINTS_PER_CM;
+
+    // Work in points (y up), then convert to cm measured downward as `positionGroup` expects
+    var tabTop = placement.slotTop + gap + tabHeight;
+    if (tabTop > placement.hexTop) {
+        tabTop = placement.slotBottom - gap;
+    }
+    positionGroup(masuriTab, product.masuriTabAuto.xCm, -tabTop / POINTS_PER_CM);
+}
+
+/**
+ * Remove empty layers from the given document.
+ * If a layer cannot be removed, the function skips it without throwing an error.
+ * @param {Document} doc - The Illustrator document whose empty layers should be removed.
+ */
+function removeEmptyLayers(doc) {
+    try {
+        // Iterate backwards to avoid index shifting issues when removing layers
+        for (var i = doc.layers.length - 1; i >= 0; i--) {
+            var layer = doc.layers[i];
+
+            // Check if layer is empty (no page items)
+            if (layer.pageItems.length === 0) {
+                layer.remove();
+            }
+        }
+    } catch (e) {
+        // Don't throw error for layer removal - just continue
+        // This prevents script failure if layer can't be removed
+    }
+}
+
+/**
+ * Add a die-line layer with the pad's outline along the trim, for the printer's cutter.
+ *
+ * The layer is named after the die-line's spot colour (normally "CutContour") and holds one unfilled rectangle the size of the artboard, with the product's corner radius, stroked in the spot colour and set to overprint. The layer is locked.
+ * @param {Document} doc - The new hex document.
+ * @param {Object} product - Product template (see `loadProducts`) with a `dieLine`.
+ * @returns {Layer} The die-line layer.
+ * @throws {Error} If the layer can't be drawn.
+ */
+function addDieLineLayer(doc, product) {
+    try {
+        var layer = doc.layers.add();
+        layer.name = product.dieLine.spot;
+
+        var outline = addArtboardOutline(doc, layer, 0, product.cornerRadiusMm * POINTS_PER_CM / 10);
+        outline.name = "Die Line";
+        outline.filled = false;
+        outline.stroked = true;
+        outline.strokeColor = createDocumentColor(doc, { cmyk: product.dieLine.cmyk, spot: product.dieLine.spot });
+        outline.strokeWidth = product.dieLine.strokePt;
+        outline.strokeOverprint = true;
+
+        layer.locked = true;
+        return layer;
+
+    } catch (e) {
+        throw new Error("Failed to add the die-line: " + e.message);
+    }
+}
+
+/**
+ * Add a non-printing "Safe Area" layer with a guide `safeAreaMm` inside the trim, which important artwork should stay within.
+ *
+ * The guide's corners follow the pad's corner radius, less the inset. The layer is locked.
+ * @param {Document} doc - The new hex document.
+ * @param {Object} product - Product template (see `loadProducts`) with a `safeAreaMm`.
+ * @returns {Layer} The safe-area layer.
+ * @throws {Error} If the layer can't be drawn.
+ */
+function addSafeAreaLayer(doc, product) {
+    try {
+        var layer = doc.layers.add();
+        layer.name = "Safe Area";
+
+        var mmToPt = POINTS_PER_CM / 10;
+        var outline = addArtboardOutline(doc, layer, product.safeAreaMm * mmToPt, Math.max(product.cornerRadiusMm - product.safeAreaMm, 0) * mmToPt);
+        outline.name = "Safe Area";
+        outline.guides = true;
+
+        layer.printable = false;
+        layer.locked = true;
+        return layer;
+
+    } catch (e) {
+        throw new Error("Failed to add the safe area: " + e.message);
+    }
+}
+
+/**
+ * Draw a rounded rectangle following the first artboard's edges.
+ * @param {Document} doc - The document.
+ * @param {Layer} layer - The layer that receives the rectangle.
+ * @param {number} insetPt - Distance inside the artboard's edges, in points.
+ * @param {number} radiusPt - Corner radius in points; 0 for square corners.
+ * @returns {PathItem} The rectangle.
+ */
+function addArtboardOutline(doc, layer, insetPt, radiusPt) {
+    var rect = doc.artboards[0].artboardRect; // [left, top, right, bottom]
+    var width = rect[2] - rect[0] - 2 * insetPt;
+    var height = rect[1] - rect[3] - 2 * insetPt;
+    if (radiusPt > 0) {
+        return layer.pathItems.roundedRectangle(rect[1] - insetPt, rect[0] + insetPt, width, height, radiusPt, radiusPt);
+    }
+    return layer.pathItems.rectangle(rect[1] - insetPt, rect[0] + insetPt, width, height);
+}
+
+/**
+ * Import guide artwork from an SVG into a new "Guides" layer and convert the imported items into Illustrator guides.
+ * @param {File} svgFile - The SVG file to open and import (see `importSVGByOpening`).
+ * @param {Document} targetDoc - The Illustrator document to receive the imported guides.
+ * @param {number} offsetCm - Distance of the guides' top-left corner from the artboard's top-left corner, in centimeters.
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the run (see `createDocumentCache`).
+ * @returns {Layer} The newly created Guides layer containing the converted guide items.
+ * @throws {Error} If the SVG cannot be opened, imported, translated, or converted to guides.
+ */
+function importGuidesFromSVG(svgFile, targetDoc, offsetCm, documentCache) {
+    try {
+        var i;
+
+        // Create a Guides layer
+        var guidesLayer = targetDoc.layers.add();
+        guidesLayer.name = "Guides";
+
+        // Copy the SVG's artwork into the Guides layer
+        var importedItems = importSVGByOpening(svgFile, targetDoc, guidesLayer, documentCache);
+
+        if (importedItems.length > 0) {
+            // Position the guides offsetCm from top-left corner (same for both modes)
+            // Convert offsetCm to points
+            var targetX = offsetCm * POINTS_PER_CM;
+            var targetY = -offsetCm * POINTS_PER_CM;
+
+            // Get bounding box of all imported items
+            var bounds = importedItems[0].geometricBounds;
+            for (i = 1; i < importedItems.length; i++) {
+                var itemBounds = importedItems[i].geometricBounds;
+                bounds[0] = Math.min(bounds[0], itemBounds[0]); // left
+                bounds[1] = Math.max(bounds[1], itemBounds[1]); // top
+                bounds[2] = Math.max(bounds[2], itemBounds[2]); // right
+                bounds[3] = Math.min(bounds[3], itemBounds[3]); // bottom
+            }
+
+            // Calculate translation to move top-left corner to target position
+            var deltaX = targetX - bounds[0];
+            var deltaY = targetY - bounds[1];
+
+            // Apply translation to all items
+            for (i = 0; i < importedItems.length; i++) {
+                importedItems[i].translate(deltaX, deltaY);
+            }
+
+            // Convert all imported items to guides
+            convertToGuides(importedItems);
+        }
+
+        // Return the guides layer
+        return guidesLayer;
+
+    } catch (e) {
+        throw new Error("Failed to import guides: " + e.message);
+    }
+}
+
+/**
+ * Recursively convert path items within a collection to Illustrator guides.
+ *
+ * Traverses the provided items and marks any PathItem encountered as a guide.
+ * For GroupItem and CompoundPathItem entries, the function recurses into their child items.
+ *
+ * @param {Array} items - Array or collection of page items (PathItem, GroupItem, CompoundPathItem) to process.
+ */
+function convertToGuides(items) {
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+
+        if (item.typename == "PathItem") {
+            item.guides = true;
+        } else if (item.typename == "GroupItem") {
+            convertToGuides(item.pageItems);
+        } else if (item.typename == "CompoundPathItem") {
+            convertToGuides(item.pathItems);
+        }
+    }
+}
+
+/**
+ * Create the Illustrator colour for a colour definition in the given document.
+ *
+ * Definitions with a `spot` name become a SpotColor at 100% tint, reusing the document's spot swatch of that name or adding one whose alternate colour is the definition's CMYK values. Other definitions become a CMYKColor, so no RGB to CMYK conversion takes place.
+ * @param {Document} doc - The document the colour will be used in.
+ * @param {{cmyk: Array.<number>, spot: (string|undefined)}} definition - The colour definition (see `loadPalette`).
+ * @returns {(CMYKColor|SpotColor)} The colour to apply.
+ */
+function createDocumentColor(doc, definition) {
+    var cmykColor = new CMYKColor();
+    cmykColor.cyan = definition.cmyk[0];
+    cmykColor.magenta = definition.cmyk[1];
+    cmykColor.yellow = definition.cmyk[2];
+    cmykColor.black = definition.cmyk[3];
+
+    if (!definition.spot) {
+        return cmykColor;
+    }
+
+    // Reuse an existing spot swatch with the same name
+    var spot = null;
+    for (var i = 0; i < doc.spots.length; i++) {
+        if (doc.spots[i].name == definition.spot) {
+            spot = doc.spots[i];
+            break;
+        }
+    }
+
+    if (!spot) {
+        spot = doc.spots.add();
+        spot.name = definition.spot;
+        spot.colorType = ColorModel.SPOT;
+        spot.color = cmykColor;
+    }
+
+    var spotColor = new SpotColor();
+    spotColor.spot = spot;
+    spotColor.tint = 100;
+
+    return spotColor;
+}
+
+/**
+ * Convert a hex color string to CMYK percentages using the plain (unmanaged) RGB to CMYK formula.
+ *
+ * Accepts 3- or 6-digit hex formats, with or without a leading `#`. Values are rounded to whole percentages.
+ * @param {String} hex - Hex color code (e.g., "#FFFFFF" or "#FFF").
+ * @return {Array.<number>} `[cyan, magenta, yellow, black]` in percent.
+ */
+function hexToCMYK(hex) {
+    // Remove # if present
+    hex = hex.replace("#", "");
+
+    // Handle shorthand hex (e.g., #FFF -> #FFFFFF)
+    if (hex.length === 3) {
+        hex = hex.charAt(0) + hex.charAt(0) +
+              hex.charAt(1) + hex.charAt(1) +
+              hex.charAt(2) + hex.charAt(2);
+    }
+
+    // Parse hex values as fractions of full intensity
+    var r = parseInt(hex.substring(0, 2), 16) / 255;
+    var g = parseInt(hex.substring(2, 4), 16) / 255;
+    var b = parseInt(hex.substring(4, 6), 16) / 255;
+
+    var k = 1 - Math.max(r, g, b);
+    if (k == 1) {
+        return [0, 0, 0, 100]; // Pure black
+    }
+
+    return [
+        Math.round((1 - r - k) / (1 - k) * 100),
+        Math.round((1 - g - k) / (1 - k) * 100),
+        Math.round((1 - b - k) / (1 - k) * 100),
+        Math.round(k * 100)
+    ];
+}
+
+/**
+ * Group the first group from each provided layer into a single "Artwork" group and center it on the document artboard.
+ * Selects the first groupItem from each layer (skipping layers with no groups), groups those items, renames the resulting group to "Artwork", renames its layer to "Artwork" if present, and translates the group so its center aligns with the artboard center.
+ * @param {Document} doc - The Illustrator document containing the layers.
+ * @param {Array.<Layer>} layers - Array of layers whose first groupItems will be grouped and centered; layers without groupItems are ignored.
+ * @returns {Array.<number>} The `[deltaX, deltaY]` translation applied to the group, in points (`[0, 0]` if nothing was grouped).
+ */
+function groupAndCenterLayers(doc, layers) {
+    var deltaX = 0;
+    var deltaY = 0;
+    try {
+        // Clear selection
+        doc.selection = null;
+
+        // Select all groups from the specified layers
+        var allGroups = [];
+        for (var i = 0; i < layers.length; i++) {
+            if (layers[i].groupItems.length > 0) {
+                allGroups.push(layers[i].groupItems[0]);
+            }
+        }
+
+        // If we have groups to work with
+        if (allGroups.length > 0) {
+            // Set selection to all groups
+            doc.selection = allGroups;
+
+            // Group them together
+            app.executeMenuCommand("group");
+
+            // Get the master group (the selection after grouping)
+            var masterGroup = doc.selection[0];
+
+            // Name the group "Artwork"
+            masterGroup.name = "Artwork";
+
+            // Rename the layer containing the artwork to "Artwork"
+            if (masterGroup.layer) {
+                masterGroup.layer.name = "Artwork";
+            }
+
+            // Get artboard bounds
+            var artboard = doc.artboards[0];
+            var artboardRect = artboard.artboardRect; // [left, top, right, bottom]
+
+            // Calculate artboard center
+            var artboardCenterX = (artboardRect[0] + artboardRect[2]) / 2;
+            var artboardCenterY = (artboardRect[1] + artboardRect[3]) / 2;
+
+            // Get group bounds
+            var groupBounds = masterGroup.geometricBounds; // [left, top, right, bottom]
+
+            // Calculate group center
+            var groupCenterX = (groupBounds[0] + groupBounds[2]) / 2;
+            var groupCenterY = (groupBounds[1] + groupBounds[3]) / 2;
+
+            // Calculate translation needed to center the group
+            deltaX = artboardCenterX - groupCenterX;
+            deltaY = artboardCenterY - groupCenterY;
+
+            // Move the group to center
+            masterGroup.translate(deltaX, deltaY);
+        }
+
+        // Clear selection
+        doc.selection = null;
+
+    } catch (e) {
+        throw new Error("Failed to group and center layers: " + e.message);
+    }
+    return [deltaX, deltaY];
+}
+
+/**
+ * Save the finished hex document as the production `.ai` file, a print PDF and a low-res proof.
+ *
+ * All three files share a base name built from `exportSettings.namePattern` (see `formatExportName`). The PDF includes the product's bleed, whatever the preset says. The version number starts at 1 and goes up until none of the three files already exists in the output folder, so earlier exports are never overwritten. The PDF is written first because `saveAs` re-points the document at the file it saves, leaving it attached to the `.ai` file afterwards.
+ * @param {Document} doc - The document built by `buildHexDocument`.
+ * @param {Object} config - The job settings; `config.exportSettings` holds `{folder, club, namePattern, pdfPreset, proofFormat}`, where `folder` is a Folder, `pdfPreset` the name of an Illustrator PDF preset and `proofFormat` one of `PROOF_FORMATS`.
+ * @returns {Array.<File>} The saved files: `.ai`, `.pdf`, then the proof.
+ */
+function exportHexDocument(doc, config) {
+    var settings = config.exportSettings;
+    var proofExtension = settings.proofFormat == "JPEG" ? ".jpg" : ".png";
+    var values = {
+        club: settings.club,
+        colour: config.color.name,
+        position: config.position.replace(/ Sponsor$/, ""),
+        product: config.product.name
+    };
+
+    if (!settings.folder.exists && !settings.folder.create()) {
+        throw new Error("Could not create the output folder: " + settings.folder.fsName);
+    }
+
+    // Find the first version where none of the files exist yet
+    var version = 1;
+    var baseName;
+    while (true) {
+        baseName = formatExportName(settings.namePattern, values, version);
+        if (!new File(settings.folder + "/" + baseName + ".ai").exists &&
+            !new File(settings.folder + "/" + baseName + ".pdf").exists &&
+            !new File(settings.folder + "/" + baseName + proofExtension).exists) {
+            break;
+        }
+        version++;
+    }
+
+    var aiFile = new File(settings.folder + "/" + baseName + ".ai");
+    var pdfFile = new File(settings.folder + "/" + baseName + ".pdf");
+    var proofFile = new File(settings.folder + "/" + baseName + proofExtension);
+
+    // Print PDF from the named preset
+    var pdfOptions = new PDFSaveOptions();
+    pdfOptions.pDFPreset = settings.pdfPreset;
+    if (config.product.bleedMm > 0) {
+        // Presets often have no bleed, so use the product's
+        var bleedPt = config.product.bleedMm * POINTS_PER_CM / 10;
+        pdfOptions.bleedLink = true;
+        pdfOptions.bleedOffsetRect = [bleedPt, bleedPt, bleedPt, bleedPt];
+    }
+    doc.saveAs(pdfFile, pdfOptions);
+
+    // Native Illustrator file, which the open document stays attached to
+    doc.saveAs(aiFile, new IllustratorSaveOptions());
+
+    // Customer proof of the artboard
+    var proofOptions;
+    var proofType;
+    if (settings.proofFormat == "JPEG") {
+        proofOptions = new ExportOptionsJPEG();
+        proofOptions.qualitySetting = 60;
+        proofType = ExportType.JPEG;
+    } else {
+        proofOptions = new ExportOptionsPNG24();
+        proofOptions.transparency = false;
+        proofType = ExportType.PNG24;
+    }
+    proofOptions.artBoardClipping = true;
+    proofOptions.antiAliasing = true;
+    proofOptions.horizontalScale = PROOF_SCALE_PERCENT;
+    proofOptions.verticalScale = PROOF_SCALE_PERCENT;
+    doc.exportFile(proofFile, proofType, proofOptions);
+
+    return [aiFile, pdfFile, proofFile];
+}
+
+/**
+ * Build an export file name (without extension) from a name pattern.
+ *
+ * Tokens: `{club}`, `{colour}` (or `{color}`), `{position}` (e.g. "Bottom"), `{product}` and `{n}` (the version number). Characters that aren't allowed in file names are replaced with "-". If the pattern has no `{n}`, versions after the first get "_v2", "_v3", ... appended.
+ * @param {string} pattern - The name pattern, e.g. `DEFAULT_NAME_PATTERN`.
+ * @param {{club: string, colour: string, position: string, product: string}} values - The token values.
+ * @param {number} version - The version number.
+ * @returns {string} The file name.
+ * @throws {Error} If the pattern contains an unknown token.
+ */
+function formatExportName(pattern, values, version) {
+    var name = pattern.replace(/\{([^}]*)\}/g, function (match, token) {
+        switch (token.toLowerCase()) {
+            case "club": return values.club;
+            case "colour":
+            case "color": return values.colour;
+            case "position": return values.position;
+            case "product": return values.product;
+            case "n": return String(version);
+        }
+        throw new Error("Unknown file name token " + match + ". Use {club}, {colour}, {position}, {product} or {n}.");
+    });
+
+    if (version > 1 && !/\{n\}/i.test(pattern)) {
+        name += "_v" + version;
+    }
+
+    return trimString(name.replace(/[\\\/:*?"<>|]/g, "-"));
+}
+
+/**
+ * Run the hex pipeline for every job in a CSV or JSON manifest without showing the configuration dialog.
+ *
+ * Each job names a sponsor file, a hex colour, a sponsor position and an output name. The sponsor file is opened, built into a hex document with `buildHexDocument`, saved as an Illustrator file and closed again. A failing job is recorded and the batch moves on to the next one. When every job has run, a summary of what worked and what failed is written next to the manifest.
+ */
+function runBatch() {
+    var manifestFile = File.openDialog("Select a job manifest (CSV or JSON)", "Job manifests:*.csv;*.json");
+    if (!manifestFile) {
+        return; // User cancelled
+    }
+
+    // Palette and product problems are reported in the summary rather than stopping the batch with a prompt
+    var assetsFolder = getAssetsFolder();
+    var palette = loadPalette(new File(assetsFolder + "/palette.json"));
+    var products = loadProducts(new File(assetsFolder + "/products.json"));
+    var warnings = [];
+    if (palette.warning) {
+        warnings.push(palette.warning);
+    }
+    if (products.warning) {
+        warnings.push(products.warning);
+    }
+
+    var jobs;
+    try {
+        jobs = readJobManifest(manifestFile, palette.colors, products.products);
+    } catch (e) {
+        alert("Could not read manifest: " + e.message);
+        return;
+    }
+
+    if (jobs.length === 0) {
+        alert("The manifest does not contain any jobs.");
+        return;
+    }
+
+    // Keep Illustrator's own prompts (missing fonts, colour profiles) from stopping the batch
+    var previousInteractionLevel = app.userInteractionLevel;
+    app.userInteractionLevel = UserInteractionLevel.DONTDISPLAYALERTS;
+
+    // SVG templates and shared sponsor files are opened once for the whole batch
+    var documentCache = createDocumentCache();
+    var results = [];
+    try {
+        for (var i = 0; i < jobs.length; i++) {
+            results.push(runBatchJob(jobs[i], documentCache));
+        }
+    } finally {
+        closeDocumentCache(documentCache);
+        app.userInteractionLevel = previousInteractionLevel;
+    }
+
+    var succeeded = 0;
+    for (var j = 0; j < results.length; j++) {
+        if (results[j].ok) {
+            succeeded++;
+        }
+    }
+
+    var note = warnings.join("\n");
+    var summaryFile = writeBatchSummary(manifestFile, results, note);
+
+    // Without a summary file, the failures are listed in the message instead
+    var failures = "";
+    if (!summaryFile) {
+        for (var k = 0; k < results.length; k++) {
+            if (!results[k].ok) {
+                failures += "\n" + results[k].job.label + ": " + results[k].message;
+            }
+        }
+    }
+
+    alert("Batch finished: " + succeeded + " of " + results.length + " jobs succeeded." +
+        (summaryFile ? "\nSummary: " + summaryFile.fsName : "\nThe summary could not be written next to the manifest." + (failures ? "\n\nFailed jobs:" + failures : "")) +
+        (note ? "\n\n" + note : ""));
+}
+
+/**
+ * Build and save the hex document for a single batch job.
+ *
+ * Jobs that failed validation in `readJobManifest`, whose product's SVG templates are missing, whose output file already exists or whose output folder can't be created are reported without opening anything. Jobs whose sponsor artwork has preflight blockers (see `preflightSponsors`) fail before a document is built. Documents opened or created for the job are closed again whether it succeeds or fails; a failed job is rolled back (see `rollbackRun`) and its message names the stage that failed.
+ *
+ * @param {Object} job - A job from `readJobManifest`.
+ * @param {{entries: Array.<Object>}} documentCache - Documents kept open for the whole batch (see `createDocumentCache`): the SVG templates and additional sponsor files. Each job's main sponsor file is opened and closed by the job itself.
+ * @returns {{job: Object, ok: boolean, message: string}} The outcome of the job.
+ */
+function runBatchJob(job, documentCache) {
+    if (job.error) {
+        return { job: job, ok: false, message: job.error };
+    }
+
+    var assets = getAssetFiles(job.config.product);
+    var missingAsset = findMissingAsset(assets, job.config.pattern.source == "SVG asset");
+    if (missingAsset) {
+        return { job: job, ok: false, message: missingAsset };
+    }
+
+    // Never overwrite a pad, which may have been fixed by hand since it was built
+    if (job.outputFile.exists) {
+        return { job: job, ok: false, message: "The output file already exists: " + job.outputFile.fsName + ". Move or rename it, or choose another output name, to build it again." };
+    }
+    if (!job.outputFile.parent.exists && !job.outputFile.parent.create()) {
+        return { job: job, ok: false, message: "Could not create the output folder: " + job.outputFile.parent.fsName };
+    }
+
+    var sponsorDoc = null;
+    var sponsorWasOpen = false;
+    var run = null;
+
+    try {
+        // Reuse the sponsor document if the user already has it open, and leave it open afterwards; a PDF page is always opened afresh
+        sponsorDoc = job.sponsorPage ? null : findOpenDocument(job.sponsorFile);
+        sponsorWasOpen = sponsorDoc !== null;
+        if (!sponsorDoc) {
+            sponsorDoc = openFileAtPage(job.sponsorFile, job.sponsorPage);
+        }
+
+        run = beginRun(sponsorDoc, documentCache);
+
+        // Preflight blockers fail the job; warnings are noted in the summary
+        run.stage = "checking the sponsor artwork";
+        var findings = preflightSponsors(sponsorDoc, job.config, documentCache);
+        var blockers = describeFindings(findings, "Blocker");
+        if (blockers) {
+            return { job: job, ok: false, message: "Preflight: " + blockers };
+        }
+        var warnings = describeFindings(findings, "Warning");
+
+        var result = buildHexDocument(sponsorDoc, job.config, assets, run);
+        var hexDoc = result.document;
+
+        run.stage = "saving";
+        hexDoc.saveAs(job.outputFile, new IllustratorSaveOptions());
+
+        return { job: job, ok: true, message: "Saved " + job.outputFile.fsName + " (" + describeOverlapResult(result) + "; " + describeSponsorSizes(result) + ")" +
+            (result.printPrepLog && result.printPrepLog.length > 0 ? ". Print prep: " + result.printPrepLog.join("; ") : "") +
+            (warnings ? ". Preflight warnings: " + warnings : "") };
+
+    } catch (e) {
+        if (run) {
+            rollbackRun(run);
+        }
+        return { job: job, ok: false, message: (run ? "Failed while " + run.stage + ": " : "") + e.message };
+
+    } finally {
+        // A failed job's document was closed by the rollback; a saved one is closed here
+        if (run && run.newDocument) {
+            run.newDocument.close(SaveOptions.DONOTSAVECHANGES);
+        }
+        if (sponsorDoc && !sponsorWasOpen) {
+            sponsorDoc.close(SaveOptions.DONOTSAVECHANGES);
+        }
+    }
+}
+
+/**
+ * Find an already-open document for the given file.
+ * @param {File} file - The file to look for.
+ * @returns {(Document|null)} The open document, or `null` if the file is not open.
+ */
+function findOpenDocument(file) {
+    for (var i = 0; i < app.documents.length; i++) {
+        try {
+            if (app.documents[i].fullName.fsName == file.fsName) {
+                return app.documents[i];
+            }
+        } catch (e) {
+            // Unsaved documents have no file path - skip them
+        }
+    }
+    return null;
+}
+
+/**
+ * Start a cache of the documents a run opens, so each asset or sponsor file is opened once per run (or per batch) rather than once per use.
+ * @returns {{entries: Array.<Object>}} An empty cache for `openCachedDocument`; close it with `closeDocumentCache`.
+ */
+function createDocumentCache() {
+    return { entries: [] };
+}
+
+/**
+ * Get the open document for a file, opening it on first use.
+ *
+ * A file the user already had open is used as it is and left open by `closeDocumentCache`; a cached document that has been closed in the meantime (e.g. a batch job's own sponsor file) is opened again. Opening a file makes it the active document, so callers switch back to their own document before using `app.activeDocument`.
+ * A PDF opened at a given page is cached per page, and is always opened afresh the first time, since an open document doesn't say which page it shows.
+ * @param {{entries: Array.<Object>}} cache - The cache from `createDocumentCache`.
+ * @param {File} file - The file to open.
+ * @param {(number|null)} [pdfPage] - The PDF page to open, counting from 1 (see `openFileAtPage`).
+ * @returns {Document} The open document.
+ */
+function openCachedDocument(cache, file, pdfPage) {
+    var path = file.fsName + (pdfPage ? "#" + pdfPage : "");
+    for (var i = 0; i < cache.entries.length; i++) {
+        if (cache.entries[i].path == path) {
+            try {
+                cache.entries[i].document.name; // Throws if the document has been closed since
+                return cache.entries[i].document;
+            } catch (e) {
+                cache.entries.splice(i, 1);
+                break;
+            }
+        }
+    }
+
+    var doc = pdfPage ? null : findOpenDocument(file);
+    var opened = !doc;
+    if (opened) {
+        doc = openFileAtPage(file, pdfPage);
+    }
+    cache.entries.push({ path: path, document: doc, opened: opened });
+    return doc;
+}
+
+/**
+ * Open a file, at a given page if it is a PDF with several pages.
+ * Illustrator opens one PDF page per document, chosen by the `pageToOpen` preference; it is put back afterwards.
+ * @param {File} file - The file to open.
+ * @param {(number|null)} [pdfPage] - The page to open, counting from 1; the first page if not given.
+ * @returns {Document} The new document.
+ */
+function openFileAtPage(file, pdfPage) {
+    if (!pdfPage) {
+        return app.open(file);
+    }
+    var options = app.preferences.PDFFileOptions;
+    var previousPage = options.pageToOpen;
+    options.pageToOpen = pdfPage;
+    try {
+        return app.open(file);
+    } finally {
+        options.pageToOpen = previousPage;
+    }
+}
+
+/**
+ * Close every document the cache opened, without saving; documents that were already open are left alone.
+ * A document that can't be closed (e.g. the user closed it already) is skipped, so one failure can't leave the rest open.
+ * @param {{entries: Array.<Object>}} cache - The cache from `createDocumentCache`.
+ */
+function closeDocumentCache(cache) {
+    for (var i = cache.entries.length - 1; i >= 0; i--) {
+        if (cache.entries[i].opened) {
+            try {
+                cache.entries[i].document.close(SaveOptions.DONOTSAVECHANGES);
+            } catch (e) {
+                // Already closed
+            }
+        }
+    }
+    cache.entries = [];
+}
+
+/**
+ * Copy page items into a layer, which may be in another document, without going through the clipboard.
+ *
+ * The copies keep their position on the page and their stacking order; colours and swatches they use are brought along by Illustrator.
+ * @param {Array.<PageItem>} items - The items to copy, topmost first (as in a layer's `pageItems` or a selection).
+ * @param {(Layer|GroupItem)} targetLayer - The layer or group that receives the copies, below anything already in it.
+ * @returns {Array.<PageItem>} The copies, in the same order as `items`.
+ */
+function duplicateItems(items, targetLayer) {
+    var copies = [];
+    for (var i = 0; i < items.length; i++) {
+        copies.push(items[i].duplicate(targetLayer, ElementPlacement.PLACEATEND));
+    }
+    return copies;
+}
+
+/**
+ * List the artwork in a document, topmost first: every top-level item on every layer and sublayer, leaving out guides.
+ * @param {Document} doc - The document, e.g. an opened SVG asset.
+ * @returns {Array.<PageItem>} The items.
+ */
+function getDocumentArtwork(doc) {
+    var items = [];
+
+    /**
+     * Collect the items of a list of layers, recursing into sublayers.
+     * @param {Layers} layers - The layers to search.
+     */
+    function collectLayers(layers) {
+        for (var l = 0; l < layers.length; l++) {
+            for (var i = 0; i < layers[l].pageItems.length; i++) {
+                if (!layers[l].pageItems[i].guides) {
+                    items.push(layers[l].pageItems[i]);
+                }
+            }
+            collectLayers(layers[l].layers);
+        }
+    }
+
+    collectLayers(doc.layers);
+    return items;
+}
+
+/**
+ * Read a CSV or JSON job manifest and turn each row into a batch job.
+ *
+ * CSV manifests need a header row; JSON manifests are either an array of job objects or an object with a `jobs` array. Column/key names are matched case-insensitively, ignoring spaces and underscores:
+ * - `sponsor` (or `sponsor file`, `file`): path to the sponsor artwork
+ * - `colour` (or `color`, `hex`): palette name from `loadPalette`, hex code such as `#072441`, or CMYK values such as `100 80 35 55` (see `parseColorText`)
+ * - `spot` (optional): spot colour name for a hex code or CMYK colour
+ * - `position` (or `sponsor position`): one of `SPONSOR_POSITIONS` ("Bottom", "Middle" and "Top" also accepted)
+ * - `offset` (required for "Custom"): offset of the sponsor from the top of the hex area in cm
+ * - `output` (or `output name`): output file name; `.ai` is added if missing
+ * - `clearance` (optional): clearance around the sponsor in mm, defaulting to `DEFAULT_CLEARANCE_MM`
+ * - `overlap` (optional): "Remove" (default) or "Clip" (see `OVERLAP_MODES`)
+ * - `sponsor colour` (optional): one of `SPONSOR_COLOR_MODES` (default "Original"), or a colour as for `colour`, which recolours the sponsor in that single colour
+ * - `print prep` (optional): "yes" to prepare the sponsor artwork for print (see `prepareSponsorForPrint`), default no
+ * - `product` (optional): product template name from `loadProducts`, defaulting to the first product
+ * - `pattern`, `cell size`, `wall`, `gap`, `orientation`, `area width`, `area height` (optional): hex pattern settings (see `parsePatternSettings`)
+ * - `sponsor 2`, `name 2`, `position 2`, `offset 2`, `fit width 2`, `fit height 2` (optional): an additional sponsor slot taken from a file (see `parseSponsorSlot`); further slots use 3, 4, ...
+ *
+ * Relative paths are resolved against the manifest's folder. Rows with invalid values are still returned, with an `error` describing the problem, so they show up in the batch summary.
+ *
+ * @param {File} manifestFile - The CSV or JSON manifest.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`, for colours given by name.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`.
+ * @returns {Array.<Object>} Jobs with `label`, `sponsorFile`, `config` (for `buildHexDocument`), `outputFile` and optionally `error`.
+ * @throws {Error} If the manifest cannot be read or parsed.
+ */
+function readJobManifest(manifestFile, palette, products) {
+    var manifest = readManifestRows(manifestFile);
+    var jobs = [];
+    for (var i = 0; i < manifest.rows.length; i++) {
+        jobs.push(createBatchJob(manifest.rows[i], manifest.labels[i], manifestFile.parent, palette, products));
+    }
+    return jobs;
+}
+
+/**
+ * Read the rows of a CSV or JSON job manifest (see `readJobManifest`) without checking their values.
+ * @param {File} manifestFile - The CSV or JSON manifest.
+ * @returns {{rows: Array.<Object>, labels: Array.<string>}} The raw values of each row keyed by column/key name, and a label for each row for messages (e.g. "Row 3").
+ * @throws {Error} If the manifest cannot be read or parsed.
+ */
+function readManifestRows(manifestFile) {
+    var text = readTextFile(manifestFile);
+    var rows = [];
+    var labels = [];
+    var i;
+
+    if (/\.json$/i.test(manifestFile.name)) {
+        var data = parseJSON(text);
+        if (data && !(data instanceof Array)) {
+            data = data.jobs;
+        }
+        if (!(data instanceof Array)) {
+            throw new Error("Expected an array of jobs or an object with a \"jobs\" array.");
+        }
+        for (i = 0; i < data.length; i++) {
+            rows.push(data[i]);
+            labels.push("Job " + (i + 1));
+        }
+    } else {
+        var table = parseCSV(text);
+        if (table.length === 0) {
+            return { rows: rows, labels: labels };
+        }
+        var headers = table[0];
+        for (i = 1; i < table.length; i++) {
+            var row = {};
+            for (var c = 0; c < headers.length; c++) {
+                row[headers[c]] = c < table[i].length ? table[i][c] : "";
+            }
+            rows.push(row);
+            labels.push("Row " + (i + 1));
+        }
+    }
+    return { rows: rows, labels: labels };
+}
+
+/**
+ * Validate one manifest row and convert it into a batch job.
+ * @param {Object} row - Raw manifest values keyed by column/key name.
+ * @param {string} label - Human-readable row reference used in the summary (e.g. "Row 3").
+ * @param {Folder} baseFolder - Folder that relative paths are resolved against.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`, for colours given by name.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`.
+ * @returns {Object} The job; `error` is set if the row is unusable.
+ */
+function createBatchJob(row, label, baseFolder, palette, products) {
+    var job = { label: label, config: {} };
+
+    var sponsorPath = getManifestField(row, ["sponsor", "sponsorfile", "file"]);
+    var colourText = getManifestField(row, ["colour", "color", "hexcolour", "hexcolor", "hex"]);
+    var spotName = getManifestField(row, ["spot", "spotcolour", "spotcolor"]);
+    var positionText = getManifestField(row, ["position", "sponsorposition"]);
+    var clearanceText = getManifestField(row, ["clearance", "clearancemm"]);
+    var overlapText = getManifestField(row, ["overlap", "overlapmode"]);
+    var productName = getManifestField(row, ["product"]);
+    var offsetText = getManifestField(row, ["offset", "offsetcm", "sponsoroffset"]);
+    var printPrepText = getManifestField(row, ["printprep", "prepareforprint"]);
+    var sponsorColorText = getManifestField(row, ["sponsorcolour", "sponsorcolor", "sponsorcolourmode", "sponsorcolormode"]);
+    var artboardText = getManifestField(row, ["artboard", "sponsorartboard", "page"]);
+    var lockedHiddenText = getManifestField(row, ["hiddenitems", "lockedhidden", "lockedhiddenitems"]);
+
+    if (!sponsorPath) {
+        job.error = "No sponsor file given.";
+        return job;
+    }
+    job.sponsorFile = resolveManifestPath(sponsorPath, baseFolder);
+    if (!job.sponsorFile.exists) {
+        job.error = "Sponsor file not found: " + job.sponsorFile.fsName;
+        return job;
+    }
+
+    job.config.product = productName === "" ? products[0] : findProduct(productName, products);
+    if (!job.config.product) {
+        job.error = "Unknown product: \"" + productName + "\"";
+        return job;
+    }
+
+    try {
+        job.config.color = parseColorText(colourText, spotName, palette);
+    } catch (e) {
+        job.error = "Invalid colour \"" + colourText + "\": " + e.message;
+        return job;
+    }
+
+    job.config.position = matchSponsorPosition(positionText);
+    if (!job.config.position) {
+        job.error = "Unknown sponsor position: \"" + positionText + "\"";
+        return job;
+    }
+
+    // The sponsor comes from the file's active artboard unless an artboard is named (a missing one is a preflight blocker), or for a PDF, from the given page
+    try {
+        artboardText = checkSponsorFile("Sponsor", job.sponsorFile, artboardText) || "";
+    } catch (e) {
+        job.error = e.message;
+        return job;
+    }
+    job.sponsorPage = isPDFFile(job.sponsorFile) && artboardText !== "" ? parseInt(artboardText, 10) : null;
+    job.config.sponsorSource = artboardText === "" || job.sponsorPage ? "Active artboard" : "Artboard";
+    job.config.sponsorArtboard = job.config.sponsorSource == "Artboard" ? artboardText : null;
+
+    job.config.lockedHidden = lockedHiddenText === "" ? LOCKED_HIDDEN_MODES[0] : matchOption(lockedHiddenText, LOCKED_HIDDEN_MODES);
+    if (!job.config.lockedHidden) {
+        job.error = "Unknown hidden items value: \"" + lockedHiddenText + "\" (use " + LOCKED_HIDDEN_MODES.join(" or ").toLowerCase() + ")";
+        return job;
+    }
+
+    job.config.sponsorOffsetCm = null;
+    if (job.config.position == "Custom") {
+        job.config.sponsorOffsetCm = parseNonNegativeNumber(offsetText);
+        if (job.config.sponsorOffsetCm === null) {
+            job.error = "Custom position needs an offset in cm, got: \"" + offsetText + "\"";
+            return job;
+        }
+    }
+
+    job.config.clearanceMm = clearanceText === "" ? DEFAULT_CLEARANCE_MM : parseNonNegativeNumber(clearanceText);
+    if (job.config.clearanceMm === null) {
+        job.error = "Invalid clearance: \"" + clearanceText + "\"";
+        return job;
+    }
+
+    job.config.overlapMode = overlapText === "" ? OVERLAP_MODES[0] : matchOption(overlapText, OVERLAP_MODES);
+    if (!job.config.overlapMode) {
+        job.error = "Unknown overlap mode: \"" + overlapText + "\"";
+        return job;
+    }
+
+    if (printPrepText !== "" && !/^(yes|no|true|false|y|n|1|0)$/i.test(printPrepText)) {
+        job.error = "Invalid print prep value: \"" + printPrepText + "\" (use yes or no)";
+        return job;
+    }
+    job.config.printPrep = /^(yes|true|y|1)$/i.test(printPrepText);
+
+    // A sponsor colour is either a mode name or a colour, which means "Single colour"
+    job.config.sponsorColorMode = sponsorColorText === "" ? SPONSOR_COLOR_MODES[0] : matchOption(sponsorColorText, SPONSOR_COLOR_MODES);
+    job.config.sponsorColor = null;
+    if (!job.config.sponsorColorMode) {
+        try {
+            job.config.sponsorColor = parseColorText(sponsorColorText, "", palette);
+            job.config.sponsorColorMode = "Single colour";
+        } catch (e) {
+            job.error = "Invalid sponsor colour \"" + sponsorColorText + "\": " + e.message;
+            return job;
+        }
+    }
+
+    // Fill colours are written like the hex colour
+    var fillColors = [];
+    var fillColorTexts = [getManifestField(row, ["fillcolour2", "fillcolor2"]), getManifestField(row, ["fillcolour3", "fillcolor3"])];
+    for (var f = 0; f < fillColorTexts.length; f++) {
+        if (fillColorTexts[f] !== "") {
+            try {
+                fillColors.push(parseColorText(fillColorTexts[f], "", palette));
+            } catch (e) {
+                job.error = "Invalid fill colour \"" + fillColorTexts[f] + "\": " + e.message;
+                return job;
+            }
+        }
+    }
+
+    try {
+        job.config.fill = parseFillSettings({
+            mode: getManifestField(row, ["fill", "fillmode", "hexfill"]),
+            colors: fillColors,
+            direction: getManifestField(row, ["filldirection", "alternate"]),
+            seed: getManifestField(row, ["seed", "fillseed"]),
+            bandRows: getManifestField(row, ["bandrows"])
+        });
+        job.config.fade = parseFadeSettings({
+            origin: getManifestField(row, ["fade", "fadetoward"]),
+            effect: getManifestField(row, ["fadeeffect"]),
+            curve: getManifestField(row, ["fadecurve"]),
+            length: getManifestField(row, ["fadelength", "fadelengthcm"]),
+            seed: getManifestField(row, ["fadeseed"])
+        });
+        job.config.scaling = parseScalingSettings({
+            mode: getManifestField(row, ["scaling", "scalingmode"]),
+            value: getManifestField(row, ["scale", "scalevalue"]),
+            minWidth: getManifestField(row, ["minwidth", "minwidthcm"]),
+            minHeight: getManifestField(row, ["minheight", "minheightcm"]),
+            maxWidth: getManifestField(row, ["maxwidth", "maxwidthcm"]),
+            maxHeight: getManifestField(row, ["maxheight", "maxheightcm"])
+        });
+    } catch (e) {
+        job.error = e.message;
+        return job;
+    }
+
+    try {
+        job.config.pattern = parsePatternSettings({
+            defaultArea: job.config.product.hexArea,
+            source: getManifestField(row, ["pattern", "patternsource"]),
+            cellSize: getManifestField(row, ["cellsize", "cellsizemm"]),
+            wall: getManifestField(row, ["wall", "wallmm"]),
+            gap: getManifestField(row, ["gap", "gapmm"]),
+            orientation: getManifestField(row, ["orientation"]),
+            areaWidth: getManifestField(row, ["areawidth", "areawidthcm"]),
+            areaHeight: getManifestField(row, ["areaheight", "areaheightcm"])
+        });
+    } catch (e) {
+        job.error = e.message;
+        return job;
+    }
+
+    // Additional sponsors come from numbered columns: sponsor 2, position 2, ... then sponsor 3, and so on
+    job.config.extraSponsors = [];
+    for (var n = 2; getManifestField(row, ["sponsor" + n]) !== ""; n++) {
+        try {
+            job.config.extraSponsors.push(parseSponsorSlot({
+                name: getManifestField(row, ["name" + n, "sponsorname" + n]) || "Sponsor " + n,
+                source: "File",
+                file: resolveManifestPath(getManifestField(row, ["sponsor" + n]), baseFolder),
+                artboard: getManifestField(row, ["artboard" + n, "page" + n]),
+                position: getManifestField(row, ["position" + n, "sponsorposition" + n]),
+                offset: getManifestField(row, ["offset" + n, "offsetcm" + n]),
+                fitWidth: getManifestField(row, ["fitwidth" + n, "fitwidthcm" + n]),
+                fitHeight: getManifestField(row, ["fitheight" + n, "fitheightcm" + n]),
+                product: job.config.product
+            }));
+        } catch (e) {
+            job.error = e.message;
+            return job;
+        }
+        var slotName = job.config.extraSponsors[job.config.extraSponsors.length - 1].name;
+        for (var d = 0; d < job.config.extraSponsors.length - 1; d++) {
+            if (job.config.extraSponsors[d].name.toLowerCase() == slotName.toLowerCase()) {
+                job.error = "There is already a sponsor called \"" + slotName + "\" (sponsor " + n + ")";
+                return job;
+            }
+        }
+    }
+
+    job.outputFile = getManifestOutputFile(row, baseFolder);
+
+    return job;
+}
+
+/**
+ * Work out where a manifest row's pad is saved: the `output` column, or "<sponsor> Hex" in the manifest's folder, with `.ai` added if missing.
+ * @param {Object} row - Raw manifest values keyed by column/key name.
+ * @param {Folder} baseFolder - Folder that relative paths are resolved against.
+ * @returns {(File|null)} The output file; `null` if the row gives neither an output nor a sponsor.
+ */
+function getManifestOutputFile(row, baseFolder) {
+    var outputName = getManifestField(row, ["output", "outputname", "outputfile"]);
+    if (!outputName) {
+        var sponsorPath = getManifestField(row, ["sponsor", "sponsorfile", "file"]);
+        if (!sponsorPath) {
+            return null;
+        }
+        outputName = resolveManifestPath(sponsorPath, baseFolder).name.replace(/\.[^.]*$/, "") + " Hex";
+    }
+    if (!/\.ai$/i.test(outputName)) {
+        outputName += ".ai";
+    }
+    return resolveManifestPath(outputName, baseFolder);
+}
+
+/**
+ * Turn a colour written as text into a colour definition.
+ *
+ * Accepts a palette name ("Navy"), a hex code ("#072441") or four CMYK percentages separated by commas or spaces ("100 80 35 55"). Hex codes and CMYK values go through `parseCustomColor`, so they are validated the same way as the dialog's "Custom..." entry.
+ * @param {string} text - The colour text.
+ * @param {string} [spotName] - Spot colour name for a hex or CMYK colour; ignored for palette names.
+ * @param {Array.<Object>} palette - Colour definitions from `loadPalette`.
+ * @returns {Object} The colour definition.
+ * @throws {Error} If the text is not a palette name, hex code or CMYK value list.
+ */
+function parseColorText(text, spotName, palette) {
+    var wanted = trimString(text);
+
+    for (var i = 0; i < palette.length; i++) {
+        if (palette[i].name.toLowerCase() == wanted.toLowerCase()) {
+            return palette[i];
+        }
+    }
+
+    var channels = wanted.split(/[\s,;]+/);
+    if (channels.length == 4) {
+        return parseCustomColor("", channels, spotName || "");
+    }
+    return parseCustomColor(wanted, ["", "", "", ""], spotName || "");
+}
+
+/**
+ * Look up a manifest value by any of several column names.
+ * @param {Object} row - Raw manifest values keyed by column/key name.
+ * @param {Array.<string>} names - Accepted names, lowercase with no spaces or underscores.
+ * @returns {string} The trimmed value, or an empty string if none of the names is present.
+ */
+function getManifestField(row, names) {
+    for (var key in row) {
+        var normalizedKey = trimString(key).toLowerCase().replace(/[\s_]+/g, "");
+        for (var i = 0; i < names.length; i++) {
+            if (normalizedKey == names[i] && row[key] !== null && row[key] !== undefined) {
+                return trimString(row[key]);
+            }
+        }
+    }
+    return "";
+}
+
+/**
+ * Resolve a manifest path, treating relative paths as relative to the manifest's folder.
+ * @param {string} path - Absolute or relative file path.
+ * @param {Folder} baseFolder - Folder that relative paths are resolved against.
+ * @returns {File} The resolved file.
+ */
+function resolveManifestPath(path, baseFolder) {
+    var isAbsolute = /^([\/~]|[a-z]:[\\\/]|\\\\)/i.test(path);
+    return isAbsolute ? new File(path) : new File(baseFolder.fsName + "/" + path);
+}
+
+/**
+ * Match free-form text against the supported sponsor position modes.
+ * @param {string} text - Position text such as "Middle Sponsor", "middle", "Top" or "custom".
+ * @returns {(string|null)} The matching entry from `SPONSOR_POSITIONS`, or `null` if none match.
+ */
+function matchSponsorPosition(text) {
+    var wanted = trimString(text).toLowerCase();
+    for (var i = 0; i < SPONSOR_POSITIONS.length; i++) {
+        var position = SPONSOR_POSITIONS[i].toLowerCase();
+        if (wanted == position || wanted == position.split(" ")[0]) {
+            return SPONSOR_POSITIONS[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Match free-form text case-insensitively against a list of option names.
+ * @param {string} text - The text to match, such as "clip".
+ * @param {Array.<string>} options - The accepted option names.
+ * @returns {(string|null)} The matching option, or `null` if none match.
+ */
+function matchOption(text, options) {
+    var wanted = trimString(text).toLowerCase();
+    for (var i = 0; i < options.length; i++) {
+        if (options[i].toLowerCase() == wanted) {
+            return options[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Write a plain-text summary of a batch run next to its manifest.
+ * @param {File} manifestFile - The manifest the batch was read from.
+ * @param {Array.<{job: Object, ok: boolean, message: string}>} results - Outcome of each job, in manifest order.
+ * @param {(string|null)} [note] - Extra information for the top of the summary, such as a palette warning.
+ * @returns {(File|null)} The summary file ("<manifest name>_summary.txt"), or `null` if it can't be written (e.g. the manifest's folder is read-only).
+ */
+function writeBatchSummary(manifestFile, results, note) {
+    var summaryFile = new File(manifestFile.parent.fsName + "/" + manifestFile.name.replace(/\.[^.]*$/, "") + "_summary.txt");
+
+    var succeeded = 0;
+    var lines = [];
+    for (var i = 0; i < results.length; i++) {
+        if (results[i].ok) {
+            succeeded++;
+        }
+        lines.push((results[i].ok ? "[OK]   " : "[FAIL] ") + results[i].job.label + ": " + results[i].message);
+    }
+
+    summaryFile.encoding = "UTF-8";
+    if (!summaryFile.open("w")) {
+        return null;
+    }
+    summaryFile.writeln("HexMaker batch summary");
+    summaryFile.writeln("Manifest: " + manifestFile.fsName);
+    summaryFile.writeln("Date: " + new Date().toString());
+    summaryFile.writeln("Succeeded: " + succeeded + " of " + results.length);
+    if (note) {
+        summaryFile.writeln("Note: " + note);
+    }
+    summaryFile.writeln("");
+    for (var j = 0; j < lines.length; j++) {
+        summaryFile.writeln(lines[j]);
+    }
+    summaryFile.close();
+
+    return summaryFile;
+}
+
+/**
+ * Lay hex pads out on print sheets and report how much of each sheet they use.
+ *
+ * Started from "HexMaker Impose.jsx". Loads the product templates, asks for the pads and the sheet with `showImposeDialog`, reads each pad's trim size and job settings (see `readImposedPad`), arranges them with `layoutImposition` and builds one document with an artboard per sheet. Each pad is copied onto the "Pads" layer as its own group, named after its file and carrying its job note (see `imposePad`); crop marks and job labels go on layers of their own. Each pad document is opened once and stays open until the sheets are built. If anything fails, the unfinished sheet document is closed and the error names the step that failed.
+ */
+function runImposition() {
+    // The pads' bleed comes from their products
+    var loaded = loadProducts(new File(getAssetsFolder() + "/products.json"));
+    if (loaded.warning) {
+        alert(loaded.warning);
+    }
+    var products = loaded.products;
+
+    var settings = showImposeDialog();
+    if (!settings) {
+        return; // User cancelled
+    }
+
+    var mmToPt = POINTS_PER_CM / 10;
+    var stage = "reading the pads";
+    var sheetDoc = null;
+    var documentCache = createDocumentCache();
+
+    // Keep Illustrator's own prompts (missing fonts, colour profiles) from stopping the run
+    var previousInteractionLevel = app.userInteractionLevel;
+    app.userInteractionLevel = UserInteractionLevel.DONTDISPLAYALERTS;
+    try {
+        var pads = [];
+        var skipped = settings.skipped.slice(0);
+        var seenNames = {};
+        var i;
+        for (i = 0; i < settings.files.length; i++) {
+            var pad = readImposedPad(settings.files[i], products, documentCache);
+            if (pad.error) {
+                skipped.push(settings.files[i].displayName + ": " + pad.error);
+                continue;
+            }
+
+            // Group names must tell the pads apart
+            var count = seenNames[pad.name.toLowerCase()] || 0;
+            seenNames[pad.name.toLowerCase()] = count + 1;
+            if (count > 0) {
+                pad.name += " (" + (count + 1) + ")";
+            }
+            pads.push(pad);
+        }
+        if (pads.length === 0) {
+            alert("There are no hex pads to impose." + (skipped.length > 0 ? "\n\n" + skipped.join("\n") : ""));
+            return;
+        }
+
+        stage = "laying out the sheets";
+        var sheet = {
+            widthPt: settings.sheetWidthCm * POINTS_PER_CM,
+            heightPt: settings.sheetHeightCm * POINTS_PER_CM,
+            marginPt: settings.marginMm * mmToPt,
+            gutterPt: settings.gutterMm * mmToPt,
+            rotate: settings.rotate
+        };
+        var layout = layoutImposition(pads, sheet);
+        for (i = 0; i < layout.oversized.length; i++) {
+            skipped.push(pads[layout.oversized[i]].name + ": too big for the sheet");
+        }
+        if (layout.sheets.length === 0) {
+            alert("None of the pads fit on a " + formatSizeCm(settings.sheetWidthCm, settings.sheetHeightCm) + " sheet.\n\n" + skipped.join("\n"));
+            return;
+        }
+
+        stage = "creating the sheet document";
+        var preset = new DocumentPreset();
+        preset.units = RulerUnits.Centimeters;
+        preset.width = sheet.widthPt;
+        preset.height = sheet.heightPt;
+        preset.colorMode = DocumentColorSpace.CMYK;
+        sheetDoc = app.documents.addDocument("Print", preset);
+
+        var firstRect = sheetDoc.artboards[0].artboardRect; // [left, top, right, bottom]
+        sheetDoc.artboards[0].name = "Sheet 1";
+        for (i = 1; i < layout.sheets.length; i++) {
+            var shift = i * (sheet.widthPt + SHEET_SPACING_CM * POINTS_PER_CM);
+            sheetDoc.artboards.add([firstRect[0] + shift, firstRect[1], firstRect[2] + shift, firstRect[3]]).name = "Sheet " + (i + 1);
+        }
+
+        var padsLayer = sheetDoc.layers[0];
+        padsLayer.name = "Pads";
+        var marksLayer = null;
+        if (settings.cropMarks) {
+            marksLayer = sheetDoc.layers.add();
+            marksLayer.name = "Crop Marks";
+        }
+        var labelsLayer = null;
+        if (settings.labels) {
+            labelsLayer = sheetDoc.layers.add();
+            labelsLayer.name = "Labels";
+        }
+
+        var sheetArea = settings.sheetWidthCm * settings.sheetHeightCm;
+        var usage = [];
+        for (var n = 0; n < layout.sheets.length; n++) {
+            stage = "placing the pads on sheet " + (n + 1);
+            var sheetRect = sheetDoc.artboards[n].artboardRect;
+            var trims = [];
+            var bleeds = [];
+            var padArea = 0;
+            for (i = 0; i < layout.sheets[n].length; i++) {
+                var placement = layout.sheets[n][i];
+                var placed = pads[placement.index];
+                var left = sheetRect[0] + sheet.marginPt + placement.x;
+                var top = sheetRect[1] - sheet.marginPt - placement.y;
+                imposePad(sheetDoc, padsLayer, placed, left, top, placement.rotated, documentCache);
+
+                var width = placement.rotated ? placed.heightPt : placed.widthPt;
+                var height = placement.rotated ? placed.widthPt : placed.heightPt;
+                trims.push([left, top, left + width, top - height]);
+                bleeds.push(placed.bleedPt);
+                padArea += placed.widthPt * placed.heightPt / (POINTS_PER_CM * POINTS_PER_CM);
+
+                if (labelsLayer) {
+                    addPadLabel(sheetDoc, labelsLayer, placed, trims[i], Math.max(CROP_MARK_OFFSET_MM * mmToPt, placed.bleedPt));
+                }
+            }
+
+            if (marksLayer) {
+                stage = "adding the crop marks to sheet " + (n + 1);
+                drawCropMarks(sheetDoc, marksLayer, getSheetCropMarks(trims, bleeds, sheetRect, CROP_MARK_OFFSET_MM * mmToPt, CROP_MARK_LENGTH_MM * mmToPt));
+            }
+            usage.push({ pads: layout.sheets[n].length, usedPercent: padArea / sheetArea * 100 });
+        }
+        if (marksLayer) {
+            marksLayer.locked = true;
+        }
+        if (labelsLayer) {
+            labelsLayer.locked = true;
+        }
+
+        sheetDoc.selection = null;
+        alert(describeImposition({ sheetWidthCm: settings.sheetWidthCm, sheetHeightCm: settings.sheetHeightCm, sheets: usage, skipped: skipped }));
+
+    } catch (e) {
+        if (sheetDoc) {
+            try {
+                sheetDoc.close(SaveOptions.DONOTSAVECHANGES);
+            } catch (closeError) {
+                // Already closed
+            }
+        }
+        alert("Error while " + stage + ": " + e.message + "\nLine: " + e.line);
+    } finally {
+        closeDocumentCache(documentCache);
+        if (sheetDoc) {
+            try {
+                sheetDoc.activate();
+            } catch (activateError) {
+                // Closed after a failure
+            }
+        }
+        app.userInteractionLevel = previousInteractionLevel;
+    }
+}
+
+/**
+ * Presents the imposition dialog: where the pads come from, the sheet size, margin and gutter, and whether to rotate pads, add crop marks and label the pads.
+ *
+ * "Hex documents" picks any number of `.ai` files; "Batch manifest" takes the files a batch manifest saved (see `getManifestPads`). The values are validated with `parseImpositionSettings` when OK is clicked; invalid input is reported and the dialog stays open.
+ * @returns {({files: Array.<File>, skipped: Array.<string>, sheetWidthCm: number, sheetHeightCm: number, marginMm: number, gutterMm: number, rotate: boolean, cropMarks: boolean, labels: boolean}|null)} The pad files, the manifest rows that have no saved pad yet, and the settings; `null` if the user cancels.
+ */
+function showImposeDialog() {
+    var i;
+    var files = [];
+    var skipped = [];
+
+    var dialog = new Window("dialog", "Impose Hex Pads");
+    dialog.orientation = "column";
+    dialog.alignChildren = ["fill", "top"];
+
+    // Pads: chosen documents, or the output of a batch manifest
+    var sourceGroup = dialog.add("group");
+    sourceGroup.orientation = "row";
+    var sourceLabel = sourceGroup.add("statictext", undefined, "Pads:");
+    sourceLabel.preferredSize.width = 120;
+
+    var sourceDropdown = sourceGroup.add("dropdownlist", undefined, IMPOSE_SOURCES);
+    sourceDropdown.selection = 0; // Default to Hex documents
+    sourceDropdown.preferredSize.width = 140;
+    var chooseButton = sourceGroup.add("button", undefined, "Choose...");
+
+    var padsInfo = dialog.add("statictext", undefined, "No pads chosen yet.");
+    padsInfo.preferredSize.width = 360;
+
+    sourceDropdown.onChange = function () {
+        files = [];
+        skipped = [];
+        padsInfo.text = "No pads chosen yet.";
+    };
+
+    chooseButton.onClick = function () {
+        if (sourceDropdown.selection.text == "Batch manifest") {
+            var manifestFile = File.openDialog("Select the job manifest the pads were built from", "Job manifests:*.csv;*.json");
+            if (!manifestFile) {
+                return;
+            }
+            var manifestPads;
+            try {
+                manifestPads = getManifestPads(manifestFile);
+            } catch (e) {
+                alert("Could not read manifest: " + e.message);
+                return;
+            }
+            files = manifestPads.files;
+            skipped = manifestPads.skipped;
+            padsInfo.text = manifestFile.displayName + ": " + files.length + " pad(s) built" + (skipped.length > 0 ? ", " + skipped.length + " not built" : "");
+        } else {
+            var chosen = File.openDialog("Select the hex documents to impose", "Illustrator files:*.ai", true);
+            if (!chosen) {
+                return;
+            }
+            files = chosen instanceof Array ? chosen : [chosen];
+            skipped = [];
+            padsInfo.text = files.length + " hex document(s) chosen";
+        }
+    };
+
+    // Sheet size: a preset, or any size for "Custom"
+    var sheetNames = [];
+    for (i = 0; i < SHEET_SIZES.length; i++) {
+        sheetNames.push(SHEET_SIZES[i].name + " (" + formatSizeCm(SHEET_SIZES[i].widthCm, SHEET_SIZES[i].heightCm) + ")");
+    }
+    sheetNames.push("Custom");
+
+    var sheetGroup = dialog.add("group");
+    sheetGroup.orientation = "row";
+    var sheetLabel = sheetGroup.add("statictext", undefined, "Sheet Size:");
+    sheetLabel.preferredSize.width = 120;
+
+    var sheetDropdown = sheetGroup.add("dropdownlist", undefined, sheetNames);
+    sheetDropdown.selection = 1; // Default to SRA2
+    sheetDropdown.preferredSize.width = 160;
+
+    var sheetSizeGroup = dialog.add("group");
+    sheetSizeGroup.orientation = "row";
+    var sheetSizeLabel = sheetSizeGroup.add("statictext", undefined, "Width × Height (cm):");
+    sheetSizeLabel.preferredSize.width = 120;
+    var sheetWidthInput = sheetSizeGroup.add("edittext", undefined, "");
+    sheetWidthInput.characters = 6;
+    sheetSizeGroup.add("statictext", undefined, "×");
+    var sheetHeightInput = sheetSizeGroup.add("edittext", undefined, "");
+    sheetHeightInput.characters = 6;
+
+    sheetDropdown.onChange = function () {
+        var index = sheetDropdown.selection.index;
+        if (index < SHEET_SIZES.length) {
+            sheetWidthInput.text = String(SHEET_SIZES[index].widthCm);
+            sheetHeightInput.text = String(SHEET_SIZES[index].heightCm);
+        }
+        sheetSizeGroup.enabled = index == SHEET_SIZES.length;
+    };
+    sheetDropdown.onChange();
+
+    var marginGroup = dialog.add("group");
+    marginGroup.orientation = "row";
+    var marginLabel = marginGroup.add("statictext", undefined, "Margin (mm):");
+    marginLabel.preferredSize.width = 120;
+    var marginInput = marginGroup.add("edittext", undefined, String(DEFAULT_SHEET_MARGIN_MM));
+    marginInput.characters = 6;
+
+    var gutterGroup = dialog.add("group");
+    gutterGroup.orientation = "row";
+    var gutterLabel = gutterGroup.add("statictext", undefined, "Gutter (mm):");
+    gutterLabel.preferredSize.width = 120;
+    var gutterInput = gutterGroup.add("edittext", undefined, String(DEFAULT_GUTTER_MM));
+    gutterInput.characters = 6;
+
+    var rotateCheckbox = dialog.add("checkbox", undefined, "Rotate pads where more fit");
+    rotateCheckbox.value = true;
+    var cropMarksCheckbox = dialog.add("checkbox", undefined, "Add crop marks");
+    cropMarksCheckbox.value = true;
+    var labelsCheckbox = dialog.add("checkbox", undefined, "Label each pad with its job");
+    labelsCheckbox.value = true;
+
+    /**
+     * Read the sheet settings from the dialog.
+     * @returns {Object} The validated settings (see `parseImpositionSettings`).
+     * @throws {Error} If a field is invalid.
+     */
+    function readImpositionSettings() {
+        return parseImpositionSettings({
+            sheetWidth: sheetWidthInput.text,
+            sheetHeight: sheetHeightInput.text,
+            margin: marginInput.text,
+            gutter: gutterInput.text
+        });
+    }
+
+    // Add buttons
+    var buttonGroup = dialog.add("group");
+    buttonGroup.orientation = "row";
+    buttonGroup.alignment = "center";
+
+    var okButton = buttonGroup.add("button", undefined, "OK", {name: "ok"});
+    var cancelButton = buttonGroup.add("button", undefined, "Cancel", {name: "cancel"});
+
+    // Check the choices before closing
+    okButton.onClick = function () {
+        if (files.length === 0) {
+            alert("Choose the pads to impose first.");
+            return;
+        }
+        try {
+            readImpositionSettings();
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        dialog.close(1);
+    };
+
+    if (dialog.show() != 1) {
+        return null;
+    }
+
+    var settings = readImpositionSettings();
+    settings.files = files;
+    settings.skipped = skipped;
+    settings.rotate = rotateCheckbox.value;
+    settings.cropMarks = cropMarksCheckbox.value;
+    settings.labels = labelsCheckbox.value;
+    return settings;
+}
+
+/**
+ * Validate the imposition sheet settings given as text.
+ * @param {{sheetWidth: string, sheetHeight: string, margin: string, gutter: string}} fields - The sheet size in cm and the margin and gutter in mm.
+ * @returns {{sheetWidthCm: number, sheetHeightCm: number, marginMm: number, gutterMm: number}} The settings.
+ * @throws {Error} Describing the first invalid field.
+ */
+function parseImpositionSettings(fields) {
+    var settings = {
+        sheetWidthCm: parseNonNegativeNumber(fields.sheetWidth),
+        sheetHeightCm: parseNonNegativeNumber(fields.sheetHeight),
+        marginMm: parseNonNegativeNumber(fields.margin),
+        gutterMm: parseNonNegativeNumber(fields.gutter)
+    };
+
+    if (!settings.sheetWidthCm || !settings.sheetHeightCm) {
+        throw new Error("The sheet width and height must be numbers of centimetres, more than 0.");
+    }
+    if (settings.marginMm === null) {
+        throw new Error("Margin must be a number of millimetres, 0 or more.");
+    }
+    if (settings.gutterMm === null) {
+        throw new Error("Gutter must be a number of millimetres, 0 or more.");
+    }
+    if (settings.marginMm * 2 >= Math.min(settings.sheetWidthCm, settings.sheetHeightCm) * 10) {
+        throw new Error("The margin leaves no room on the sheet.");
+    }
+
+    return settings;
+}
+
+/**
+ * Find the pads a batch manifest saved, for imposing a whole batch.
+ *
+ * Only each row's output file is looked at (see `getManifestOutputFile`); the build settings aren't checked again, so a pad is still imposed after its sponsor file has moved or its colour has left the palette.
+ * @param {File} manifestFile - The CSV or JSON manifest (see `readJobManifest`).
+ * @returns {{files: Array.<File>, skipped: Array.<string>}} The output files that exist, and a line for each row that has no saved pad.
+ * @throws {Error} If the manifest cannot be read or parsed.
+ */
+function getManifestPads(manifestFile) {
+    var manifest = readManifestRows(manifestFile);
+    var pads = { files: [], skipped: [] };
+    for (var i = 0; i < manifest.rows.length; i++) {
+        var outputFile = getManifestOutputFile(manifest.rows[i], manifestFile.parent);
+        if (!outputFile) {
+            pads.skipped.push(manifest.labels[i] + ": no output or sponsor file given");
+        } else if (!outputFile.exists) {
+            pads.skipped.push(manifest.labels[i] + ": not built yet (" + outputFile.fsName + ")");
+        } else {
+            pads.files.push(outputFile);
+        }
+    }
+    return pads;
+}
+
+/**
+ * Read a hex document's trim size, bleed and job settings.
+ * @param {File} file - A document built by `buildHexDocument`.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`; a pad whose job record has no `bleedMm` (one built before it was recorded) takes its product's bleed.
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the imposition (see `createDocumentCache`); the pad stays open in it for `imposePad`.
+ * @returns {{file: File, name: string, job: Object, widthPt: number, heightPt: number, bleedPt: number, error: (string|undefined)}} The pad, named after its file, with the size of its first artboard; `error` is set if the file isn't a HexMaker document or its bleed is unknown.
+ */
+function readImposedPad(file, products, documentCache) {
+    var pad = { file: file, name: file.displayName.replace(/\.[^.]*$/, "") };
+    var doc = openCachedDocument(documentCache, file);
+    var parts = findHexDocumentParts(doc);
+    if (!parts) {
+        pad.error = "not a HexMaker document";
+        return pad;
+    }
+    var bleedMm = parts.job.bleedMm;
+    if (typeof bleedMm != "number") {
+        var product = findProduct(parts.job.product, products);
+        if (!product) {
+            pad.error = "no bleed recorded, and its product \"" + parts.job.product + "\" is no longer in products.json";
+            return pad;
+        }
+        bleedMm = product.bleedMm;
+    }
+    var trim = doc.artboards[0].artboardRect; // [left, top, right, bottom]
+    pad.job = parts.job;
+    pad.widthPt = trim[2] - trim[0];
+    pad.heightPt = trim[1] - trim[3];
+    pad.bleedPt = bleedMm * POINTS_PER_CM / 10;
+    return pad;
+}
+
+/**
+ * Arrange pads on as many sheets as they need.
+ *
+ * Each pad takes up its trim plus its bleed on every side, so neighbours' bleeds never overlap a trim. Pads go in rows from the top of the sheet, largest first, `gutterPt` apart from bleed edge to bleed edge. Each row is as tall as its first pad, and takes every later pad that fits beside it. When rotation is allowed, each new row is tried both ways and the one that covers the most area for its height wins, so e.g. a strip left below upright pads can still take rotated ones. Pads that don't fit on an empty sheet either way are left out.
+ * @param {Array.<{widthPt: number, heightPt: number, bleedPt: number}>} pads - The pads' trim sizes and bleeds.
+ * @param {{widthPt: number, heightPt: number, marginPt: number, gutterPt: number, rotate: boolean}} sheet - The sheet size, the margin kept clear around its edge, the gutter between pads, and whether pads may be turned 90°.
+ * @returns {{sheets: Array.<Array.<{index: number, x: number, y: number, rotated: boolean}>>, oversized: Array.<number>}} For each sheet, where each pad's trim goes (its index in `pads`, and the top-left corner in points from the top-left of the area inside the margin, measured right and down), and the indexes of the pads too big for the sheet.
+ */
+function layoutImposition(pads, sheet) {
+    var usableWidth = sheet.widthPt - 2 * sheet.marginPt;
+    var usableHeight = sheet.heightPt - 2 * sheet.marginPt;
+    var tolerance = 0.01; // Rounding in the sizes shouldn't lose a pad
+    var i;
+
+    /**
+     * Check whether a pad fits into a space.
+     * @param {number} index - The pad's index.
+     * @param {boolean} rotated - Whether the pad is turned 90°.
+     * @param {number} width - Width of the space in points.
+     * @param {number} height - Height of the space in points.
+     * @returns {boolean} `true` if it fits.
+     */
+    function fits(index, rotated, width, height) {
+        return footprintWidth(index, rotated) <= width + tolerance && footprintHeight(index, rotated) <= height + tolerance;
+    }
+
+    /**
+     * Width a pad takes up on the sheet, trim plus bleed.
+     * @param {number} index - The pad's index.
+     * @param {boolean} rotated - Whether the pad is turned 90°.
+     * @returns {number} The width in points.
+     */
+    function footprintWidth(index, rotated) {
+        return (rotated ? pads[index].heightPt : pads[index].widthPt) + 2 * (pads[index].bleedPt || 0);
+    }
+
+    /**
+     * Height a pad takes up on the sheet, trim plus bleed.
+     * @param {number} index - The pad's index.
+     * @param {boolean} rotated - Whether the pad is turned 90°.
+     * @returns {number} The height in points.
+     */
+    function footprintHeight(index, rotated) {
+        return (rotated ? pads[index].widthPt : pads[index].heightPt) + 2 * (pads[index].bleedPt || 0);
+    }
+
+    var remaining = [];
+    var oversized = [];
+    for (i = 0; i < pads.length; i++) {
+        if (fits(i, false, usableWidth, usableHeight) || (sheet.rotate && fits(i, true, usableWidth, usableHeight))) {
+            remaining.push(i);
+        } else {
+            oversized.push(i);
+        }
+    }
+    remaining.sort(function (a, b) {
+        return (pads[b].widthPt * pads[b].heightPt - pads[a].widthPt * pads[a].heightPt) || (a - b);
+    });
+
+    /**
+     * Fill one row with the remaining pads, all turned the same way.
+     * @param {boolean} rotated - Whether the pads are turned 90°.
+     * @param {number} heightLeft - Height left on the sheet in points.
+     * @returns {{height: number, area: number, placements: Array.<Object>}} The row's height, the pad area it covers, and its pads; no pads if none fit.
+     */
+    function buildRow(rotated, heightLeft) {
+        var row = { height: 0, area: 0, placements: [] };
+        var x = 0;
+        for (var n = 0; n < remaining.length; n++) {
+            var index = remaining[n];
+            if (row.placements.length === 0) {
+                if (!fits(index, rotated, usableWidth, heightLeft)) {
+                    continue;
+                }
+                row.height = footprintHeight(index, rotated);
+            } else if (!fits(index, rotated, usableWidth - x, row.height)) {
+                continue;
+            }
+            row.placements.push({ index: index, x: x + (pads[index].bleedPt || 0), y: 0, rotated: rotated });
+            row.area += pads[index].widthPt * pads[index].heightPt;
+            x += footprintWidth(index, rotated) + sheet.gutterPt;
+        }
+        return row;
+    }
+
+    var sheets = [];
+    while (remaining.length > 0) {
+        var placements = [];
+        var y = 0;
+        while (true) {
+            var best = null;
+            for (var turn = 0; turn < (sheet.rotate ? 2 : 1); turn++) {
+                var row = buildRow(turn == 1, usableHeight - y);
+                if (row.placements.length > 0 && (!best || row.area / row.height > best.area / best.height + tolerance)) {
+                    best = row;
+                }
+            }
+            if (!best) {
+                break;
+            }
+            for (i = 0; i < best.placements.length; i++) {
+                best.placements[i].y = y + (pads[best.placements[i].index].bleedPt || 0);
+                placements.push(best.placements[i]);
+                for (var r = 0; r < remaining.length; r++) {
+                    if (remaining[r] == best.placements[i].index) {
+                        remaining.splice(r, 1);
+                        break;
+                    }
+                }
+            }
+            y += best.height + sheet.gutterPt;
+        }
+        sheets.push(placements);
+    }
+
+    return { sheets: sheets, oversized: oversized };
+}
+
+/**
+ * Copy a pad's artwork onto the sheet as one group, with the pad's trim at the given top-left corner.
+ *
+ * The group is named after the pad and carries its job note (see `formatJobNote`), so it can be traced back to its order. A rotated pad is turned 90° clockwise.
+ * @param {Document} sheetDoc - The sheet document.
+ * @param {Layer} layer - The layer that receives the group.
+ * @param {Object} pad - The pad from `readImposedPad`.
+ * @param {number} left - Where the left edge of the pad's trim goes, in points.
+ * @param {number} top - Where the top edge of the pad's trim goes, in points.
+ * @param {boolean} rotated - Whether to turn the pad.
+ * @param {{entries: Array.<Object>}} documentCache - Documents opened during the imposition (see `createDocumentCache`).
+ * @returns {GroupItem} The pad's group.
+ */
+function imposePad(sheetDoc, layer, pad, left, top, rotated, documentCache) {
+    var padDoc = openCachedDocument(documentCache, pad.file);
+    var group = copyPadArtwork(padDoc, sheetDoc, layer, left, top, rotated);
+    group.name = pad.name;
+    group.note = formatJobNote(pad.job);
+    return group;
+}
+
+/**
+ * Copy all of a pad document's artwork into one group in another document, with the pad's trim (its first artboard) at the given top-left corner.
+ *
+ * Guides are left behind (see `getDocumentArtwork`). A rotated pad is turned 90° clockwise.
+ * @param {Document} padDoc - The pad document.
+ * @param {Document} targetDoc - The document that receives the copy; it is left active.
+ * @param {Layer} layer - The layer in `targetDoc` that receives the group.
+ * @param {number} left - Where the left edge of the pad's trim goes, in points.
+ * @param {number} top - Where the top edge of the pad's trim goes, in points.
+ * @param {boolean} rotated - Whether to turn the pad.
+ * @returns {GroupItem} The new group.
+ */
+function copyPadArtwork(padDoc, targetDoc, layer, left, top, rotated) {
+    var trim = padDoc.artboards[0].artboardRect; // [left, top, right, bottom]
+    var items = getDocumentArtwork(padDoc);
+    var artBounds = getItemsBounds(items);
+
+    // How far the artwork reaches past the trim on each side (into the bleed), so the trim can be found again after the copy
+    var overhang = [trim[0] - artBounds[0], artBounds[1] - trim[1], artBounds[2] - trim[2], trim[3] - artBounds[3]];
+
+    targetDoc.activate();
+    var group = layer.groupItems.add();
+    duplicateItems(items, group);
+
+    if (rotated) {
+        group.rotate(-90); // The pad's left side ends up at the top
+        overhang = [overhang[3], overhang[0], overhang[1], overhang[2]];
+    }
+    var bounds = group.geometricBounds;
+    group.translate(left - (bounds[0] + overhang[0]), top - (bounds[1] - overhang[1]));
+    return group;
+}
+
+/**
+ * Turn a built pad into a colour proof: a new document with one artboard per colour, each holding a copy of the pad in that colour with a label underneath.
+ *
+ * Each colourway is rebuilt in the pad as a re-edit would (see `editHexDocument`): the full pattern is restored from the stored settings, filled with the colour in the hex colour's place, faded and cut around the sponsors again, so fills that depend on a cell's place in the grid match the pad that colour would get. The sponsors stay exactly where they are on every artboard; those made with "Auto-contrast" follow the colour. Each artboard is the pad's trim plus a `PROOF_LABEL_HEIGHT_CM` strip for the label, which gives the colour's name and print values (see `describeColor`). Artboards are laid out `PROOF_COLUMNS` to a row and named after their colours. If anything fails, the proof document is closed again.
+ * @param {Document} padDoc - A document built by `buildHexDocument`; it is left rebuilt in the last colour.
+ * @param {Array.<Object>} colors - The colour definitions to proof (see `loadPalette`), in artboard order.
+ * @param {Array.<Object>} products - Product templates from `loadProducts`, for rebuilding the pattern.
+ * @param {{stage: string}} run - The run record (see `beginRun`); `stage` is kept up to date, so an error can say which step failed.
+ * @returns {Document} The proof document.
+ * @throws {Error} If the pad isn't a HexMaker document, or the proof can't be built.
+ */
+function buildColorProof(padDoc, colors, products, run) {
+    var parts = findHexDocumentParts(padDoc);
+    if (!parts) {
+        throw new Error("The pad's groups or job settings are missing.");
+    }
+
+    var trim = padDoc.artboards[0].artboardRect; // [left, top, right, bottom]
+    var padWidth = trim[2] - trim[0];
+    var padHeight = trim[1] - trim[3];
+    var labelHeight = PROOF_LABEL_HEIGHT_CM * POINTS_PER_CM;
+    var spacing = PROOF_SPACING_CM * POINTS_PER_CM;
+
+    var preset = new DocumentPreset();
+    preset.units = RulerUnits.Centimeters;
+    preset.width = padWidth;
+    preset.height = padHeight + labelHeight;
+    preset.colorMode = DocumentColorSpace.CMYK;
+    var proofDoc = app.documents.addDocument("Print", preset);
+
+    try {
+        var firstRect = proofDoc.artboards[0].artboardRect;
+        var artworkLayer = proofDoc.layers[0];
+        artworkLayer.name = "Artwork";
+        var labelsLayer = proofDoc.layers.add();
+        labelsLayer.name = "Labels";
+
+        for (var i = 0; i < colors.length; i++) {
+            var column = i % PROOF_COLUMNS;
+            var row = Math.floor(i / PROOF_COLUMNS);
+            var left = firstRect[0] + column * (padWidth + spacing);
+            var top = firstRect[1] - row * (padHeight + labelHeight + spacing);
+            var artboard = i === 0 ? proofDoc.artboards[0] : proofDoc.artboards.add([left, top, left + padWidth, top - padHeight - labelHeight]);
+            artboard.name = colors[i].name;
+
+            // Rebuild the pad in this colour, then copy it; the edit replaces the Hex group, so the parts are found again
+            padDoc.activate();
+            var mainSlot = parts.job.sponsors[0];
+            editHexDocument(padDoc, parts, {
+                color: colors[i],
+                position: mainSlot.position,
+                sponsorOffsetCm: mainSlot.offsetCm,
+                clearanceMm: parts.job.clearanceMm,
+                overlapMode: parts.job.overlapMode
+            }, products, run);
+            parts = findHexDocumentParts(padDoc);
+
+            run.stage = "copying the " + colors[i].name + " colourway";
+            var group = copyPadArtwork(padDoc, proofDoc, artworkLayer, left, top, false);
+            group.name = colors[i].name;
+            group.note = formatJobNote(parts.job);
+
+            var label = labelsLayer.textFrames.add();
+            label.contents = colors[i].name + " - " + describeColor(colors[i]);
+            label.textRange.characterAttributes.size = 10;
+            label.textRange.characterAttributes.fillColor = createDocumentColor(proofDoc, { cmyk: [0, 0, 0, 100] });
+            label.left = left;
+            label.top = top - padHeight - labelHeight / 3;
+        }
+
+        labelsLayer.locked = true;
+        proofDoc.selection = null;
+        return proofDoc;
+
+    } catch (e) {
+        proofDoc.close(SaveOptions.DONOTSAVECHANGES);
+        throw e;
+    }
+}
+
+/**
+ * Save a colour proof as one PDF with a page per artboard.
+ *
+ * With export switched on, the PDF goes into the output folder, named from the name pattern with "All Colours" as the colour and the first version number that isn't taken yet (see `formatExportName`), using the chosen PDF preset. Otherwise the user is asked where to save it, and `DEFAULT_PDF_PRESET` is used.
+ * @param {Document} doc - The proof from `buildColorProof`.
+ * @param {Object} config - The job settings from `showConfigDialog`.
+ * @returns {(File|null)} The saved PDF, or `null` if the user cancelled.
+ * @throws {Error} If the output folder can't be created or the PDF can't be saved.
+ */
+function saveColorProof(doc, config) {
+    var settings = config.exportSettings;
+    var pdfFile;
+    if (settings) {
+        if (!settings.folder.exists && !settings.folder.create()) {
+            throw new Error("Could not create the output folder: " + settings.folder.fsName);
+        }
+        var values = {
+            club: settings.club,
+            colour: "All Colours",
+            position: config.position.replace(/ Sponsor$/, ""),
+            product: config.product.name
+        };
+        var version = 1;
+        do {
+            pdfFile = new File(settings.folder + "/" + formatExportName(settings.namePattern, values, version) + ".pdf");
+            version++;
+        } while (pdfFile.exists);
+    } else {
+        pdfFile = new File(Folder.desktop + "/Colour Proof.pdf").saveDlg("Save the colour proof as a PDF", "PDF files:*.pdf");
+        if (!pdfFile) {
+            return null; // User cancelled
+        }
+    }
+
+    var pdfOptions = new PDFSaveOptions();
+    pdfOptions.pDFPreset = settings ? settings.pdfPreset : DEFAULT_PDF_PRESET;
+    pdfOptions.artboardRange = "1-" + doc.artboards.length;
+    doc.saveAs(pdfFile, pdfOptions);
+    return pdfFile;
+}
+
+/**
+ * Work out the crop marks for the pads on one sheet.
+ *
+ * Each trim corner gets a horizontal and a vertical mark in line with the trim edges, starting `offsetPt` (or the pad's bleed, if wider) outside the trim. A mark that would print on another pad's bleed area, or run off the sheet, is left out.
+ * @param {Array.<Array.<number>>} trims - Each pad's trim as `[left, top, right, bottom]`.
+ * @param {Array.<number>} bleeds - Each pad's bleed in points.
+ * @param {Array.<number>} sheetRect - The sheet's artboard as `[left, top, right, bottom]`.
+ * @param {number} offsetPt - Gap between the trim and a mark.
+ * @param {number} lengthPt - Length of a mark.
+ * @returns {Array.<Array.<Array.<number>>>} The marks, each as two `[x, y]` end points.
+ */
+function getSheetCropMarks(trims, bleeds, sheetRect, offsetPt, lengthPt) {
+    var bleedBoxes = [];
+    var i;
+    for (i = 0; i < trims.length; i++) {
+        bleedBoxes.push([trims[i][0] - bleeds[i], trims[i][1] + bleeds[i], trims[i][2] + bleeds[i], trims[i][3] - bleeds[i]]);
+    }
+
+    var marks = [];
+    for (i = 0; i < trims.length; i++) {
+        var gap = Math.max(offsetPt, bleeds[i]);
+        var corners = [[trims[i][0], trims[i][1], -1, 1], [trims[i][2], trims[i][1], 1, 1], [trims[i][0], trims[i][3], -1, -1], [trims[i][2], trims[i][3], 1, -1]];
+        for (var c = 0; c < corners.length; c++) {
+            var x = corners[c][0];
+            var y = corners[c][1];
+            var outX = corners[c][2];
+            var outY = corners[c][3];
+            var candidates = [
+                [[x + outX * gap, y], [x + outX * (gap + lengthPt), y]],
+                [[x, y + outY * gap], [x, y + outY * (gap + lengthPt)]]
+            ];
+            for (var m = 0; m < candidates.length; m++) {
+                var mark = candidates[m];
+                var markBounds = [Math.min(mark[0][0], mark[1][0]), Math.max(mark[0][1], mark[1][1]), Math.max(mark[0][0], mark[1][0]), Math.min(mark[0][1], mark[1][1])];
+                var clear = markBounds[0] >= sheetRect[0] && markBounds[2] <= sheetRect[2] && markBounds[1] <= sheetRect[1] && markBounds[3] >= sheetRect[3];
+                for (var b = 0; clear && b < bleedBoxes.length; b++) {
+                    if (b != i && boundsIntersect(markBounds, bleedBoxes[b])) {
+                        clear = false;
+                    }
+                }
+                if (clear) {
+                    marks.push(mark);
+                }
+            }
+        }
+    }
+    return marks;
+}
+
+/**
+ * Draw crop marks as 0.25pt lines in the registration colour, so they print on every separation.
+ * @param {Document} doc - The sheet document.
+ * @param {Layer} layer - The layer that receives the marks.
+ * @param {Array.<Array.<Array.<number>>>} marks - The marks from `getSheetCropMarks`.
+ */
+function drawCropMarks(doc, layer, marks) {
+    var registration;
+    try {
+        registration = doc.swatches.getByName("[Registration]").color;
+    } catch (e) {
+        // The swatch has another name in some languages; full CMYK prints on every plate too
+        registration = createDocumentColor(doc, { cmyk: [100, 100, 100, 100] });
+    }
+
+    for (var i = 0; i < marks.length; i++) {
+        var line = layer.pathItems.add();
+        line.setEntirePath(marks[i]);
+        line.filled = false;
+        line.stroked = true;
+        line.strokeColor = registration;
+        line.strokeWidth = 0.25;
+    }
+}
+
+/**
+ * Label a pad on the sheet with its name, product and hex colour, in 6pt type below its bottom-left corner.
+ * @param {Document} doc - The sheet document.
+ * @param {Layer} layer - The layer that receives the label.
+ * @param {Object} pad - The pad from `readImposedPad`.
+ * @param {Array.<number>} trim - The pad's trim on the sheet, as `[left, top, right, bottom]`.
+ * @param {number} gapPt - Distance below the trim, clear of the pad's bleed.
+ * @returns {TextFrame} The label.
+ */
+function addPadLabel(doc, layer, pad, trim, gapPt) {
+    var label = layer.textFrames.add();
+    label.contents = pad.name + " - " + pad.job.product + ", " + pad.job.color.name;
+    label.textRange.characterAttributes.size = 6;
+    label.textRange.characterAttributes.fillColor = createDocumentColor(doc, { cmyk: [0, 0, 0, 100] });
+    label.left = trim[0] + gapPt; // Clear of the vertical crop mark on the trim line
+    label.top = trim[3] - gapPt;
+    return label;
+}
+
+/**
+ * Describe an imposition for the closing message, e.g. "Imposed 5 pads on 1 sheet of 45 × 64cm.\nSheet 1: 5 pads, 76.7% used".
+ * @param {{sheetWidthCm: number, sheetHeightCm: number, sheets: Array.<{pads: number, usedPercent: number}>, skipped: Array.<string>}} report - The sheet size, each sheet's pad count and the share of its area the pads' trims cover, and the pads that were left out.
+ * @returns {string} The description.
+ */
+function describeImposition(report) {
+    var total = 0;
+    var used = 0;
+    var lines = [];
+    for (var i = 0; i < report.sheets.length; i++) {
+        total += report.sheets[i].pads;
+        used += report.sheets[i].usedPercent;
+        lines.push("Sheet " + (i + 1) + ": " + report.sheets[i].pads + " pad" + (report.sheets[i].pads == 1 ? "" : "s") + ", " + Math.round(report.sheets[i].usedPercent * 10) / 10 + "% used");
+    }
+
+    var text = "Imposed " + total + " pad" + (total == 1 ? "" : "s") + " on " + report.sheets.length + " sheet" + (report.sheets.length == 1 ? "" : "s") +
+        " of " + formatSizeCm(report.sheetWidthCm, report.sheetHeightCm) + ".\n" + lines.join("\n");
+    if (report.sheets.length > 1) {
+        text += "\nOverall: " + Math.round(used / report.sheets.length * 10) / 10 + "% used";
+    }
+    if (report.skipped.length > 0) {
+        text += "\n\nNot imposed:\n" + report.skipped.join("\n");
+    }
+    return text;
+}
+
+/**
+ * Read a UTF-8 text file, dropping a leading byte-order mark.
+ * @param {File} file - The file to read.
+ * @returns {string} The file's contents.
+ * @throws {Error} If the file cannot be opened.
+ */
+function readTextFile(file) {
+    file.encoding = "UTF-8";
+    if (!file.open("r")) {
+        throw new Error("Cannot open " + file.fsName);
+    }
+    var text = file.read();
+    file.close();
+
+    return text.replace(/^\uFEFF/, "");
+}
+
+/**
+ * Parse CSV text into rows of fields.
+ *
+ * Supports quoted fields containing commas, line breaks and doubled quotes (`""`). Blank lines are skipped.
+ * @param {string} text - The CSV text.
+ * @returns {Array.<Array.<string>>} The parsed rows.
+ */
+function parseCSV(text) {
+    var rows = [];
+    var row = [];
+    var field = "";
+    var inQuotes = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+
+        if (inQuotes) {
+            if (ch == '"') {
+                if (text.charAt(i + 1) == '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += ch;
+            }
+        } else if (ch == '"') {
+            inQuotes = true;
+        } else if (ch == ",") {
+            row.push(field);
+            field = "";
+        } else if (ch == "\n" || ch == "\r") {
+            // Treat \r\n as a single line break
+            if (ch == "\r" && text.charAt(i + 1) == "\n") {
+                i++;
+            }
+            row.push(field);
+            field = "";
+            if (row.length > 1 || trimString(row[0]) !== "") {
+                rows.push(row);
+            }
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+
+    // Last line without a trailing line break
+    row.push(field);
+    if (row.length > 1 || trimString(row[0]) !== "") {
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Parse JSON text.
+ *
+ * ExtendScript has no built-in JSON object, so the text is checked to contain nothing but JSON tokens before it is evaluated.
+ * @param {string} text - The JSON text.
+ * @returns {*} The parsed value.
+ * @throws {Error} If the text is not valid JSON.
+ */
+function parseJSON(text) {
+    var tokensOnly = text
+        .replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+        .replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, "]")
+        .replace(/(?:^|:|,)(?:\s*\[)+/g, "");
+
+    if (!/^[\],:{}\s]*$/.test(tokensOnly)) {
+        throw new Error("Invalid JSON.");
+    }
+
+    return eval("(" + text + ")");
+}
+
+/**
+ * Write a value as JSON text, the counterpart of `parseJSON`.
+ *
+ * Handles the values job records are made of: strings, finite numbers, booleans, `null`, arrays and plain objects. Other values (functions, `undefined`, Illustrator objects) are written as `null`.
+ * @param {*} value - The value to write.
+ * @returns {string} The JSON text.
+ */
+function formatJSON(value) {
+    if (value === null || value === undefined) {
+        return "null";
+    }
+    if (typeof value == "string") {
+        return "\"" + value.replace(/[\\"\x00-\x1f]/g, function (character) {
+            var code = character.charCodeAt(0).toString(16);
+            return character == "\\" || character == "\"" ? "\\" + character : "\\u" + "0000".substring(code.length) + code;
+        }) + "\"";
+    }
+    if (typeof value == "number") {
+        return isFinite(value) ? String(value) : "null";
+    }
+    if (typeof value == "boolean") {
+        return String(value);
+    }
+    var parts = [];
+    if (value instanceof Array) {
+        for (var i = 0; i < value.length; i++) {
+            parts.push(formatJSON(value[i]));
+        }
+        return "[" + parts.join(",") + "]";
+    }
+    if (typeof value == "object" && value.constructor == Object) {
+        for (var key in value) {
+            parts.push(formatJSON(key) + ":" + formatJSON(value[key]));
+        }
+        return "{" + parts.join(",") + "}";
+    }
+    return "null";
+}
+
+/**
+ * Parse a typed measurement that must be a plain non-negative number, such as "1" or "2.5".
+ * @param {string} text - The text to parse.
+ * @returns {(number|null)} The number, or `null` if the text is not a non-negative number.
+ */
+function parseNonNegativeNumber(text) {
+    var trimmed = trimString(text);
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(trimmed)) {
+        return null;
+    }
+    return parseFloat(trimmed);
+}
+
+/**
+ * Remove leading and trailing whitespace (ExtendScript strings have no `trim`).
+ * @param {*} value - Value to convert to a string and trim.
+ * @returns {string} The trimmed string.
+ */
+function trimString(value) {
+    return String(value).replace(/^\s+|\s+$/g, "");
+}